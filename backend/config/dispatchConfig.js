@@ -0,0 +1,105 @@
+/**
+ * Dispatch Configuration
+ * Rules for how ride requests are matched to drivers
+ */
+
+const dispatchConfig = {
+  // Driver vehicle types that may serve each requested product when no driver
+  // of the requested type is available, tried in order (e.g. XL can serve Standard)
+  vehicleTypeFallbacks: {
+    Standard: ['XL', 'Premium'],
+    Premium: [],
+    XL: []
+  },
+
+  // 'sequential': offer one driver at a time, nearest first
+  // 'broadcast': offer the broadcastSize nearest drivers at once, first accept wins
+  mode: process.env.DISPATCH_MODE || 'sequential',
+  broadcastSize: 3,
+
+  // How long a logged-in driver has to accept an offer (matches the app's timer)
+  offerTimeoutMs: 30000,
+
+  // Offer rounds to try, nearest drivers first, before falling back to simulation
+  maxOfferAttempts: 3,
+
+  // How simulated drivers are matched to rides:
+  // 'greedy': each ride takes the nearest driver as soon as it is searched
+  // 'batch': rides are collected for batchWindowMs, then assigned together to
+  //          minimize total pickup ETA (Hungarian algorithm)
+  matchingStrategy: process.env.MATCHING_STRATEGY || 'greedy',
+  batchWindowMs: 3000,
+
+  // Nearest drivers per vehicle tier each ride considers in a batch
+  batchCandidatesPerRide: 10,
+
+  // Simulated matching starts with a small pickup radius and multiplies it by
+  // searchRadiusGrowth every searchStepMs (greedy) or batch window (batch), up
+  // to the distance a driver covers in maxPickupEtaSeconds. Rides only end as
+  // noDriversAvailable once that limit has been searched. Offers to logged-in
+  // drivers use the limit directly.
+  initialSearchRadiusMeters: 1000,
+  searchRadiusGrowth: 2,
+  searchStepMs: 3000,
+  maxPickupEtaSeconds: 900,
+
+  // How candidate drivers are ranked for greedy matching and offers
+  // (batch matching always minimizes total pickup ETA):
+  // 'nearest': shortest pickup ETA, exact vehicle type before upgrades
+  // 'balanced': mostly ETA, with rating, acceptance rate and idle time
+  // 'fair': favors drivers who have waited longest since their last trip
+  scoringStrategy: process.env.SCORING_STRATEGY || 'nearest',
+
+  // Factor weights per strategy; each factor scores a driver from 0 (worst) to 1 (best)
+  scoringWeights: {
+    nearest: { eta: 1, vehicleMatch: 100 },
+    balanced: { eta: 0.5, rating: 0.15, acceptanceRate: 0.1, idleTime: 0.1, vehicleMatch: 0.15 },
+    fair: { eta: 0.3, rating: 0.05, acceptanceRate: 0.05, idleTime: 0.45, vehicleMatch: 0.15 }
+  },
+
+  // Factor scales: an ETA of etaSeconds scores 0.5, as does an idle time of
+  // idleSeconds; ratings at or below minRating score 0
+  scoringScales: {
+    etaSeconds: 300,
+    idleSeconds: 900,
+    minRating: 4.0
+  },
+
+  // Nearest drivers per vehicle tier that get scored for each match
+  scoringCandidates: 10,
+
+  // Pooled rides (pooled: true on a ride request) share a simulated car with
+  // other riders heading the same way. A rider only joins a trip if every
+  // rider's time in the car stays within maxDetourRatio of their direct trip
+  // (measured from where the car is now for riders already on board) and
+  // everyone still waiting is picked up within maxPickupEtaSeconds
+  pooling: {
+    seatCapacity: { Standard: 3, XL: 5 }, // rider seats per vehicle type; other types don't pool
+    maxDetourRatio: 0.5,                  // in-car time may be up to 1.5x the direct trip
+    maxPartySize: 2                       // seats one pooled request may book
+  },
+
+  // Scheduled rides (POST /api/rides/schedule) start dispatching once the
+  // pickup time is within the nearest driver's pickup ETA plus
+  // dispatchBufferSeconds (time to find and confirm a driver)
+  scheduling: {
+    minLeadMinutes: 15,
+    maxAdvanceDays: 7,
+    dispatchBufferSeconds: 300,
+    checkIntervalMs: 30000
+  },
+
+  // Two-way ratings after a completed ride (POST /api/rides/:rideId/rating).
+  // A driver's or rider's rating is the average of the last `window` ratings
+  // they received; drivers keep their starting rating until first rated
+  ratings: {
+    window: 20,
+    tags: {
+      driver: ['friendly', 'cleanCar', 'safeDriving', 'goodRoute', 'onTime', 'late', 'unsafeDriving', 'dirtyCar', 'rude'],
+      rider: ['friendly', 'onTime', 'respectful', 'late', 'rude', 'messy', 'wrongPickup']
+    },
+    maxCommentLength: 500
+  }
+};
+
+module.exports = dispatchConfig;
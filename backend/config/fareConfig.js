@@ -0,0 +1,69 @@
+/**
+ * Fare Configuration
+ * Single source of truth for pricing rates used by the fare engine
+ */
+
+const fareConfig = {
+  currency: 'USD',
+
+  // Rates for a Standard ride (other vehicle types scale these)
+  baseFare: 2.50,      // flat amount per ride
+  perKm: 1.20,         // per kilometer traveled
+  perMinute: 0.30,     // per minute of trip time
+  minimumFare: 7.00,   // trip fare never goes below this (before booking fee)
+  bookingFee: 2.00,    // flat platform fee, not scaled by vehicle type or surge
+
+  // Multipliers applied to base, distance, time and minimum fare
+  vehicleTypes: {
+    Standard: { multiplier: 1.0 },
+    Premium: { multiplier: 1.6 },
+    XL: { multiplier: 1.4 }
+  },
+
+  // Pooled rides: each rider pays their own trip's fare less this share
+  // (before booking fee), whether or not anyone else joins
+  pool: {
+    discount: 0.3
+  },
+
+  // Rider cancellations (see services/cancellationService.js)
+  cancellation: {
+    freeWindowSeconds: 120,  // cancelling is free this long after a driver is assigned
+    lateFee: 5.00,           // flat fee for later cancellations, before pickup
+    // Reason codes a rider may give; waived reasons never pay the late fee
+    reasons: ['changedPlans', 'waitTooLong', 'wrongPickup', 'foundAnotherRide', 'driverAskedToCancel', 'other'],
+    feeWaivedReasons: ['driverAskedToCancel']
+  },
+
+  // Rider no-shows: once the driver has waited gracePeriodSeconds at pickup
+  // they may end the ride as noShow and the rider pays the fee
+  noShow: {
+    gracePeriodSeconds: 300,
+    fee: 5.00,
+    countdownIntervalMs: 1000, // how often the rider is sent the wait countdown
+    // Riders of simulated drivers get in this long after the driver arrives, unless
+    // they board sooner. null: they never do, and the simulated driver reports a
+    // no-show once the grace period is over
+    simulatedBoardingSeconds: 5
+  },
+
+  // Largest tip a rider may add to a completed ride
+  maxTip: 100.00,
+
+  // Upfront quotes (see services/quoteService.js)
+  quotes: {
+    ttlSeconds: 300,               // how long a quoted price can be booked
+    locationToleranceMeters: 100   // how far the requested pickup/destination may drift from the quote
+  },
+
+  // Zone-based surge pricing (see services/surgePricing.js)
+  surge: {
+    updateIntervalMs: 30000,  // how often zone multipliers are recomputed
+    demandThreshold: 1.0,     // open requests per free driver before surge kicks in
+    sensitivity: 0.5,         // multiplier added per unit of ratio above the threshold
+    maxMultiplier: 2.5,       // hard cap
+    smoothing: 0.5            // 0-1, weight of the newest reading (higher reacts faster)
+  }
+};
+
+module.exports = fareConfig;
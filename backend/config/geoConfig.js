@@ -3,6 +3,8 @@
  * Single source of truth for all mock data locations, driver spawning, and ride patterns
  */
 
+const { calculateDistance } = require('../utils/geoUtils');
+
 const activeRegion = process.env.MOCK_REGION || 'sf_bay_area';
 
 const regions = {
@@ -273,6 +275,27 @@ function selectDriverZone() {
   return zones[0];
 }
 
+/**
+ * Find the driver zone a location falls in
+ * When zones overlap, the one with the nearest center wins
+ * @param {object} location - {lat, lng}
+ * @returns {object|null} Zone, or null if the location is outside every zone
+ */
+function getZoneForLocation(location) {
+  let match = null;
+  let matchDistance = Infinity;
+
+  for (const zone of getDriverZones()) {
+    const distance = calculateDistance(location.lat, location.lng, zone.center.lat, zone.center.lng);
+    if (distance <= zone.radius && distance < matchDistance) {
+      match = zone;
+      matchDistance = distance;
+    }
+  }
+
+  return match;
+}
+
 module.exports = {
   activeRegion,
   regions,
@@ -284,5 +307,6 @@ module.exports = {
   selectRidePattern,
   generatePatternBasedRide,
   getDriverZones,
-  selectDriverZone
+  selectDriverZone,
+  getZoneForLocation
 };
@@ -0,0 +1,129 @@
+/**
+ * Unit tests for the auth middleware
+ * Tests role checks, driver ID checks and revoked sessions
+ */
+
+const { requireDriverAuth, requireRiderAuth, authenticateDriverToken, authenticateRiderToken } = require('../auth');
+const { signToken } = require('../../utils/tokens');
+const { AuthenticationError, ForbiddenError } = require('../../utils/errors');
+const { driverSessionRepository, riderSessionRepository } = require('../../repositories');
+
+/**
+ * Start a session the way login does and return its token
+ */
+function startSession(repository, idField, id, role) {
+  const { token, tokenId } = signToken({ sub: id, role });
+  repository.save({ [idField]: id, tokenId });
+  return token;
+}
+
+/**
+ * Run a middleware and return the error it passed to next (undefined if none)
+ */
+function run(middleware, token, params = {}) {
+  const req = {
+    params,
+    get: header => (header === 'Authorization' && token ? `Bearer ${token}` : undefined)
+  };
+  const next = jest.fn();
+
+  middleware(req, {}, next);
+
+  expect(next).toHaveBeenCalledTimes(1);
+  return { req, error: next.mock.calls[0][0] };
+}
+
+describe('auth middleware', () => {
+  let driverToken;
+  let riderToken;
+
+  beforeEach(() => {
+    driverSessionRepository.clear();
+    riderSessionRepository.clear();
+    driverToken = startSession(driverSessionRepository, 'driverId', 'driver_1', 'driver');
+    riderToken = startSession(riderSessionRepository, 'riderId', 'rider_1', 'rider');
+  });
+
+  describe('requireDriverAuth', () => {
+    test('accepts the driver\'s own token', () => {
+      const { req, error } = run(requireDriverAuth, driverToken, { driverId: 'driver_1' });
+
+      expect(error).toBeUndefined();
+      expect(req.driverId).toBe('driver_1');
+      expect(req.driverSession).toBe(driverSessionRepository.get('driver_1'));
+    });
+
+    test('rejects a missing token', () => {
+      expect(run(requireDriverAuth, null, { driverId: 'driver_1' }).error).toBeInstanceOf(AuthenticationError);
+    });
+
+    test('rejects a rider token', () => {
+      const { error } = run(requireDriverAuth, riderToken, { driverId: 'driver_1' });
+
+      expect(error).toBeInstanceOf(ForbiddenError);
+      expect(error.message).toMatch(/driver token is required/);
+    });
+
+    test('rejects another driver\'s token', () => {
+      const { error } = run(requireDriverAuth, driverToken, { driverId: 'driver_2' });
+
+      expect(error).toBeInstanceOf(ForbiddenError);
+      expect(error.message).toMatch(/does not belong to this driver/);
+    });
+
+    test('rejects a token once the driver logs out or logs in again', () => {
+      driverSessionRepository.delete('driver_1');
+      expect(run(requireDriverAuth, driverToken, { driverId: 'driver_1' }).error.message).toMatch(/revoked/);
+
+      startSession(driverSessionRepository, 'driverId', 'driver_1', 'driver');
+      expect(run(requireDriverAuth, driverToken, { driverId: 'driver_1' }).error).toBeInstanceOf(AuthenticationError);
+    });
+  });
+
+  describe('requireRiderAuth', () => {
+    test('accepts a rider token', () => {
+      const { req, error } = run(requireRiderAuth, riderToken);
+
+      expect(error).toBeUndefined();
+      expect(req.riderId).toBe('rider_1');
+    });
+
+    test('rejects a driver token', () => {
+      expect(run(requireRiderAuth, driverToken).error).toBeInstanceOf(ForbiddenError);
+    });
+
+    test('rejects a token after logout', () => {
+      riderSessionRepository.delete('rider_1');
+
+      expect(run(requireRiderAuth, riderToken).error).toBeInstanceOf(AuthenticationError);
+    });
+  });
+
+  describe('authenticateDriverToken', () => {
+    test('returns the driver a token belongs to', () => {
+      expect(authenticateDriverToken(driverToken).driverId).toBe('driver_1');
+    });
+
+    test('rejects missing, rider and revoked tokens', () => {
+      expect(() => authenticateDriverToken(undefined)).toThrow(AuthenticationError);
+      expect(() => authenticateDriverToken(riderToken)).toThrow(ForbiddenError);
+
+      driverSessionRepository.delete('driver_1');
+      expect(() => authenticateDriverToken(driverToken)).toThrow(/revoked/);
+    });
+  });
+
+  describe('authenticateRiderToken', () => {
+    test('returns the rider a token belongs to', () => {
+      expect(authenticateRiderToken(riderToken).riderId).toBe('rider_1');
+    });
+
+    test('rejects missing, driver and revoked tokens', () => {
+      expect(() => authenticateRiderToken(undefined)).toThrow(AuthenticationError);
+      expect(() => authenticateRiderToken(driverToken)).toThrow(ForbiddenError);
+
+      riderSessionRepository.delete('rider_1');
+      expect(() => authenticateRiderToken(riderToken)).toThrow(/revoked/);
+    });
+  });
+});
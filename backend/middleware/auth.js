@@ -0,0 +1,134 @@
+/**
+ * Auth Middleware
+ * Verifies driver and rider session tokens sent as `Authorization: Bearer <token>`
+ */
+
+const { verifyToken } = require('../utils/tokens');
+const { AuthenticationError, ForbiddenError } = require('../utils/errors');
+const { driverSessionRepository, riderSessionRepository } = require('../repositories');
+
+/**
+ * Read the bearer token from the Authorization header
+ */
+function readBearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    throw new AuthenticationError();
+  }
+
+  return token;
+}
+
+/**
+ * Verify the token and look up the session it was issued for
+ * A token only stays valid while its session exists (logout revokes it)
+ */
+function authenticate(token, role, sessions) {
+  const payload = verifyToken(token);
+
+  if (payload.role !== role) {
+    throw new ForbiddenError(`A ${role} token is required`);
+  }
+
+  const session = sessions.get(payload.sub);
+  if (!session || session.tokenId !== payload.jti) {
+    throw new AuthenticationError('Session token has been revoked');
+  }
+
+  return { payload, session };
+}
+
+/**
+ * Require a driver token whose driver matches :driverId
+ */
+function requireDriverAuth(req, res, next) {
+  try {
+    const { payload, session } = authenticate(readBearerToken(req), 'driver', driverSessionRepository);
+
+    if (req.params.driverId && req.params.driverId !== payload.sub) {
+      throw new ForbiddenError('Token does not belong to this driver');
+    }
+
+    req.driverId = payload.sub;
+    req.driverSession = session;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Require a rider token
+ */
+function requireRiderAuth(req, res, next) {
+  try {
+    const { payload, session } = authenticate(readBearerToken(req), 'rider', riderSessionRepository);
+
+    req.riderId = payload.sub;
+    req.riderSession = session;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Require a rider or a driver token (endpoints both sides of a ride use)
+ * Sets req.riderId or req.driverId depending on who is calling.
+ */
+function requireRiderOrDriverAuth(req, res, next) {
+  try {
+    const token = readBearerToken(req);
+
+    if (verifyToken(token).role === 'driver') {
+      const { payload, session } = authenticate(token, 'driver', driverSessionRepository);
+      req.driverId = payload.sub;
+      req.driverSession = session;
+    } else {
+      const { payload, session } = authenticate(token, 'rider', riderSessionRepository);
+      req.riderId = payload.sub;
+      req.riderSession = session;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Authenticate a driver token outside of HTTP (e.g. WebSocket registration)
+ * @returns {object} { driverId, session }
+ * @throws {AuthenticationError|ForbiddenError}
+ */
+function authenticateDriverToken(token) {
+  if (!token) {
+    throw new AuthenticationError();
+  }
+
+  const { payload, session } = authenticate(token, 'driver', driverSessionRepository);
+  return { driverId: payload.sub, session };
+}
+
+/**
+ * Authenticate a rider token outside of HTTP (e.g. WebSocket ride subscriptions)
+ * @returns {object} { riderId, session }
+ * @throws {AuthenticationError|ForbiddenError}
+ */
+function authenticateRiderToken(token) {
+  if (!token) {
+    throw new AuthenticationError();
+  }
+
+  const { payload, session } = authenticate(token, 'rider', riderSessionRepository);
+  return { riderId: payload.sub, session };
+}
+
+module.exports = {
+  authenticateDriverToken,
+  authenticateRiderToken,
+  requireDriverAuth,
+  requireRiderAuth,
+  requireRiderOrDriverAuth
+};
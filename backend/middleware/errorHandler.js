@@ -0,0 +1,24 @@
+/**
+ * Error Handler Middleware
+ * Maps typed errors to their status and anything else to a 500
+ */
+
+const { AppError } = require('../utils/errors');
+
+/**
+ * Express error handler (register after every route)
+ */
+function errorHandler(err, req, res, next) {
+  // Typed errors carry their own status (e.g. 409 for illegal ride transitions)
+  if (err instanceof AppError) {
+    return res.status(err.statusCode).json(err.toJSON());
+  }
+
+  console.error('Server error:', err);
+  res.status(500).json({
+    error: 'Internal server error',
+    message: err.message
+  });
+}
+
+module.exports = errorHandler;
@@ -12,6 +12,14 @@ class Driver {
     this.rating = rating;
     this.available = true;
     this.currentRideId = null;
+    this.passwordHash = null; // login credential, see utils/passwords
+
+    // Dispatch history used by driver scoring
+    this.offersAccepted = 0;
+    this.offersDeclined = 0;
+    this.ridesCancelled = 0; // accepted rides the driver backed out of
+    this.idleSince = Date.now(); // when the driver last became free (ms)
+
     this.vehicleModel = this.generateVehicleModel();
     this.licensePlate = this.generateLicensePlate();
   }
@@ -50,17 +58,71 @@ class Driver {
   assignRide(rideId) {
     this.available = false;
     this.currentRideId = rideId;
+    this.idleSince = null;
   }
 
   completeRide() {
     this.available = true;
     this.currentRideId = null;
+    this.idleSince = Date.now();
+  }
+
+  /**
+   * Count a response to a ride offer (timeouts count as declines)
+   */
+  recordOfferResponse(accepted) {
+    if (accepted) {
+      this.offersAccepted = (this.offersAccepted || 0) + 1;
+    } else {
+      this.offersDeclined = (this.offersDeclined || 0) + 1;
+    }
+  }
+
+  /**
+   * Count an accepted ride the driver cancelled before pickup
+   */
+  recordCancellation() {
+    this.ridesCancelled = (this.ridesCancelled || 0) + 1;
+  }
+
+  /**
+   * Share of offers accepted, 0-1
+   * Rides the driver cancelled after accepting don't count as accepted.
+   * @returns {number|null} null if the driver hasn't answered any offers yet
+   */
+  getAcceptanceRate() {
+    const accepted = this.offersAccepted || 0;
+    const answered = accepted + (this.offersDeclined || 0);
+    const kept = Math.max(0, accepted - (this.ridesCancelled || 0));
+    return answered > 0 ? kept / answered : null;
+  }
+
+  /**
+   * Seconds since the driver's last trip ended (0 while on a trip)
+   */
+  getIdleSeconds(now = Date.now()) {
+    return this.idleSince ? Math.max(0, (now - this.idleSince) / 1000) : 0;
   }
 
   updateLocation(lat, lng) {
     this.location = { lat, lng };
   }
 
+  /**
+   * Plain record for storage
+   */
+  toRecord() {
+    return { ...this };
+  }
+
+  /**
+   * Rebuild a Driver from a stored record
+   * (keeps the stored vehicle model and plate instead of generating new ones)
+   */
+  static fromRecord(record) {
+    return Object.assign(Object.create(Driver.prototype), record);
+  }
+
   toJSON() {
     return {
       id: this.id,
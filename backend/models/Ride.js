@@ -3,28 +3,235 @@
  * Represents a ride request in the system
  */
 
+const { RideStatus, assertTransition, isTerminal } = require('./rideStateMachine');
+const { ValidationError } = require('../utils/errors');
+const { calculateDistance, isValidLocation } = require('../utils/geoUtils');
+
+// Most intermediate stops a ride may have
+const MAX_STOPS = 3;
+
+// Closest two points of the recorded route may be (meters)
+const ROUTE_POINT_SPACING = 50;
+
+// Statuses in which the rider is in the car (the route is recorded)
+const ON_TRIP = [RideStatus.IN_PROGRESS, RideStatus.ARRIVED_AT_STOP, RideStatus.APPROACHING_DESTINATION];
+
+// Who caused a status change (recorded in the ride's history)
+const Actor = Object.freeze({
+  RIDER: 'rider',
+  DRIVER: 'driver',
+  SIMULATOR: 'simulator',
+  SYSTEM: 'system'
+});
+
 class Ride {
-  constructor(id, pickup, destination) {
+  /**
+   * @param {object} options - { pickupTime, stops, pooled, seats }
+   *   pickupTime (Date) schedules the ride instead of searching now;
+   *   stops ([{ lat, lng, address }]) are visited in order between pickup and destination;
+   *   pooled rides may share the car with other riders (seats = seats booked)
+   */
+  constructor(id, pickup, destination, riderId = null, { pickupTime = null, stops = [], pooled = false, seats = 1 } = {}) {
     this.id = id;
+    this.riderId = riderId; // rider who requested the ride
     this.pickup = pickup; // { lat, lng, address }
+    this.stops = stops.map(stop => ({ ...stop, arrivedAt: null, completedAt: null }));
     this.destination = destination; // { lat, lng, address }
-    this.status = 'searching'; // searching, assigned, enRoute, arriving, inProgress, completed, cancelled
+    this.vehicleType = 'Standard'; // requested product (see fareConfig.vehicleTypes)
+    this.pooled = pooled; // shared ride (see poolService)
+    this.seats = seats;
+    this.pickupTime = pickupTime; // requested pickup time for scheduled rides (null = now)
+    this.status = pickupTime ? RideStatus.SCHEDULED : RideStatus.SEARCHING; // see rideStateMachine for the legal transitions
+    this.search = null; // current pickup search radius (see driverMatcher.getSearchStep)
     this.driver = null;
     this.estimatedArrival = null;
+    this.matchDebug = null; // why the driver was chosen (see driverScoring.explain)
+    this.excludedDriverIds = []; // drivers who cancelled the ride; never matched to it again
+    this.fare = null; // itemized fare from the fare engine
+    this.quoteId = null; // upfront quote the fare was locked from, if any
+    this.cancellation = null; // who cancelled, why, and any fee (see cancellationService)
+    this.ratings = { ofDriver: null, ofRider: null }; // given after completion (see ratingService)
+    this.tip = 0; // added by the rider after completion
+    this.routeTaken = []; // [{ lat, lng, at }] driver locations from pickup to drop-off
     this.createdAt = new Date();
     this.updatedAt = new Date();
+    this.history = [];
+    this.recordTransition(null, this.status, Actor.RIDER);
+  }
+
+  /**
+   * Append a status change to the ride's history
+   */
+  recordTransition(from, to, actor) {
+    this.history.push({
+      from,
+      status: to,
+      at: this.updatedAt,
+      actor,
+      driverLocation: this.driver ? { ...this.driver.location } : null
+    });
   }
 
-  assignDriver(driver, estimatedArrival) {
+  /**
+   * Assign a driver and move to assigned
+   * @param {string} actor - Who made the assignment (see Ride.Actor)
+   * @throws {InvalidTransitionError} if the ride is no longer searching
+   */
+  assignDriver(driver, estimatedArrival, actor = Actor.SYSTEM) {
+    assertTransition(this, RideStatus.ASSIGNED, { driver });
+    const from = this.status;
     this.driver = driver;
-    this.status = 'assigned';
+    this.status = RideStatus.ASSIGNED;
     this.estimatedArrival = estimatedArrival;
     this.updatedAt = new Date();
+    this.recordTransition(from, this.status, actor);
+  }
+
+  /**
+   * Drop the assigned driver and search again (the driver cancelled)
+   * The driver is excluded from the ride's future matches.
+   * @throws {InvalidTransitionError} once the rider has been picked up
+   */
+  unassignDriver(actor = Actor.DRIVER) {
+    assertTransition(this, RideStatus.SEARCHING);
+    const from = this.status;
+    this.excludedDriverIds = [...(this.excludedDriverIds || []), this.driver.id];
+    this.status = RideStatus.SEARCHING;
+    this.updatedAt = new Date();
+    this.recordTransition(from, this.status, actor);
+    this.driver = null;
+    this.estimatedArrival = null;
+    this.matchDebug = null;
+    this.search = null;
   }
 
-  updateStatus(status) {
+  /**
+   * Move the ride to a new status
+   * @param {string} status - Target status
+   * @param {string} actor - Who caused the change (see Ride.Actor)
+   * @returns {boolean} false if the ride already had that status
+   * @throws {InvalidTransitionError} if the transition isn't allowed
+   */
+  updateStatus(status, actor = Actor.SYSTEM) {
+    if (status === this.status) {
+      return false;
+    }
+
+    assertTransition(this, status);
+    const from = this.status;
     this.status = status;
     this.updatedAt = new Date();
+    this.trackStops(from, status);
+    this.recordTransition(from, status, actor);
+
+    // Pickup and drop-off always start and end the recorded route
+    const atPickupOrDropoff = (status === RideStatus.IN_PROGRESS && this.routeTaken.length === 0) ||
+      status === RideStatus.COMPLETED;
+    if (atPickupOrDropoff && this.driver && this.driver.location) {
+      this.recordRoutePoint(this.driver.location, { force: true });
+    }
+    return true;
+  }
+
+  /**
+   * Add a driver location to the route taken while the rider is in the car
+   * Points within ROUTE_POINT_SPACING of the last one are skipped unless forced
+   * (pickup and drop-off), and repeats of the last point always are.
+   * @returns {boolean} true if the point was added
+   */
+  recordRoutePoint(location, { force = false } = {}) {
+    if (!force && !ON_TRIP.includes(this.status)) {
+      return false;
+    }
+
+    const last = this.routeTaken[this.routeTaken.length - 1];
+    const distance = last ? calculateDistance(last.lat, last.lng, location.lat, location.lng) : Infinity;
+    if (distance === 0 || (!force && distance < ROUTE_POINT_SPACING)) {
+      return false;
+    }
+
+    this.routeTaken.push({ lat: location.lat, lng: location.lng, at: new Date() });
+    return true;
+  }
+
+  /**
+   * Send the ride to a new destination (the rider changed plans)
+   * @param {object} destination - { lat, lng, address }
+   * @param {object} fare - Fare for the new trip
+   */
+  changeDestination(destination, fare) {
+    this.destination = destination;
+    this.fare = fare;
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * When the ride last entered a status (e.g. when the driver was assigned)
+   * @returns {Date|null}
+   */
+  getEnteredAt(status) {
+    const entry = [...this.history].reverse().find(e => e.status === status);
+    return entry ? entry.at : null;
+  }
+
+  /**
+   * Index of the first stop not done yet (the one the driver is at or heading to)
+   * @returns {number} -1 once every stop is done
+   */
+  getCurrentStopIndex() {
+    return this.stops.findIndex(stop => !stop.completedAt);
+  }
+
+  /**
+   * Time-stamp stops as the driver arrives at and leaves them
+   */
+  trackStops(from, to) {
+    const stop = this.stops[this.getCurrentStopIndex()];
+
+    if (to === RideStatus.ARRIVED_AT_STOP) {
+      stop.arrivedAt = this.updatedAt;
+    } else if (from === RideStatus.ARRIVED_AT_STOP) {
+      stop.completedAt = this.updatedAt;
+    }
+  }
+
+  /**
+   * Ordered status history with how long the ride spent in each status
+   * @returns {object} { rideId, status, timeline, metrics }
+   */
+  getTimeline(now = new Date()) {
+    const start = this.createdAt.getTime();
+
+    const timeline = this.history.map((entry, index) => {
+      const next = this.history[index + 1];
+      const enteredAt = entry.at.getTime();
+      const isFinal = !next && isTerminal(entry.status);
+
+      return {
+        ...entry,
+        elapsedMs: enteredAt - start,
+        // Time spent in this status (still counting for the current one)
+        durationMs: next ? next.at.getTime() - enteredAt : (isFinal ? 0 : now.getTime() - enteredAt)
+      };
+    });
+
+    // Time from creation until the ride first entered a status
+    const reachedAt = status => {
+      const entry = this.history.find(e => e.status === status);
+      return entry ? entry.at.getTime() - start : null;
+    };
+
+    return {
+      rideId: this.id,
+      status: this.status,
+      timeline,
+      metrics: {
+        timeToAssignMs: reachedAt(RideStatus.ASSIGNED),
+        timeToDriverArrivalMs: reachedAt(RideStatus.ARRIVING),
+        timeToPickupMs: reachedAt(RideStatus.IN_PROGRESS),
+        timeToCompleteMs: reachedAt(RideStatus.COMPLETED)
+      }
+    };
   }
 
   /**
@@ -39,12 +246,80 @@ class Ride {
     this.updatedAt = new Date();
   }
 
+  /**
+   * Plain record for storage (driver is stored by ID)
+   */
+  toRecord() {
+    const { driver, ...fields } = this;
+    return {
+      ...fields,
+      driverId: driver ? driver.id : null
+    };
+  }
+
+  /**
+   * Check a request's intermediate stops
+   * @param {array} stops - [{ lat, lng, address }] (undefined = no stops)
+   * @returns {array} Stops with only lat, lng and address
+   * @throws {ValidationError} if stops isn't a list of locations or has too many entries
+   */
+  static parseStops(stops = []) {
+    if (!Array.isArray(stops)) {
+      throw new ValidationError('stops must be a list of locations');
+    }
+
+    if (stops.length > MAX_STOPS) {
+      throw new ValidationError(`A ride can have at most ${MAX_STOPS} stops`);
+    }
+
+    return stops.map((stop, index) => {
+      if (!isValidLocation(stop)) {
+        throw new ValidationError(`Stop ${index + 1} must include lat (-90 to 90) and lng (-180 to 180) as numbers`);
+      }
+      return { lat: stop.lat, lng: stop.lng, address: stop.address };
+    });
+  }
+
+  /**
+   * Rebuild a Ride from a stored record
+   * @param {object} record - Record produced by toRecord()
+   * @param {function} resolveDriver - Looks up a Driver by ID
+   */
+  static fromRecord(record, resolveDriver) {
+    const { driverId, ...fields } = record;
+    const ride = Object.assign(Object.create(Ride.prototype), fields);
+    ride.driver = driverId ? resolveDriver(driverId) || null : null;
+    ride.createdAt = new Date(record.createdAt);
+    ride.updatedAt = new Date(record.updatedAt);
+    ride.pickupTime = record.pickupTime ? new Date(record.pickupTime) : null;
+    ride.stops = (record.stops || []).map(stop => ({
+      ...stop,
+      arrivedAt: stop.arrivedAt ? new Date(stop.arrivedAt) : null,
+      completedAt: stop.completedAt ? new Date(stop.completedAt) : null
+    }));
+    ride.cancellation = record.cancellation ? { ...record.cancellation, at: new Date(record.cancellation.at) } : null;
+    ride.ratings = {
+      ofDriver: record.ratings && record.ratings.ofDriver ? { ...record.ratings.ofDriver, at: new Date(record.ratings.ofDriver.at) } : null,
+      ofRider: record.ratings && record.ratings.ofRider ? { ...record.ratings.ofRider, at: new Date(record.ratings.ofRider.at) } : null
+    };
+    ride.routeTaken = (record.routeTaken || []).map(point => ({ ...point, at: new Date(point.at) }));
+    ride.history = (record.history || []).map(entry => ({ ...entry, at: new Date(entry.at) }));
+    return ride;
+  }
+
   toJSON() {
     return {
       rideId: this.id,  // Changed from "id" to "rideId" for iOS compatibility
+      riderId: this.riderId,
       pickup: this.pickup,
+      stops: this.stops,
       destination: this.destination,
+      vehicleType: this.vehicleType,
+      pooled: Boolean(this.pooled),
+      seats: this.seats || 1,
+      pickupTime: this.pickupTime,
       status: this.status,
+      search: this.search,
       driver: this.driver ? {
         id: this.driver.id,
         name: this.driver.name,
@@ -55,10 +330,18 @@ class Ride {
         location: this.driver.location
       } : null,
       estimatedArrival: this.estimatedArrival,
+      fare: this.fare,
+      quoteId: this.quoteId,
+      cancellation: this.cancellation || null,
+      ratings: this.ratings || { ofDriver: null, ofRider: null },
+      tip: this.tip || 0,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
   }
 }
 
+Ride.Actor = Actor;
+Ride.MAX_STOPS = MAX_STOPS;
+
 module.exports = Ride;
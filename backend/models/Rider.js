@@ -0,0 +1,42 @@
+/**
+ * Rider Model
+ * Represents a registered rider account
+ */
+
+class Rider {
+  constructor(id, name, email, passwordHash) {
+    this.id = id;
+    this.name = name;
+    this.email = email;
+    this.passwordHash = passwordHash; // see utils/passwords
+    this.createdAt = new Date();
+  }
+
+  /**
+   * Plain record for storage
+   */
+  toRecord() {
+    return { ...this };
+  }
+
+  /**
+   * Rebuild a Rider from a stored record
+   */
+  static fromRecord(record) {
+    const rider = Object.assign(Object.create(Rider.prototype), record);
+    rider.createdAt = new Date(record.createdAt);
+    return rider;
+  }
+
+  toJSON() {
+    // Never expose the password hash
+    return {
+      id: this.id,
+      name: this.name,
+      email: this.email,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = Rider;
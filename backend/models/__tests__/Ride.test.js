@@ -0,0 +1,164 @@
+/**
+ * Unit tests for Ride
+ * Tests the ride's status history and timeline, and stop validation
+ */
+
+const Ride = require('../Ride');
+const { ValidationError } = require('../../utils/errors');
+
+const pickup = { lat: 37.7749, lng: -122.4194 };
+const destination = { lat: 37.8049, lng: -122.3994 };
+
+describe('Ride', () => {
+  let driver;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2024-01-15T10:30:00.000Z'));
+    driver = { id: 'driver1', name: 'John Doe', location: { lat: 37.7799, lng: -122.4194 } };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('history', () => {
+    test('starts with the rider requesting the ride', () => {
+      const ride = new Ride('ride123', pickup, destination);
+
+      expect(ride.history).toHaveLength(1);
+      expect(ride.history[0]).toEqual(expect.objectContaining({
+        from: null,
+        status: 'searching',
+        actor: 'rider',
+        driverLocation: null
+      }));
+    });
+
+    test('starts scheduled rides as scheduled and keeps the pickup time through storage', () => {
+      const pickupTime = new Date('2024-01-15T18:00:00.000Z');
+      const ride = new Ride('ride123', pickup, destination, 'rider_1', { pickupTime });
+
+      expect(ride.status).toBe('scheduled');
+      expect(ride.history[0]).toEqual(expect.objectContaining({ from: null, status: 'scheduled' }));
+
+      const restored = Ride.fromRecord(JSON.parse(JSON.stringify(ride.toRecord())), () => null);
+      expect(restored.pickupTime).toEqual(pickupTime);
+    });
+
+    test('records actor and driver location for each transition', () => {
+      const ride = new Ride('ride123', pickup, destination);
+      ride.assignDriver(driver, 60);
+
+      driver.location = { lat: 37.7760, lng: -122.4194 };
+      ride.updateStatus('enRoute', Ride.Actor.SIMULATOR);
+
+      expect(ride.history.map(e => e.status)).toEqual(['searching', 'assigned', 'enRoute']);
+      expect(ride.history[1].actor).toBe('system');
+      expect(ride.history[2]).toEqual(expect.objectContaining({
+        from: 'assigned',
+        actor: 'simulator',
+        driverLocation: { lat: 37.7760, lng: -122.4194 }
+      }));
+    });
+
+    test('snapshots the driver location instead of referencing it', () => {
+      const ride = new Ride('ride123', pickup, destination);
+      ride.assignDriver(driver, 60);
+
+      driver.location.lat = 0;
+
+      expect(ride.history[1].driverLocation.lat).toBe(37.7799);
+    });
+
+    test('does not record repeated statuses', () => {
+      const ride = new Ride('ride123', pickup, destination);
+      ride.assignDriver(driver, 60);
+      ride.updateStatus('arriving');
+      ride.updateStatus('arriving');
+
+      expect(ride.history).toHaveLength(3);
+    });
+  });
+
+  describe('getTimeline', () => {
+    test('computes time spent in each status and wait-time metrics', () => {
+      const ride = new Ride('ride123', pickup, destination);
+
+      jest.advanceTimersByTime(3000);
+      ride.assignDriver(driver, 60);
+
+      jest.advanceTimersByTime(120000);
+      ride.updateStatus('arriving', Ride.Actor.SIMULATOR);
+
+      jest.advanceTimersByTime(5000);
+      const { timeline, metrics } = ride.getTimeline();
+
+      expect(timeline.map(e => e.durationMs)).toEqual([3000, 120000, 5000]);
+      expect(timeline.map(e => e.elapsedMs)).toEqual([0, 3000, 123000]);
+      expect(metrics).toEqual({
+        timeToAssignMs: 3000,
+        timeToDriverArrivalMs: 123000,
+        timeToPickupMs: null,
+        timeToCompleteMs: null
+      });
+    });
+
+    test('final statuses have no duration', () => {
+      const ride = new Ride('ride123', pickup, destination);
+      ride.updateStatus('cancelled', Ride.Actor.RIDER);
+
+      jest.advanceTimersByTime(60000);
+      const { timeline } = ride.getTimeline();
+
+      expect(timeline[1]).toEqual(expect.objectContaining({ status: 'cancelled', actor: 'rider', durationMs: 0 }));
+    });
+  });
+
+  describe('fromRecord', () => {
+    test('restores history timestamps as dates', () => {
+      const ride = new Ride('ride123', pickup, destination);
+      ride.assignDriver(driver, 60);
+
+      const record = JSON.parse(JSON.stringify(ride.toRecord()));
+      const restored = Ride.fromRecord(record, () => driver);
+
+      expect(restored.history[1].at).toBeInstanceOf(Date);
+      expect(restored.getTimeline().metrics.timeToAssignMs).toBe(0);
+    });
+  });
+
+  describe('recordRoutePoint', () => {
+    test('traces the route from pickup to drop-off', () => {
+      const ride = new Ride('ride123', pickup, destination);
+      ride.assignDriver(driver, 60);
+
+      expect(ride.recordRoutePoint({ lat: 37.7760, lng: -122.4194 })).toBe(false); // rider not in the car yet
+
+      ride.updateStatus('arriving');
+      driver.location = pickup;
+      ride.updateStatus('inProgress');
+      expect(ride.recordRoutePoint({ lat: 37.7751, lng: -122.4194 })).toBe(false); // ~20 m on
+      expect(ride.recordRoutePoint({ lat: 37.7800, lng: -122.4194 })).toBe(true);
+
+      driver.location = destination;
+      ride.updateStatus('completed');
+
+      expect(ride.routeTaken.map(({ lat, lng }) => ({ lat, lng })))
+        .toEqual([pickup, { lat: 37.7800, lng: -122.4194 }, destination]);
+    });
+  });
+
+  describe('parseStops', () => {
+    test('keeps only the location fields of each stop', () => {
+      expect(Ride.parseStops([{ lat: 37.7899, lng: -122.4244, address: '789 Pine St', extra: true }]))
+        .toEqual([{ lat: 37.7899, lng: -122.4244, address: '789 Pine St' }]);
+    });
+
+    test('rejects stops without numeric coordinates on the globe', () => {
+      expect(() => Ride.parseStops([{ lat: '37.7899', lng: '-122.4244' }])).toThrow(ValidationError);
+      expect(() => Ride.parseStops([pickup, { lat: 137.7899, lng: -122.4244 }])).toThrow('Stop 2 must include');
+      expect(() => Ride.parseStops([null])).toThrow(ValidationError);
+    });
+  });
+});
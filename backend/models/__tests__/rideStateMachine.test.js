@@ -0,0 +1,170 @@
+/**
+ * Unit tests for rideStateMachine
+ * Tests that rides can only move through legal status transitions
+ */
+
+const Ride = require('../Ride');
+const {
+  RideStatus,
+  canTransition,
+  isTerminal,
+  assertTransition,
+  fromDriverStatus
+} = require('../rideStateMachine');
+const { InvalidTransitionError } = require('../../utils/errors');
+
+const pickup = { lat: 37.7749, lng: -122.4194 };
+const destination = { lat: 37.8049, lng: -122.3994 };
+const driver = { id: 'driver1', name: 'John Doe', location: pickup };
+
+function rideInStatus(...statuses) {
+  const ride = new Ride('ride123', pickup, destination);
+  ride.assignDriver(driver, 60);
+  statuses.forEach(status => ride.updateStatus(status));
+  return ride;
+}
+
+describe('rideStateMachine', () => {
+
+  describe('canTransition', () => {
+    test('allows the normal ride flow', () => {
+      const flow = ['searching', 'assigned', 'enRoute', 'arriving', 'inProgress', 'approachingDestination', 'completed'];
+
+      for (let i = 0; i < flow.length - 1; i++) {
+        expect(canTransition(flow[i], flow[i + 1])).toBe(true);
+      }
+    });
+
+    test('rejects moving a cancelled ride back into progress', () => {
+      expect(canTransition('cancelled', 'inProgress')).toBe(false);
+    });
+
+    test('rejects cancelling a completed ride', () => {
+      expect(canTransition('completed', 'cancelled')).toBe(false);
+    });
+
+    test('scheduled rides can only start searching or be cancelled', () => {
+      expect(canTransition('scheduled', 'searching')).toBe(true);
+      expect(canTransition('scheduled', 'cancelled')).toBe(true);
+      expect(canTransition('scheduled', 'assigned')).toBe(false);
+      expect(canTransition('searching', 'scheduled')).toBe(false);
+    });
+
+    test('only a driver waiting at pickup can report a no-show', () => {
+      expect(canTransition('arriving', 'noShow')).toBe(true);
+      expect(canTransition('enRoute', 'noShow')).toBe(false);
+      expect(canTransition('inProgress', 'noShow')).toBe(false);
+    });
+
+    test('rejects unknown statuses', () => {
+      expect(canTransition('searching', 'teleported')).toBe(false);
+      expect(canTransition('teleported', 'completed')).toBe(false);
+    });
+  });
+
+  describe('isTerminal', () => {
+    test('completed, cancelled, noShow and noDriversAvailable are terminal', () => {
+      expect(isTerminal('completed')).toBe(true);
+      expect(isTerminal('cancelled')).toBe(true);
+      expect(isTerminal('noShow')).toBe(true);
+      expect(isTerminal('noDriversAvailable')).toBe(true);
+      expect(isTerminal('enRoute')).toBe(false);
+    });
+  });
+
+  describe('assertTransition', () => {
+    test('throws a typed 409 error for illegal transitions', () => {
+      const ride = { status: 'completed', driver };
+
+      expect(() => assertTransition(ride, 'cancelled')).toThrow(InvalidTransitionError);
+
+      try {
+        assertTransition(ride, 'cancelled');
+      } catch (error) {
+        expect(error.statusCode).toBe(409);
+        expect(error.toJSON()).toEqual(expect.objectContaining({ from: 'completed', to: 'cancelled' }));
+      }
+    });
+
+    test('guards assignment on having a driver', () => {
+      const ride = { status: 'searching', driver: null };
+
+      expect(() => assertTransition(ride, 'assigned')).toThrow(/no driver assigned/);
+      expect(() => assertTransition(ride, 'assigned', { driver })).not.toThrow();
+    });
+  });
+
+  describe('fromDriverStatus', () => {
+    test('maps driver app statuses to ride statuses', () => {
+      expect(fromDriverStatus('arrived')).toBe(RideStatus.ARRIVING);
+      expect(fromDriverStatus('pickedUp')).toBe(RideStatus.IN_PROGRESS);
+      expect(fromDriverStatus('approaching')).toBe(RideStatus.APPROACHING_DESTINATION);
+      expect(fromDriverStatus('completed')).toBe(RideStatus.COMPLETED);
+    });
+  });
+
+  describe('Ride.updateStatus', () => {
+    test('moves through legal transitions', () => {
+      const ride = rideInStatus('enRoute', 'arriving', 'inProgress');
+
+      expect(ride.status).toBe('inProgress');
+    });
+
+    test('throws and leaves status unchanged on illegal transitions', () => {
+      const ride = rideInStatus('cancelled');
+
+      expect(() => ride.updateStatus('inProgress')).toThrow(InvalidTransitionError);
+      expect(ride.status).toBe('cancelled');
+    });
+
+    test('treats repeating the current status as a no-op', () => {
+      const ride = rideInStatus('enRoute', 'arriving');
+
+      expect(ride.updateStatus('arriving')).toBe(false);
+      expect(ride.status).toBe('arriving');
+    });
+
+    test('rides with stops cannot finish until every stop is done', () => {
+      const ride = new Ride('ride123', pickup, destination, null, { stops: [{ lat: 37.78, lng: -122.415 }] });
+      ride.assignDriver(driver, 60);
+      ride.updateStatus('arriving');
+      ride.updateStatus('inProgress');
+
+      expect(() => ride.updateStatus('completed')).toThrow('1 stop(s) not done yet');
+
+      ride.updateStatus('arrivedAtStop');
+      ride.updateStatus('inProgress');
+
+      expect(() => ride.updateStatus('arrivedAtStop')).toThrow(InvalidTransitionError);
+      expect(ride.updateStatus('completed')).toBe(true);
+    });
+
+    test('goes back to inProgress when the destination changes while approaching it', () => {
+      const ride = rideInStatus('enRoute', 'arriving', 'inProgress', 'approachingDestination');
+
+      expect(ride.updateStatus('inProgress')).toBe(true);
+      expect(() => ride.updateStatus('arriving')).toThrow(InvalidTransitionError);
+    });
+
+    test('unassignDriver sends the ride back to searching until pickup', () => {
+      const ride = rideInStatus('enRoute', 'arriving');
+
+      ride.unassignDriver();
+      expect(ride.status).toBe('searching');
+      expect(ride.excludedDriverIds).toEqual([driver.id]);
+
+      ride.assignDriver(driver, 60);
+      ride.updateStatus('arriving');
+      ride.updateStatus('inProgress');
+      expect(() => ride.unassignDriver()).toThrow(InvalidTransitionError);
+    });
+
+    test('assignDriver rejects rides that are no longer searching', () => {
+      const ride = new Ride('ride123', pickup, destination);
+      ride.updateStatus('cancelled');
+
+      expect(() => ride.assignDriver(driver, 60)).toThrow(InvalidTransitionError);
+      expect(ride.driver).toBeNull();
+    });
+  });
+});
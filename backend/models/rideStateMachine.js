@@ -0,0 +1,121 @@
+/**
+ * Ride State Machine
+ * Legal ride status transitions and the guards that protect them
+ */
+
+const { InvalidTransitionError } = require('../utils/errors');
+
+const RideStatus = Object.freeze({
+  SCHEDULED: 'scheduled',
+  SEARCHING: 'searching',
+  ASSIGNED: 'assigned',
+  EN_ROUTE: 'enRoute',
+  ARRIVING: 'arriving',
+  IN_PROGRESS: 'inProgress',
+  ARRIVED_AT_STOP: 'arrivedAtStop',
+  APPROACHING_DESTINATION: 'approachingDestination',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+  NO_SHOW: 'noShow',
+  NO_DRIVERS_AVAILABLE: 'noDriversAvailable'
+});
+
+// status -> statuses it may move to
+const TRANSITIONS = {
+  scheduled: ['searching', 'cancelled'],
+  searching: ['assigned', 'cancelled', 'noDriversAvailable'],
+  assigned: ['enRoute', 'arriving', 'cancelled', 'searching'], // back to searching if the driver cancels
+  enRoute: ['arriving', 'cancelled', 'searching'],
+  arriving: ['inProgress', 'cancelled', 'searching', 'noShow'], // noShow if the rider never turns up
+  inProgress: ['arrivedAtStop', 'approachingDestination', 'completed'],
+  arrivedAtStop: ['inProgress'],
+  approachingDestination: ['inProgress', 'completed'], // back to inProgress if the destination changes
+  completed: [],
+  cancelled: [],
+  noShow: [],
+  noDriversAvailable: []
+};
+
+const requiresDriver = ride => (ride.driver ? null : 'no driver assigned');
+
+const pendingStops = ride => (ride.stops || []).filter(stop => !stop.completedAt).length;
+
+const requiresPendingStop = ride => requiresDriver(ride) ||
+  (pendingStops(ride) > 0 ? null : 'no stops left');
+
+const requiresAllStopsDone = ride => requiresDriver(ride) ||
+  (pendingStops(ride) === 0 ? null : `${pendingStops(ride)} stop(s) not done yet`);
+
+// status -> guard returning a failure reason (or null when the ride may enter it)
+const GUARDS = {
+  assigned: requiresDriver,
+  enRoute: requiresDriver,
+  arriving: requiresDriver,
+  noShow: requiresDriver,
+  inProgress: requiresDriver,
+  arrivedAtStop: requiresPendingStop,
+  approachingDestination: requiresAllStopsDone,
+  completed: requiresAllStopsDone
+};
+
+// Statuses reported by the driver app -> ride statuses
+const DRIVER_STATUS_MAP = {
+  accepted: 'assigned',
+  arrived: 'arriving',
+  pickedUp: 'inProgress',
+  stopCompleted: 'inProgress',
+  approaching: 'approachingDestination',
+  completed: 'completed'
+};
+
+/**
+ * Check whether a status may move to another (ignores guards)
+ */
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Whether a status is final
+ */
+function isTerminal(status) {
+  return (TRANSITIONS[status] || []).length === 0;
+}
+
+/**
+ * Throw unless a ride may move to a status
+ * @param {object} ride - Ride (or ride-like object with status/driver)
+ * @param {string} to - Target status
+ * @param {object} changes - Fields the ride will have once it moves (e.g. { driver })
+ * @throws {InvalidTransitionError}
+ */
+function assertTransition(ride, to, changes = {}) {
+  const from = ride.status;
+
+  if (!canTransition(from, to)) {
+    throw new InvalidTransitionError(from, to);
+  }
+
+  const guard = GUARDS[to];
+  const failure = guard ? guard({ ...ride, ...changes }) : null;
+  if (failure) {
+    throw new InvalidTransitionError(from, to, failure);
+  }
+}
+
+/**
+ * Map a driver app status (arrived, pickedUp, ...) to a ride status
+ */
+function fromDriverStatus(driverStatus) {
+  return DRIVER_STATUS_MAP[driverStatus] || driverStatus;
+}
+
+module.exports = {
+  RideStatus,
+  TRANSITIONS,
+  DRIVER_STATUS_MAP,
+  canTransition,
+  isTerminal,
+  assertTransition,
+  fromDriverStatus
+};
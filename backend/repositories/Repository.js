@@ -0,0 +1,110 @@
+/**
+ * Repository
+ * Map-like access to one storage collection
+ *
+ * Keeps live entities in memory and writes a serialized record through
+ * the storage adapter every time an entity is saved or deleted.
+ */
+
+class Repository {
+  /**
+   * @param {object} adapter - Storage adapter (see storage/)
+   * @param {string} collection - Collection name in the adapter
+   * @param {object} options - { key, serialize, deserialize }
+   */
+  constructor(adapter, collection, options = {}) {
+    this.adapter = adapter;
+    this.collection = collection;
+    this.key = options.key || (entity => entity.id);
+    this.serialize = options.serialize || (entity => entity);
+    this.deserialize = options.deserialize || (record => record);
+    this.entities = new Map(); // id -> live entity
+
+    // Restore whatever the adapter already holds
+    for (const [id, record] of this.adapter.load(this.collection)) {
+      this.entities.set(id, this.deserialize(record));
+    }
+  }
+
+  /**
+   * Get an entity by ID
+   */
+  get(id) {
+    return this.entities.get(id);
+  }
+
+  /**
+   * Check whether an entity exists
+   */
+  has(id) {
+    return this.entities.has(id);
+  }
+
+  /**
+   * Insert or update an entity
+   * Call again after mutating an entity to persist the change.
+   */
+  save(entity) {
+    const id = this.key(entity);
+    this.entities.set(id, entity);
+    this.adapter.write(this.collection, id, this.serialize(entity));
+    return entity;
+  }
+
+  /**
+   * Delete an entity by ID
+   * @returns {boolean} true if an entity was removed
+   */
+  delete(id) {
+    const existed = this.entities.delete(id);
+    if (existed) {
+      this.adapter.remove(this.collection, id);
+    }
+    return existed;
+  }
+
+  /**
+   * Remove every entity
+   */
+  clear() {
+    this.entities.clear();
+    this.adapter.clear(this.collection);
+  }
+
+  /**
+   * Get all entities
+   */
+  all() {
+    return Array.from(this.entities.values());
+  }
+
+  /**
+   * Get all entity IDs
+   */
+  ids() {
+    return Array.from(this.entities.keys());
+  }
+
+  /**
+   * Find the first entity matching a predicate
+   */
+  find(predicate) {
+    return this.all().find(predicate);
+  }
+
+  /**
+   * Get all entities matching a predicate
+   */
+  filter(predicate) {
+    return this.all().filter(predicate);
+  }
+
+  /**
+   * Number of stored entities
+   */
+  count() {
+    return this.entities.size;
+  }
+}
+
+module.exports = Repository;
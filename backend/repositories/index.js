@@ -0,0 +1,85 @@
+/**
+ * Repositories
+ * One repository per stored collection, all sharing the configured storage adapter
+ */
+
+const storage = require('../storage');
+const Repository = require('./Repository');
+const Driver = require('../models/Driver');
+const Ride = require('../models/Ride');
+const Rider = require('../models/Rider');
+
+/**
+ * Revive Date fields of a plain stored record
+ */
+function reviveDates(...fields) {
+  return (record) => {
+    for (const field of fields) {
+      if (record[field]) {
+        record[field] = new Date(record[field]);
+      }
+    }
+    return record;
+  };
+}
+
+// Drivers must load before rides so rides can relink their driver
+const driverRepository = new Repository(storage, 'drivers', {
+  serialize: driver => driver.toRecord(),
+  deserialize: record => Driver.fromRecord(record)
+});
+
+const rideRepository = new Repository(storage, 'rides', {
+  serialize: ride => ride.toRecord(),
+  deserialize: record => Ride.fromRecord(record, id => driverRepository.get(id))
+});
+
+// rideId -> offer sent to a logged-in driver
+const rideOfferRepository = new Repository(storage, 'pendingRideOffers', {
+  key: offer => offer.rideId
+});
+
+// driverId -> driver session
+const driverSessionRepository = new Repository(storage, 'driverSessions', {
+  key: session => session.driverId,
+  deserialize: reviveDates('loginTime', 'lastUpdate', 'expiresAt')
+});
+
+const riderRepository = new Repository(storage, 'riders', {
+  serialize: rider => rider.toRecord(),
+  deserialize: record => Rider.fromRecord(record)
+});
+
+// quoteId -> upfront fare quote
+const quoteRepository = new Repository(storage, 'quotes', {
+  deserialize: reviveDates('createdAt', 'expiresAt', 'redeemedAt')
+});
+
+// riderId -> rider session
+const riderSessionRepository = new Repository(storage, 'riderSessions', {
+  key: session => session.riderId,
+  deserialize: reviveDates('loginTime', 'expiresAt')
+});
+
+// driverId -> current simulated offer (driver app testing)
+const simulatedOfferRepository = new Repository(storage, 'simulatedRideOffers', {
+  key: offer => offer.driverId
+});
+
+// rideId -> active simulated ride (driver app testing)
+const simulatedRideRepository = new Repository(storage, 'activeSimulatedRides', {
+  key: ride => ride.rideId,
+  deserialize: reviveDates('acceptedAt')
+});
+
+module.exports = {
+  driverRepository,
+  rideRepository,
+  rideOfferRepository,
+  riderRepository,
+  quoteRepository,
+  driverSessionRepository,
+  riderSessionRepository,
+  simulatedOfferRepository,
+  simulatedRideRepository
+};
@@ -0,0 +1,276 @@
+/**
+ * Route tests for driver login and WebSocket registration
+ * Tests that a driver token is only issued for the driver's password, and
+ * that only a live driver token hooks a connection up for pushed offers, and
+ * that simulated rides follow the ride state machine's guards
+ */
+
+// Seeded drivers log in with this password
+process.env.DRIVER_SEED_PASSWORD = 'correct horse';
+
+const express = require('express');
+const { router, registerDriverConnection } = require('../drivers');
+const driverNotifier = require('../../services/driverNotifier');
+const driverPool = require('../../services/driverPool');
+const errorHandler = require('../../middleware/errorHandler');
+const { driverSessionRepository, simulatedOfferRepository, simulatedRideRepository } = require('../../repositories');
+const { verifyToken } = require('../../utils/tokens');
+
+// Don't send simulated ride offers to logged-in drivers during tests
+jest.mock('../../services/rideRequestSimulator');
+
+describe('POST /api/drivers/login', () => {
+  let server;
+  let baseUrl;
+
+  const post = (path, body, token) => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: JSON.stringify(body)
+  });
+
+  const login = body => post('/api/drivers/login', body);
+
+  beforeAll(done => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/drivers', router);
+    app.use(errorHandler);
+
+    server = app.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    driverSessionRepository.clear();
+  });
+
+  test('issues a driver token for the right password', async () => {
+    const res = await login({ driverId: 'driver_1', password: 'correct horse' });
+    const body = await res.json();
+
+    expect(res.status).toBe(200);
+    expect(verifyToken(body.token)).toEqual(expect.objectContaining({ sub: 'driver_1', role: 'driver' }));
+    expect(body.driver).not.toHaveProperty('passwordHash');
+  });
+
+  test('rejects a wrong or missing password', async () => {
+    for (const password of ['wrong horse', undefined]) {
+      const res = await login({ driverId: 'driver_1', password });
+
+      expect(res.status).toBe(401);
+      expect(await res.json()).toEqual(expect.objectContaining({ error: 'Invalid credentials' }));
+    }
+    expect(driverSessionRepository.get('driver_1')).toBeUndefined();
+  });
+
+  test('answers an unknown driver like a wrong password', async () => {
+    const res = await login({ driverId: 'driver_999', password: 'correct horse' });
+
+    expect(res.status).toBe(401);
+  });
+
+  test('a failed login leaves the driver\'s session alone', async () => {
+    const { token } = await (await login({ driverId: 'driver_1', password: 'correct horse' })).json();
+    const session = driverSessionRepository.get('driver_1');
+
+    await login({ driverId: 'driver_1', password: 'wrong horse' });
+
+    expect(driverSessionRepository.get('driver_1')).toBe(session);
+    expect((await post('/api/drivers/driver_1/logout', {}, token)).status).toBe(200);
+  });
+});
+
+describe('registerDriverConnection', () => {
+  let token;
+
+  // Stand-in for an open WebSocket connection
+  const connection = () => ({ readyState: 1, send: jest.fn() });
+  const sent = ws => ws.send.mock.calls.map(([message]) => JSON.parse(message));
+
+  const loginToken = async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/drivers', router);
+
+    const server = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+    const res = await fetch(`http://localhost:${server.address().port}/api/drivers/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ driverId: 'driver_1', password: 'correct horse' })
+    });
+    await new Promise(resolve => server.close(resolve));
+    return (await res.json()).token;
+  };
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    driverSessionRepository.clear();
+    simulatedOfferRepository.clear();
+    driverNotifier.unregisterDriver('driver_1');
+
+    token = await loginToken();
+  });
+
+  afterEach(() => {
+    driverNotifier.unregisterDriver('driver_1');
+    console.log.mockRestore();
+  });
+
+  test('registers a connection with the driver\'s token', () => {
+    const ws = connection();
+
+    registerDriverConnection(ws, token);
+
+    expect(sent(ws)).toEqual([expect.objectContaining({ type: 'driverRegistered', driverId: 'driver_1' })]);
+    expect(ws.driverId).toBe('driver_1');
+    expect(driverNotifier.isDriverConnected('driver_1')).toBe(true);
+  });
+
+  test('rejects a missing, wrong or revoked token', () => {
+    const tampered = `${token.slice(0, -2)}${token.endsWith('AA') ? 'BB' : 'AA'}`;
+    const revoked = token;
+    driverSessionRepository.delete('driver_1'); // logged out
+
+    const cases = [
+      [undefined, 'A valid session token is required'],
+      [tampered, 'Invalid session token'],
+      [revoked, 'Session token has been revoked']
+    ];
+    for (const [badToken, message] of cases) {
+      const ws = connection();
+
+      registerDriverConnection(ws, badToken);
+
+      expect(sent(ws)).toEqual([{ type: 'error', error: 'Unauthorized', message }]);
+      expect(ws.driverId).toBeUndefined();
+    }
+    expect(driverNotifier.isDriverConnected('driver_1')).toBeFalsy();
+  });
+
+  test('sends the offer the driver is already holding', () => {
+    simulatedOfferRepository.save({ rideId: 'ride1', driverId: 'driver_1', simulated: true });
+    const ws = connection();
+
+    registerDriverConnection(ws, token);
+
+    expect(sent(ws).map(message => message.type)).toEqual(['driverRegistered', 'rideRequest']);
+    expect(sent(ws)[1].data.rideId).toBe('ride1');
+  });
+
+  test('a newer connection replaces the old one, which closing no longer unregisters', () => {
+    const oldWs = connection();
+    const newWs = connection();
+    registerDriverConnection(oldWs, token);
+    registerDriverConnection(newWs, token);
+
+    // What the server does when the old connection closes
+    driverNotifier.unregisterDriver(oldWs.driverId, oldWs);
+
+    expect(driverNotifier.isDriverConnected('driver_1')).toBe(true);
+    expect(driverNotifier.notifyDriver('driver_1', { rideId: 'ride1' })).toBe(true);
+    expect(sent(newWs).pop()).toEqual({ type: 'rideRequest', data: { rideId: 'ride1' } });
+    expect(sent(oldWs).map(message => message.type)).toEqual(['driverRegistered']);
+
+    driverNotifier.unregisterDriver(newWs.driverId, newWs);
+    expect(driverNotifier.isDriverConnected('driver_1')).toBeFalsy();
+  });
+
+  test('offers and cancellations are pushed to the connected driver', () => {
+    const ws = connection();
+    registerDriverConnection(ws, token);
+
+    expect(driverNotifier.notifyDriver('driver_1', { rideId: 'ride1', fare: 12.5 })).toBe(true);
+    driverNotifier.cancelOffer('driver_1', 'ride1');
+    expect(driverNotifier.notifyRideCancelled('driver_1', { rideId: 'ride2', reason: 'changedPlans' })).toBe(true);
+
+    expect(sent(ws).slice(1)).toEqual([
+      { type: 'rideRequest', data: { rideId: 'ride1', fare: 12.5 } },
+      { type: 'rideCancelled', data: { rideId: 'ride1' } },
+      { type: 'rideCancelled', data: { rideId: 'ride2', reason: 'changedPlans' } }
+    ]);
+  });
+
+  test('nothing is pushed once the connection has closed', () => {
+    const ws = connection();
+    registerDriverConnection(ws, token);
+    ws.readyState = 3; // CLOSED
+
+    expect(driverNotifier.notifyDriver('driver_1', { rideId: 'ride1' })).toBe(false);
+    expect(driverNotifier.notifyRideCancelled('driver_1', { rideId: 'ride1' })).toBe(false);
+    expect(ws.send).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('PUT /api/drivers/:driverId/rides/:rideId/status for simulated rides', () => {
+  let server;
+  let baseUrl;
+  let token;
+
+  const send = (method, path, body) => fetch(`${baseUrl}/api/drivers${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: JSON.stringify(body)
+  });
+
+  const updateStatus = status => send('PUT', '/driver_1/rides/sim1/status', { status });
+
+  beforeAll(done => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/drivers', router);
+    app.use(errorHandler);
+
+    server = app.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    driverSessionRepository.clear();
+    token = (await (await send('POST', '/login', { driverId: 'driver_1', password: 'correct horse' })).json()).token;
+
+    simulatedRideRepository.save({ rideId: 'sim1', driverId: 'driver_1', status: 'pickedUp', estimatedEarnings: 10 });
+    driverPool.assignDriver('driver_1', 'sim1');
+  });
+
+  afterEach(() => {
+    simulatedRideRepository.clear();
+    driverPool.releaseDriver('driver_1');
+    console.log.mockRestore();
+  });
+
+  test('can\'t arrive at a stop, since simulated rides have none', async () => {
+    const res = await updateStatus('arrivedAtStop');
+
+    expect(res.status).toBe(409);
+    expect((await res.json()).message).toBe('Cannot move ride from inProgress to arrivedAtStop: no stops left');
+    expect(simulatedRideRepository.get('sim1').status).toBe('pickedUp');
+  });
+
+  test('drives on to the destination', async () => {
+    expect((await updateStatus('approaching')).status).toBe(200);
+    expect((await updateStatus('completed')).status).toBe(200);
+    expect(simulatedRideRepository.get('sim1')).toBeUndefined();
+  });
+});
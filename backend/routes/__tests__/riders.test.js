@@ -0,0 +1,195 @@
+/**
+ * Route tests for rider accounts
+ * Tests registration, login, guest sessions, logout and ride history
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { router } = require('../riders');
+const Ride = require('../../models/Ride');
+const errorHandler = require('../../middleware/errorHandler');
+const { riderRepository, riderSessionRepository, rideRepository } = require('../../repositories');
+
+const pickup = { lat: 37.7749, lng: -122.4194 };
+const destination = { lat: 37.8049, lng: -122.4094 };
+
+describe('rider routes', () => {
+  let server;
+  let baseUrl;
+
+  const request = async (method, path, { body, token } = {}) => {
+    const res = await fetch(`${baseUrl}/api/riders${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  const register = (body = {}) => request('POST', '/register', {
+    body: { name: 'Ada', email: 'ada@example.com', password: 'correct horse', ...body }
+  });
+
+  beforeAll(done => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/riders', router);
+    app.use(errorHandler);
+
+    server = app.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    riderRepository.clear();
+    riderSessionRepository.clear();
+    rideRepository.clear();
+  });
+
+  describe('POST /register', () => {
+    test('creates an account with a hashed password and starts a session', async () => {
+      const { status, body } = await register({ email: ' Ada@Example.com ' });
+
+      expect(status).toBe(201);
+      expect(body.rider).toEqual(expect.objectContaining({ name: 'Ada', email: 'ada@example.com' }));
+      expect(body.rider).not.toHaveProperty('passwordHash');
+      expect(body.token).toEqual(expect.any(String));
+      expect(riderRepository.get(body.rider.id).passwordHash).not.toContain('correct horse');
+    });
+
+    test('rejects an email that is already registered', async () => {
+      await register();
+
+      const { status, body } = await register({ email: 'ADA@example.com' });
+
+      expect(status).toBe(409);
+      expect(body.error).toBe('Email already registered');
+    });
+
+    test('rejects short passwords and invalid emails', async () => {
+      expect((await register({ password: 'short' })).status).toBe(400);
+      expect((await register({ email: 'ada' })).status).toBe(400);
+    });
+  });
+
+  describe('POST /login', () => {
+    test('starts a session for the right password', async () => {
+      const { body: { rider } } = await register();
+
+      const { status, body } = await request('POST', '/login', { body: { email: 'ada@example.com', password: 'correct horse' } });
+
+      expect(status).toBe(200);
+      expect(body.rider.id).toBe(rider.id);
+      expect(riderSessionRepository.get(rider.id)).toBeDefined();
+    });
+
+    test('rejects a wrong password or unknown email', async () => {
+      await register();
+
+      const wrongPassword = await request('POST', '/login', { body: { email: 'ada@example.com', password: 'wrong horse' } });
+      const unknownEmail = await request('POST', '/login', { body: { email: 'bob@example.com', password: 'correct horse' } });
+
+      expect(wrongPassword.status).toBe(401);
+      expect(unknownEmail.status).toBe(401);
+      expect(wrongPassword.body.error).toBe('Invalid credentials');
+    });
+
+    test('checks a password for an unknown email too', async () => {
+      await register();
+      const scrypt = jest.spyOn(crypto, 'scryptSync');
+
+      await request('POST', '/login', { body: { email: 'bob@example.com', password: 'correct horse' } });
+
+      expect(scrypt).toHaveBeenCalledWith('correct horse', expect.any(String), 64);
+      scrypt.mockRestore();
+    });
+  });
+
+  describe('guest sessions and logout', () => {
+    test('a guest gets a rider ID and token without an account', async () => {
+      const { status, body } = await request('POST', '/guest');
+
+      expect(status).toBe(201);
+      expect(body.riderId).toMatch(/^rider_/);
+      expect(riderRepository.count()).toBe(0);
+      expect(riderSessionRepository.get(body.riderId)).toBeDefined();
+    });
+
+    test('expired sessions are removed when a new one starts', async () => {
+      const { body: guest } = await request('POST', '/guest');
+      riderSessionRepository.get(guest.riderId).expiresAt = new Date(Date.now() - 1000);
+
+      const { body: next } = await request('POST', '/guest');
+
+      expect(riderSessionRepository.get(guest.riderId)).toBeUndefined();
+      expect(riderSessionRepository.get(next.riderId)).toBeDefined();
+    });
+
+    test('logging out revokes the token', async () => {
+      const { body: { riderId, token } } = await request('POST', '/guest');
+
+      expect((await request('POST', '/logout', { token })).status).toBe(200);
+      expect(riderSessionRepository.get(riderId)).toBeUndefined();
+      expect((await request('POST', '/logout', { token })).status).toBe(401);
+    });
+  });
+
+  describe('GET /:riderId/rides', () => {
+    let riderId;
+    let token;
+
+    const addRide = (id, createdAt, cancelled = false, owner = riderId) => {
+      const ride = new Ride(id, pickup, destination, owner);
+      ride.createdAt = new Date(createdAt);
+      if (cancelled) {
+        ride.updateStatus('cancelled');
+      }
+      rideRepository.save(ride);
+    };
+
+    const history = async query => (await request('GET', `/${riderId}/rides${query}`, { token })).body;
+
+    beforeEach(async () => {
+      ({ body: { riderId, token } } = await request('POST', '/guest'));
+
+      addRide('ride1', '2024-01-10T10:00:00Z', true);
+      addRide('ride2', '2024-01-15T10:00:00Z');
+      addRide('ride3', '2024-01-20T10:00:00Z', true);
+      addRide('other', '2024-01-15T10:00:00Z', false, 'rider_other');
+    });
+
+    test('lists only the rider\'s rides, newest first', async () => {
+      const { count, rides } = await history('');
+
+      expect(count).toBe(3);
+      expect(rides.map(ride => ride.rideId)).toEqual(['ride3', 'ride2', 'ride1']);
+    });
+
+    test('filters by status and date range', async () => {
+      expect((await history('?status=cancelled')).rides.map(ride => ride.rideId)).toEqual(['ride3', 'ride1']);
+      expect((await history('?status=searching,cancelled&from=2024-01-12&to=2024-01-18')).rides.map(ride => ride.rideId))
+        .toEqual(['ride2']);
+    });
+
+    test('rejects invalid dates', async () => {
+      const { status } = await request('GET', `/${riderId}/rides?from=soon`, { token });
+
+      expect(status).toBe(400);
+    });
+
+    test('riders can\'t list another rider\'s rides', async () => {
+      const { status } = await request('GET', '/rider_other/rides', { token });
+
+      expect(status).toBe(403);
+    });
+  });
+});
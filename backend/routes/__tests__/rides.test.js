@@ -0,0 +1,354 @@
+/**
+ * Tests for the rides routes
+ * Tests location validation, tipping, WebSocket subscriptions, simulated
+ * riders at the pickup and resuming simulations for rides restored from storage
+ */
+
+const express = require('express');
+const { router, resumeActiveRides, authorizeRideSubscription } = require('../rides');
+const Ride = require('../../models/Ride');
+const driverPool = require('../../services/driverPool');
+const driverSimulator = require('../../services/driverSimulator');
+const poolService = require('../../services/poolService');
+const cancellationService = require('../../services/cancellationService');
+const fareConfig = require('../../config/fareConfig');
+const errorHandler = require('../../middleware/errorHandler');
+const { signToken } = require('../../utils/tokens');
+const { AuthenticationError, ForbiddenError, NotFoundError } = require('../../utils/errors');
+const { rideRepository, driverSessionRepository, riderSessionRepository } = require('../../repositories');
+
+const at = lat => ({ lat, lng: -122.4194 });
+
+describe('resumeActiveRides', () => {
+  let driver;
+
+  const restoreRide = (id, from, to, options = {}) => {
+    const ride = new Ride(id, at(from), at(to), `rider_${id}`, options);
+    ride.assignDriver(driver, 60);
+    rideRepository.save(ride);
+    return ride;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    rideRepository.clear();
+    driverSessionRepository.clear();
+    poolService.clear();
+
+    driver = driverPool.getAllDrivers().find(d => poolService.getSeatCapacity(d.vehicleType) > 0);
+    driverPool.updateDriverLocation(driver.id, 37.7700, -122.4194);
+  });
+
+  afterEach(() => {
+    driverSimulator.stopAll();
+    poolService.clear();
+    jest.useRealTimers();
+    console.log.mockRestore();
+  });
+
+  test('puts a driver\'s pooled rides back into one trip and one simulation', () => {
+    const first = restoreRide('a', 37.7750, 37.8050, { pooled: true });
+    const second = restoreRide('b', 37.7850, 37.7950, { pooled: true });
+
+    expect(resumeActiveRides()).toBe(2);
+
+    const trip = poolService.getTrip(driver.id);
+    expect([...trip.rides.keys()].sort()).toEqual(['a', 'b']);
+    expect(trip.waypoints.map(w => `${w.rideId}:${w.type}`)).toEqual(['a:pickup', 'b:pickup', 'b:dropoff', 'a:dropoff']);
+    expect(driverSimulator.getSimulation('a')).toBe(driverSimulator.getSimulation('b'));
+    expect(driverSimulator.getSimulation('a').pooled).toBe(true);
+
+    jest.advanceTimersByTime(1000);
+    expect(first.status).toBe('enRoute');
+    expect(second.status).toBe('enRoute');
+  });
+
+  test('goes back first to a pooled rider the driver was waiting for', () => {
+    restoreRide('a', 37.7750, 37.8050, { pooled: true });
+    const waitingFor = restoreRide('b', 37.7850, 37.7950, { pooled: true });
+    waitingFor.updateStatus('enRoute');
+    waitingFor.updateStatus('arriving');
+    driverPool.updateDriverLocation(driver.id, waitingFor.pickup.lat, waitingFor.pickup.lng);
+
+    resumeActiveRides();
+
+    expect(poolService.getTrip(driver.id).waypoints[0]).toEqual(expect.objectContaining({ rideId: 'b', type: 'pickup' }));
+
+    // The rider gets in by themselves once the driver is back at the pickup
+    jest.advanceTimersByTime(fareConfig.noShow.simulatedBoardingSeconds * 1000);
+    expect(waitingFor.status).toBe('inProgress');
+  });
+
+  test('single rides each get their own simulation', () => {
+    restoreRide('a', 37.7750, 37.8050);
+    restoreRide('b', 37.7850, 37.7950);
+
+    expect(resumeActiveRides()).toBe(2);
+
+    expect(poolService.getTrip(driver.id)).toBeNull();
+    expect(driverSimulator.getSimulation('a')).not.toBe(driverSimulator.getSimulation('b'));
+  });
+});
+
+describe('simulated riders at the pickup', () => {
+  let driver;
+  let ride;
+
+  // A simulated driver parked at the pickup, as after a restart
+  const waitAtPickup = () => {
+    ride = new Ride('ride1', at(37.7750), at(37.8050), 'rider_1');
+    ride.assignDriver(driver, 60);
+    ride.updateStatus('enRoute');
+    ride.updateStatus('arriving');
+    rideRepository.save(ride);
+    driverPool.updateDriverLocation(driver.id, ride.pickup.lat, ride.pickup.lng);
+
+    resumeActiveRides();
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    rideRepository.clear();
+    driverSessionRepository.clear();
+    driver = driverPool.getAllDrivers()[0];
+  });
+
+  afterEach(() => {
+    fareConfig.noShow.simulatedBoardingSeconds = 5;
+    driverSimulator.stopAll();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('get in by themselves and the ride completes without a fee', () => {
+    waitAtPickup();
+
+    jest.advanceTimersByTime(fareConfig.noShow.simulatedBoardingSeconds * 1000);
+    expect(ride.status).toBe('inProgress');
+
+    jest.advanceTimersByTime(10 * 60 * 1000);
+    expect(ride.status).toBe('completed');
+    expect(ride.cancellation).toBeFalsy();
+  });
+
+  test('are only no-shows when the config says they never get in', () => {
+    fareConfig.noShow.simulatedBoardingSeconds = null;
+    waitAtPickup();
+
+    jest.advanceTimersByTime((fareConfig.noShow.gracePeriodSeconds - 1) * 1000);
+    expect(ride.status).toBe('arriving');
+
+    jest.advanceTimersByTime(1000);
+    expect(ride.status).toBe('noShow');
+    expect(ride.cancellation).toEqual(expect.objectContaining({ reason: 'noShow', fee: fareConfig.noShow.fee }));
+  });
+
+  test('a failed no-show report is logged, not thrown from the timer', () => {
+    fareConfig.noShow.simulatedBoardingSeconds = null;
+    jest.spyOn(cancellationService, 'reportNoShow').mockImplementation(() => {
+      throw new Error('Cannot move ride from cancelled to noShow');
+    });
+    waitAtPickup();
+
+    expect(() => jest.advanceTimersByTime(fareConfig.noShow.gracePeriodSeconds * 1000)).not.toThrow();
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('ride1'), 'Cannot move ride from cancelled to noShow');
+  });
+});
+
+describe('POST /api/rides/:rideId/tip', () => {
+  let server;
+  let baseUrl;
+  let token;
+  let ride;
+
+  const tip = (body, rideId = ride.id, auth = token) => fetch(`${baseUrl}/api/rides/${rideId}/tip`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${auth}` },
+    body: JSON.stringify(body)
+  }).then(async res => ({ status: res.status, body: await res.json() }));
+
+  const riderToken = riderId => {
+    const session = signToken({ sub: riderId, role: 'rider' });
+    riderSessionRepository.save({ riderId, tokenId: session.tokenId });
+    return session.token;
+  };
+
+  beforeAll(done => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/rides', router);
+    app.use(errorHandler);
+
+    server = app.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    rideRepository.clear();
+    riderSessionRepository.clear();
+    driverSessionRepository.clear();
+
+    token = riderToken('rider_1');
+    ride = new Ride('ride1', at(37.7750), at(37.8050), 'rider_1');
+    ride.assignDriver({ id: 'driver_1', name: 'John Doe' }, 60);
+    ['enRoute', 'arriving', 'inProgress', 'completed'].forEach(status => ride.updateStatus(status));
+    rideRepository.save(ride);
+    driverSessionRepository.save({ driverId: 'driver_1', tokenId: 'token_1', totalEarnings: 20 });
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('adds the tip to the ride and the driver\'s earnings', async () => {
+    const { status, body } = await tip({ tip: 3.456 });
+
+    expect(status).toBe(201);
+    expect(body).toEqual({ success: true, rideId: 'ride1', tip: 3.46 });
+    expect(ride.tip).toBe(3.46);
+    expect(driverSessionRepository.get('driver_1').totalEarnings).toBe(23.46);
+  });
+
+  test('a ride can only be tipped once', async () => {
+    await tip({ tip: 2 });
+
+    const { status, body } = await tip({ tip: 5 });
+
+    expect(status).toBe(409);
+    expect(body.error).toBe('Already tipped');
+    expect(ride.tip).toBe(2);
+  });
+
+  test('rejects missing, zero, oversized and non-numeric tips', async () => {
+    for (const body of [{}, { tip: 0 }, { tip: 1000 }, { tip: '5' }]) {
+      expect((await tip(body)).status).toBe(400);
+    }
+    expect(ride.tip).toBe(0);
+  });
+
+  test('only completed rides can be tipped', async () => {
+    const active = new Ride('ride2', at(37.7750), at(37.8050), 'rider_1');
+    rideRepository.save(active);
+
+    const { status, body } = await tip({ tip: 2 }, 'ride2');
+
+    expect(status).toBe(409);
+    expect(body.error).toBe('Ride not completed');
+  });
+
+  test('only the ride\'s rider can tip', async () => {
+    expect((await tip({ tip: 2 }, 'ride1', riderToken('rider_2'))).status).toBe(403);
+    expect((await tip({ tip: 2 }, 'missing')).status).toBe(404);
+    expect(ride.tip).toBe(0);
+  });
+
+  test('rating and tipping are separate', async () => {
+    const res = await fetch(`${baseUrl}/api/rides/ride1/rating`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ rating: 5 })
+    });
+
+    expect(res.status).toBe(201);
+    expect(await res.json()).not.toHaveProperty('tip');
+
+    expect((await tip({ tip: 4 })).status).toBe(201);
+  });
+});
+
+describe('POST /api/rides/request', () => {
+  let server;
+  let baseUrl;
+  let token;
+
+  const requestRide = body => fetch(`${baseUrl}/api/rides/request`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body)
+  }).then(async res => ({ status: res.status, body: await res.json() }));
+
+  beforeAll(done => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/rides', router);
+    app.use(errorHandler);
+
+    server = app.listen(0, () => {
+      baseUrl = `http://localhost:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    rideRepository.clear();
+    riderSessionRepository.clear();
+
+    const session = signToken({ sub: 'rider_1', role: 'rider' });
+    riderSessionRepository.save({ riderId: 'rider_1', tokenId: session.tokenId });
+    token = session.token;
+  });
+
+  test('rejects string and out-of-range coordinates', async () => {
+    const cases = [
+      [{ pickup: { lat: '37.775', lng: '-122.4194' }, destination: at(37.805) }, 'Invalid pickup location'],
+      [{ pickup: at(37.775), destination: { lat: 37.805, lng: -222.4 } }, 'Invalid destination location'],
+      [{ pickup: at(37.775), destination: at(37.805), stops: [{ lat: '37.79', lng: -122.4194 }] }, 'Invalid request']
+    ];
+
+    for (const [body, error] of cases) {
+      const res = await requestRide(body);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe(error);
+    }
+    expect(rideRepository.count()).toBe(0);
+  });
+});
+
+describe('authorizeRideSubscription', () => {
+  let token;
+
+  beforeEach(() => {
+    rideRepository.clear();
+    riderSessionRepository.clear();
+
+    const session = signToken({ sub: 'rider_1', role: 'rider' });
+    riderSessionRepository.save({ riderId: 'rider_1', tokenId: session.tokenId });
+    token = session.token;
+
+    rideRepository.save(new Ride('ride1', at(37.7750), at(37.8050), 'rider_1'));
+    rideRepository.save(new Ride('ride2', at(37.7750), at(37.8050), 'rider_2'));
+  });
+
+  test('lets the ride\'s rider follow it', () => {
+    expect(authorizeRideSubscription('ride1', token).id).toBe('ride1');
+  });
+
+  test('rejects a missing or revoked token', () => {
+    expect(() => authorizeRideSubscription('ride1', undefined)).toThrow(AuthenticationError);
+
+    riderSessionRepository.delete('rider_1');
+    expect(() => authorizeRideSubscription('ride1', token)).toThrow(/revoked/);
+  });
+
+  test('rejects another rider\'s ride and unknown rides', () => {
+    expect(() => authorizeRideSubscription('ride2', token)).toThrow(ForbiddenError);
+    expect(() => authorizeRideSubscription('missing', token)).toThrow(NotFoundError);
+  });
+});
@@ -6,26 +6,103 @@
 const express = require('express');
 const driverPool = require('../services/driverPool');
 const rideRequestSimulator = require('../services/rideRequestSimulator');
+const dispatchService = require('../services/dispatchService');
+const driverNotifier = require('../services/driverNotifier');
+const waitTimer = require('../services/waitTimer');
+const ratingService = require('../services/ratingService');
+const fareConfig = require('../config/fareConfig');
+const { RideStatus, assertTransition, fromDriverStatus } = require('../models/rideStateMachine');
+const { AppError } = require('../utils/errors');
+const { signToken } = require('../utils/tokens');
+const { verifyPassword, getDummyHash } = require('../utils/passwords');
+const { requireDriverAuth, authenticateDriverToken } = require('../middleware/auth');
+const { isValidLocation } = require('../utils/geoUtils');
+const {
+  rideRepository,
+  driverSessionRepository,
+  simulatedOfferRepository,
+  simulatedRideRepository
+} = require('../repositories');
 const { v4: uuidv4 } = require('uuid');
 
 const router = express.Router();
 
-// In-memory driver sessions (replace with database in production)
-const driverSessions = new Map(); // driverId -> session data
+/**
+ * Store a simulated ride offer for a driver and push it if they're connected
+ */
+function sendSimulatedOffer(driver, rideRequest) {
+  const offer = {
+    rideId: uuidv4(),
+    driverId: driver.id,
+    ...rideRequest,
+    simulated: true
+  };
+  simulatedOfferRepository.save(offer);
+  driverNotifier.notifyDriver(driver.id, offer);
+  console.log(`📲 Simulated offer sent to driver ${driver.name}`);
+}
+
+/**
+ * Throw unless a simulated ride may move to a ride status
+ * Simulated rides keep driver app statuses and have no stops, but go through
+ * the same transitions and guards as real rides (so never arrivedAtStop).
+ * @throws {InvalidTransitionError}
+ */
+function assertSimulatedTransition(simulatedRide, driver, to) {
+  assertTransition({ ...simulatedRide, status: fromDriverStatus(simulatedRide.status) }, to, { driver });
+}
+
+/**
+ * Get the offer a driver should currently see
+ * Real ride offers from passengers take priority over simulated ones.
+ */
+function getCurrentOffer(driverId) {
+  const { getPendingOfferForDriver } = require('./rides');
+  return getPendingOfferForDriver(driverId) || simulatedOfferRepository.get(driverId) || null;
+}
+
+/**
+ * Hook an authenticated driver connection into DriverNotifier
+ * Handles the driver app's WebSocket { type: 'registerDriver', token } message.
+ * Sends any offer the driver is already holding so reconnects don't miss it.
+ */
+function registerDriverConnection(ws, token) {
+  try {
+    const { driverId } = authenticateDriverToken(token);
+
+    driverNotifier.registerDriver(driverId, ws);
+    ws.driverId = driverId;
 
-// Simulated ride offers for driver testing
-const simulatedRideOffers = new Map(); // driverId -> current simulated offer
+    ws.send(JSON.stringify({
+      type: 'driverRegistered',
+      driverId,
+      message: 'Ride offers and status updates will be pushed to this connection'
+    }));
 
-// Active simulated rides
-const activeSimulatedRides = new Map(); // rideId -> { driverId, pickup, destination, status, passenger }
+    const offer = getCurrentOffer(driverId);
+    if (offer) {
+      driverNotifier.notifyDriver(driverId, offer);
+    }
+  } catch (error) {
+    if (!(error instanceof AppError)) {
+      throw error;
+    }
+
+    ws.send(JSON.stringify({
+      type: 'error',
+      ...error.toJSON()
+    }));
+  }
+}
 
 /**
  * POST /api/drivers/login
  * Driver login/authentication
+ * Returns a session token required by every /:driverId/... route
  */
 router.post('/login', async (req, res) => {
   try {
-    const { driverId, location } = req.body;
+    const { driverId, password, location } = req.body;
 
     // Validate request
     if (!driverId) {
@@ -35,51 +112,53 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Get driver from pool
+    // Get driver from pool (unknown drivers get the same answer as a wrong password)
     const driver = driverPool.getDriverById(driverId);
 
-    if (!driver) {
-      return res.status(404).json({
-        error: 'Driver not found',
-        message: `No driver found with ID: ${driverId}`
+    const valid = verifyPassword(password, driver ? driver.passwordHash : getDummyHash());
+
+    if (!driver || !valid) {
+      return res.status(401).json({
+        error: 'Invalid credentials',
+        message: 'Driver ID or password is incorrect'
       });
     }
 
     // Update driver location if provided
-    if (location && location.lat && location.lng) {
-      driver.updateLocation(location.lat, location.lng);
+    if (isValidLocation(location)) {
+      driverPool.updateDriverLocation(driverId, location.lat, location.lng);
     }
 
     // Make driver available
-    driver.available = true;
+    driverPool.setAvailability(driverId, true);
+
+    // Issue a session token (logging in again replaces, and so revokes, any previous one)
+    const { token, tokenId, expiresAt } = signToken({ sub: driver.id, role: 'driver' });
 
     // Create session
     const session = {
       driverId: driver.id,
+      tokenId,
+      expiresAt,
       loginTime: new Date(),
       lastUpdate: new Date(),
       totalEarnings: 0,
       completedRides: 0
     };
-    driverSessions.set(driverId, session);
+    driverSessionRepository.save(session);
 
     console.log(`🚗 Driver ${driver.name} logged in`);
 
     // Start simulated ride request generator for driver testing
     rideRequestSimulator.startSimulation(driverId, (rideRequest) => {
-      // Store the simulated offer for this driver
-      const offer = {
-        rideId: uuidv4(),
-        ...rideRequest,
-        simulated: true
-      };
-      simulatedRideOffers.set(driverId, offer);
-      console.log(`📲 Simulated offer sent to driver ${driver.name}`);
+      sendSimulatedOffer(driver, rideRequest);
     });
 
     res.json({
       success: true,
       driver: driver.toJSON(),
+      token,
+      expiresAt,
       session: {
         loginTime: session.loginTime,
         totalEarnings: session.totalEarnings,
@@ -100,7 +179,7 @@ router.post('/login', async (req, res) => {
  * POST /api/drivers/:driverId/logout
  * Driver logout
  */
-router.post('/:driverId/logout', (req, res) => {
+router.post('/:driverId/logout', requireDriverAuth, (req, res) => {
   const { driverId } = req.params;
   const driver = driverPool.getDriverById(driverId);
 
@@ -111,19 +190,25 @@ router.post('/:driverId/logout', (req, res) => {
   }
 
   // Make driver unavailable
-  driver.available = false;
+  driverPool.setAvailability(driverId, false);
 
   // Stop ride request simulator
   rideRequestSimulator.stopSimulation(driverId);
 
   // Clear any simulated offers
-  simulatedRideOffers.delete(driverId);
+  simulatedOfferRepository.delete(driverId);
 
   // Get session data
-  const session = driverSessions.get(driverId);
+  const session = driverSessionRepository.get(driverId);
+
+  // Remove session (revokes its token)
+  driverSessionRepository.delete(driverId);
 
-  // Remove session
-  driverSessions.delete(driverId);
+  // Pass any open ride offer on to the next driver
+  dispatchService.withdrawDriver(driverId);
+
+  // Stop pushing notifications to this driver
+  driverNotifier.unregisterDriver(driverId);
 
   console.log(`👋 Driver ${driver.name} logged out`);
 
@@ -142,7 +227,7 @@ router.post('/:driverId/logout', (req, res) => {
  * PUT /api/drivers/:driverId/availability
  * Toggle driver availability
  */
-router.put('/:driverId/availability', (req, res) => {
+router.put('/:driverId/availability', requireDriverAuth, (req, res) => {
   const { driverId } = req.params;
   const { available } = req.body;
 
@@ -162,7 +247,11 @@ router.put('/:driverId/availability', (req, res) => {
     });
   }
 
-  driver.available = available;
+  driverPool.setAvailability(driverId, available);
+
+  if (!available) {
+    dispatchService.withdrawDriver(driverId);
+  }
 
   console.log(`🚗 Driver ${driver.name} is now ${available ? 'ONLINE' : 'OFFLINE'}`);
 
@@ -176,14 +265,14 @@ router.put('/:driverId/availability', (req, res) => {
  * PUT /api/drivers/:driverId/location
  * Update driver location
  */
-router.put('/:driverId/location', (req, res) => {
+router.put('/:driverId/location', requireDriverAuth, (req, res) => {
   const { driverId } = req.params;
   const { lat, lng } = req.body;
 
-  if (!lat || !lng) {
+  if (!isValidLocation({ lat, lng })) {
     return res.status(400).json({
       error: 'Invalid location',
-      message: 'Latitude and longitude are required'
+      message: 'lat (-90 to 90) and lng (-180 to 180) are required as numbers'
     });
   }
 
@@ -195,12 +284,19 @@ router.put('/:driverId/location', (req, res) => {
     });
   }
 
-  driver.updateLocation(lat, lng);
+  driverPool.updateDriverLocation(driverId, lat, lng);
+
+  // Trace the route of a real ride while the rider is in the car
+  const ride = driver.currentRideId && rideRepository.get(driver.currentRideId);
+  if (ride && ride.recordRoutePoint(driver.location)) {
+    rideRepository.save(ride);
+  }
 
   // Update session
-  const session = driverSessions.get(driverId);
+  const session = driverSessionRepository.get(driverId);
   if (session) {
     session.lastUpdate = new Date();
+    driverSessionRepository.save(session);
   }
 
   res.json({
@@ -213,7 +309,7 @@ router.put('/:driverId/location', (req, res) => {
  * GET /api/drivers/:driverId/offers
  * Get pending ride offers for driver
  */
-router.get('/:driverId/offers', (req, res) => {
+router.get('/:driverId/offers', requireDriverAuth, (req, res) => {
   const { driverId } = req.params;
 
   const driver = driverPool.getDriverById(driverId);
@@ -224,29 +320,18 @@ router.get('/:driverId/offers', (req, res) => {
     });
   }
 
-  // First check for real ride offers from passengers
-  const { getPendingOfferForDriver } = require('./rides');
-  const realOffer = getPendingOfferForDriver(driverId);
+  // Polling fallback for drivers without a WebSocket connection
+  const offer = getCurrentOffer(driverId);
 
-  if (realOffer) {
-    // Real ride offer takes priority
+  if (offer) {
     res.json({
       hasOffer: true,
-      offer: realOffer
+      offer
     });
   } else {
-    // Fall back to simulated offer for driver testing
-    const simulatedOffer = simulatedRideOffers.get(driverId);
-    if (simulatedOffer) {
-      res.json({
-        hasOffer: true,
-        offer: simulatedOffer
-      });
-    } else {
-      res.json({
-        hasOffer: false
-      });
-    }
+    res.json({
+      hasOffer: false
+    });
   }
 });
 
@@ -254,7 +339,7 @@ router.get('/:driverId/offers', (req, res) => {
  * POST /api/drivers/:driverId/rides/:rideId/accept
  * Accept a ride request
  */
-router.post('/:driverId/rides/:rideId/accept', (req, res) => {
+router.post('/:driverId/rides/:rideId/accept', requireDriverAuth, (req, res) => {
   const { driverId, rideId } = req.params;
 
   const driver = driverPool.getDriverById(driverId);
@@ -280,7 +365,7 @@ router.post('/:driverId/rides/:rideId/accept', (req, res) => {
   }
 
   // Check if this is a simulated offer
-  const simulatedOffer = simulatedRideOffers.get(driverId);
+  const simulatedOffer = simulatedOfferRepository.get(driverId);
   const isSimulated = simulatedOffer && simulatedOffer.rideId === rideId;
 
   if (isSimulated) {
@@ -291,7 +376,7 @@ router.post('/:driverId/rides/:rideId/accept', (req, res) => {
     rideRequestSimulator.stopSimulation(driverId);
 
     // Clear the current offer
-    simulatedRideOffers.delete(driverId);
+    simulatedOfferRepository.delete(driverId);
 
     // Create passenger info for simulated ride
     const passengerNames = ['Sarah Johnson', 'Mike Chen', 'Emily Rodriguez', 'James Brown', 'Lisa Wang'];
@@ -310,15 +395,15 @@ router.post('/:driverId/rides/:rideId/accept', (req, res) => {
         id: uuidv4(),
         name: passengerName,
         phone: '+1 (555) ' + Math.floor(Math.random() * 900 + 100) + '-' + Math.floor(Math.random() * 9000 + 1000),
-        rating: (Math.random() * 0.5 + 4.5).toFixed(1) // 4.5-5.0 rating
+        rating: Math.round((Math.random() * 0.5 + 4.5) * 10) / 10 // 4.5-5.0 stars
       },
       acceptedAt: new Date()
     };
 
-    activeSimulatedRides.set(rideId, simulatedRide);
+    simulatedRideRepository.save(simulatedRide);
 
     // Assign ride to driver
-    driver.assignRide(rideId);
+    driverPool.assignDriver(driverId, rideId);
 
     res.json({
       success: true,
@@ -355,7 +440,7 @@ router.post('/:driverId/rides/:rideId/accept', (req, res) => {
  * POST /api/drivers/:driverId/rides/:rideId/reject
  * Reject a ride request
  */
-router.post('/:driverId/rides/:rideId/reject', (req, res) => {
+router.post('/:driverId/rides/:rideId/reject', requireDriverAuth, (req, res) => {
   const { driverId, rideId } = req.params;
 
   const driver = driverPool.getDriverById(driverId);
@@ -369,24 +454,21 @@ router.post('/:driverId/rides/:rideId/reject', (req, res) => {
   console.log(`❌ Driver ${driver.name} rejected ride ${rideId}`);
 
   // Check if this was a simulated offer
-  const simulatedOffer = simulatedRideOffers.get(driverId);
+  const simulatedOffer = simulatedOfferRepository.get(driverId);
   if (simulatedOffer && simulatedOffer.rideId === rideId) {
     // Clear the rejected simulated offer
-    simulatedRideOffers.delete(driverId);
+    simulatedOfferRepository.delete(driverId);
     console.log(`🗑️ Cleared rejected simulated offer for driver ${driver.name}`);
 
     // Generate a new offer immediately (after a short delay)
     setTimeout(() => {
       rideRequestSimulator.generateSingleRequest(driverId, (rideRequest) => {
-        const offer = {
-          rideId: uuidv4(),
-          ...rideRequest,
-          simulated: true
-        };
-        simulatedRideOffers.set(driverId, offer);
-        console.log(`📲 New simulated offer sent to driver ${driver.name} after rejection`);
+        sendSimulatedOffer(driver, rideRequest);
       });
     }, 3000); // 3 second delay before next offer
+  } else if (dispatchService.declineOffer(rideId, driverId)) {
+    // Real ride offer: passed on to the next-nearest driver
+    console.log(`🗑️ Cleared rejected offer for ride ${rideId}`);
   }
 
   res.json({
@@ -396,11 +478,64 @@ router.post('/:driverId/rides/:rideId/reject', (req, res) => {
   });
 });
 
+/**
+ * POST /api/drivers/:driverId/rides/:rideId/cancel
+ * Back out of an accepted ride before pickup
+ * Real rides go back to searching for another driver; the cancellation
+ * counts against the driver's acceptance rate.
+ */
+router.post('/:driverId/rides/:rideId/cancel', requireDriverAuth, (req, res) => {
+  const { driverId, rideId } = req.params;
+
+  const driver = driverPool.getDriverById(driverId);
+
+  if (!driver) {
+    return res.status(404).json({
+      error: 'Driver not found'
+    });
+  }
+
+  if (driver.currentRideId !== rideId) {
+    return res.status(400).json({
+      error: 'Invalid ride',
+      message: 'This ride is not assigned to this driver'
+    });
+  }
+
+  const simulatedRide = simulatedRideRepository.get(rideId);
+
+  if (simulatedRide) {
+    // Simulated passengers just disappear; follow the same rule as real rides
+    assertSimulatedTransition(simulatedRide, driver, RideStatus.SEARCHING);
+
+    simulatedRideRepository.delete(rideId);
+    driverPool.recordCancellation(driverId);
+    driverPool.releaseDriver(driverId);
+
+    rideRequestSimulator.startSimulation(driverId, (rideRequest) => {
+      sendSimulatedOffer(driver, rideRequest);
+    });
+
+    console.log(`↩️  Driver ${driver.name} cancelled SIMULATED ride ${rideId}`);
+  } else {
+    // Illegal once the rider is picked up (409)
+    const { rematchRide } = require('./rides');
+    rematchRide(rideId, driver);
+  }
+
+  res.json({
+    success: true,
+    message: 'Ride cancelled',
+    rideId,
+    driver: driver.toJSON()
+  });
+});
+
 /**
  * PUT /api/drivers/:driverId/rides/:rideId/status
- * Update ride status (arrived at pickup, passenger picked up, etc.)
+ * Update ride status (arrived at pickup, passenger picked up, arrived at / done with a stop, etc.)
  */
-router.put('/:driverId/rides/:rideId/status', (req, res) => {
+router.put('/:driverId/rides/:rideId/status', requireDriverAuth, (req, res) => {
   const { driverId, rideId } = req.params;
   const { status } = req.body;
 
@@ -419,7 +554,7 @@ router.put('/:driverId/rides/:rideId/status', (req, res) => {
     });
   }
 
-  const validStatuses = ['arrived', 'pickedUp', 'approaching', 'completed'];
+  const validStatuses = ['arrived', 'pickedUp', 'arrivedAtStop', 'stopCompleted', 'approaching', 'completed'];
   if (!validStatuses.includes(status)) {
     return res.status(400).json({
       error: 'Invalid status',
@@ -430,34 +565,38 @@ router.put('/:driverId/rides/:rideId/status', (req, res) => {
   console.log(`📍 Driver ${driver.name} updated ride ${rideId} status to: ${status}`);
 
   // Check if this is a simulated ride
-  const simulatedRide = activeSimulatedRides.get(rideId);
+  const simulatedRide = simulatedRideRepository.get(rideId);
 
   if (simulatedRide) {
+    // Simulated rides keep driver app statuses, but follow the same ride state machine
+    if (fromDriverStatus(simulatedRide.status) !== fromDriverStatus(status)) {
+      assertSimulatedTransition(simulatedRide, driver, fromDriverStatus(status));
+    }
+
     // Update simulated ride status
     simulatedRide.status = status;
+    if (status === 'arrived') {
+      simulatedRide.arrivedAt = new Date();
+    }
+    simulatedRideRepository.save(simulatedRide);
 
     // If ride completed, clean up and restart simulator
     if (status === 'completed') {
-      driver.completeRide();
+      driverPool.releaseDriver(driverId);
 
-      const session = driverSessions.get(driverId);
+      const session = driverSessionRepository.get(driverId);
       if (session) {
         session.completedRides += 1;
         session.totalEarnings += simulatedRide.estimatedEarnings;
+        driverSessionRepository.save(session);
       }
 
       // Remove completed simulated ride
-      activeSimulatedRides.delete(rideId);
+      simulatedRideRepository.delete(rideId);
 
       // Restart ride request simulator for next ride
       rideRequestSimulator.startSimulation(driverId, (rideRequest) => {
-        const offer = {
-          rideId: uuidv4(),
-          ...rideRequest,
-          simulated: true
-        };
-        simulatedRideOffers.set(driverId, offer);
-        console.log(`📲 New simulated offer sent to driver ${driver.name}`);
+        sendSimulatedOffer(driver, rideRequest);
       });
 
       console.log(`✅ Driver ${driver.name} completed SIMULATED ride ${rideId}, earned $${simulatedRide.estimatedEarnings}`);
@@ -472,18 +611,21 @@ router.put('/:driverId/rides/:rideId/status', (req, res) => {
     });
 
   } else {
-    // Update real ride status
+    // Update real ride status (illegal transitions surface as 409)
     const { updateRideStatus } = require('./rides');
     updateRideStatus(rideId, status);
 
+    const ride = rideRepository.get(rideId);
+
     // If ride completed, update session
     if (status === 'completed') {
-      driver.completeRide();
+      driverPool.releaseDriver(driverId);
 
-      const session = driverSessions.get(driverId);
+      const session = driverSessionRepository.get(driverId);
       if (session) {
         session.completedRides += 1;
-        session.totalEarnings += calculateFare(); // Simple fare calculation
+        session.totalEarnings += ride && ride.fare ? ride.fare.total : 0;
+        driverSessionRepository.save(session);
       }
 
       console.log(`✅ Driver ${driver.name} completed REAL ride ${rideId}`);
@@ -493,16 +635,89 @@ router.put('/:driverId/rides/:rideId/status', (req, res) => {
       success: true,
       status,
       rideId,
-      driver: driver.toJSON()
+      driver: driver.toJSON(),
+      waiting: ride ? waitTimer.getRideCountdown(ride) : null // set while waiting at pickup
+    });
+  }
+});
+
+/**
+ * POST /api/drivers/:driverId/rides/:rideId/no-show
+ * Report that the rider never came to the pickup
+ * Allowed once the driver has waited the grace period after arriving; the
+ * ride ends as noShow and the rider is charged the no-show fee.
+ */
+router.post('/:driverId/rides/:rideId/no-show', requireDriverAuth, (req, res) => {
+  const { driverId, rideId } = req.params;
+
+  const driver = driverPool.getDriverById(driverId);
+
+  if (!driver) {
+    return res.status(404).json({
+      error: 'Driver not found'
+    });
+  }
+
+  if (driver.currentRideId !== rideId) {
+    return res.status(400).json({
+      error: 'Invalid ride',
+      message: 'This ride is not assigned to this driver'
+    });
+  }
+
+  const simulatedRide = simulatedRideRepository.get(rideId);
+  let fee;
+
+  if (simulatedRide) {
+    // Simulated rides follow the same rules, timed from when the driver reported arrived
+    assertSimulatedTransition(simulatedRide, driver, RideStatus.NO_SHOW);
+
+    const countdown = waitTimer.getCountdown(rideId, new Date(simulatedRide.arrivedAt));
+    if (countdown.secondsRemaining > 0) {
+      throw new AppError(
+        `The rider has ${countdown.secondsRemaining}s left to show up`,
+        409,
+        'Too early to report a no-show',
+        { noShowAt: countdown.noShowAt }
+      );
+    }
+
+    fee = fareConfig.noShow.fee;
+    simulatedRideRepository.delete(rideId);
+    driverPool.releaseDriver(driverId);
+
+    rideRequestSimulator.startSimulation(driverId, (rideRequest) => {
+      sendSimulatedOffer(driver, rideRequest);
     });
+
+    console.log(`🙈 Driver ${driver.name} reported a no-show for SIMULATED ride ${rideId}`);
+  } else {
+    const { reportNoShow } = require('./rides');
+    const cancellation = reportNoShow(rideId, driver);
+    fee = cancellation ? cancellation.fee : 0;
+  }
+
+  // The driver keeps the no-show fee for their time
+  const session = driverSessionRepository.get(driverId);
+  if (session) {
+    session.totalEarnings += fee;
+    driverSessionRepository.save(session);
   }
+
+  res.json({
+    success: true,
+    message: 'Ride ended as a no-show',
+    rideId,
+    fee,
+    driver: driver.toJSON()
+  });
 });
 
 /**
  * GET /api/drivers/:driverId/stats
  * Get driver statistics
  */
-router.get('/:driverId/stats', (req, res) => {
+router.get('/:driverId/stats', requireDriverAuth, (req, res) => {
   const { driverId } = req.params;
 
   const driver = driverPool.getDriverById(driverId);
@@ -513,7 +728,7 @@ router.get('/:driverId/stats', (req, res) => {
     });
   }
 
-  const session = driverSessions.get(driverId);
+  const session = driverSessionRepository.get(driverId);
 
   if (!session) {
     return res.status(404).json({
@@ -523,6 +738,7 @@ router.get('/:driverId/stats', (req, res) => {
   }
 
   const onlineTime = Date.now() - session.loginTime.getTime();
+  const acceptanceRate = driver.getAcceptanceRate();
 
   res.json({
     driver: driver.toJSON(),
@@ -530,8 +746,10 @@ router.get('/:driverId/stats', (req, res) => {
       onlineTime,
       completedRides: session.completedRides,
       totalEarnings: session.totalEarnings,
-      acceptanceRate: 100, // Would track this in production
-      rating: driver.rating
+      acceptanceRate: acceptanceRate === null ? 100 : Math.round(acceptanceRate * 100), // percent; 100 until an offer is answered
+      cancelledRides: driver.ridesCancelled || 0,
+      rating: driver.rating,
+      ratingCount: ratingService.getDriverRating(driverId).count // rolling; 0 = still the starting rating
     }
   });
 });
@@ -553,22 +771,17 @@ router.get('/:driverId', (req, res) => {
 
   res.json({
     driver: driver.toJSON(),
-    session: driverSessions.has(driverId) ? {
+    session: driverSessionRepository.has(driverId) ? {
       active: true,
-      loginTime: driverSessions.get(driverId).loginTime
+      loginTime: driverSessionRepository.get(driverId).loginTime
     } : {
       active: false
     }
   });
 });
 
-// Helper function to calculate fare
-function calculateFare() {
-  // Simple fare calculation: $8-25 per ride
-  return parseFloat((Math.random() * 17 + 8).toFixed(2));
-}
-
 module.exports = {
   router,
-  driverSessions
+  getCurrentOffer,
+  registerDriverConnection
 };
@@ -0,0 +1,60 @@
+/**
+ * Fare Routes
+ * API endpoints for fare estimates
+ */
+
+const express = require('express');
+const Ride = require('../models/Ride');
+const fareEngine = require('../services/fareEngine');
+const surgePricing = require('../services/surgePricing');
+const driverMatcher = require('../services/driverMatcher');
+const poolService = require('../services/poolService');
+const { isValidLocation } = require('../utils/geoUtils');
+
+const router = express.Router();
+
+/**
+ * POST /api/fares/estimate
+ * Get an itemized fare estimate for a trip, plus a price and pickup ETA per vehicle type
+ * (pooled: true prices the trip as a pooled ride)
+ */
+router.post('/estimate', (req, res) => {
+  const { pickup, destination, vehicleType = 'Standard' } = req.body;
+
+  if (!isValidLocation(pickup)) {
+    return res.status(400).json({
+      error: 'Invalid pickup location',
+      message: 'Pickup must include lat (-90 to 90) and lng (-180 to 180) as numbers'
+    });
+  }
+
+  if (!isValidLocation(destination)) {
+    return res.status(400).json({
+      error: 'Invalid destination location',
+      message: 'Destination must include lat (-90 to 90) and lng (-180 to 180) as numbers'
+    });
+  }
+
+  const stops = Ride.parseStops(req.body.stops);
+  const { pooled } = poolService.parseRequest(req.body, vehicleType);
+  const surgeMultiplier = surgePricing.getMultiplierForLocation(pickup);
+  const fare = fareEngine.estimateTripFare(pickup, destination, { vehicleType, surgeMultiplier, pooled, stops });
+
+  const products = fareEngine.getVehicleTypes().map(type => ({
+    vehicleType: type,
+    fare: fareEngine.estimateTripFare(pickup, destination, { vehicleType: type, surgeMultiplier, stops }),
+    pickupEtaSeconds: driverMatcher.estimatePickupEta(pickup, type)
+  }));
+
+  res.json({
+    pickup,
+    stops,
+    destination,
+    fare,
+    products
+  });
+});
+
+module.exports = {
+  router
+};
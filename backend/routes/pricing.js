@@ -0,0 +1,42 @@
+/**
+ * Pricing Routes
+ * API endpoints for surge pricing
+ */
+
+const express = require('express');
+const surgePricing = require('../services/surgePricing');
+
+const router = express.Router();
+
+/**
+ * GET /api/pricing/surge
+ * Get surge multipliers for every zone
+ * Pass ?lat=&lng= to also get the multiplier for a specific pickup location
+ */
+router.get('/surge', (req, res) => {
+  const snapshot = surgePricing.getSnapshot();
+
+  if (req.query.lat !== undefined || req.query.lng !== undefined) {
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+
+    if (isNaN(lat) || isNaN(lng)) {
+      return res.status(400).json({
+        error: 'Invalid location',
+        message: 'lat and lng must be numbers'
+      });
+    }
+
+    snapshot.location = {
+      lat,
+      lng,
+      multiplier: surgePricing.getMultiplierForLocation({ lat, lng })
+    };
+  }
+
+  res.json(snapshot);
+});
+
+module.exports = {
+  router
+};
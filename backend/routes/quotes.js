@@ -0,0 +1,64 @@
+/**
+ * Quote Routes
+ * API endpoints for upfront fare quotes
+ */
+
+const express = require('express');
+const Ride = require('../models/Ride');
+const quoteService = require('../services/quoteService');
+const poolService = require('../services/poolService');
+const { requireRiderAuth } = require('../middleware/auth');
+const { isValidLocation } = require('../utils/geoUtils');
+
+const router = express.Router();
+
+/**
+ * POST /api/quotes
+ * Get an upfront price that a ride request can lock in with its quoteId
+ */
+router.post('/', requireRiderAuth, (req, res) => {
+  const { pickup, destination, vehicleType } = req.body;
+
+  if (!isValidLocation(pickup)) {
+    return res.status(400).json({
+      error: 'Invalid pickup location',
+      message: 'Pickup must include lat (-90 to 90) and lng (-180 to 180) as numbers'
+    });
+  }
+
+  if (!isValidLocation(destination)) {
+    return res.status(400).json({
+      error: 'Invalid destination location',
+      message: 'Destination must include lat (-90 to 90) and lng (-180 to 180) as numbers'
+    });
+  }
+
+  const stops = Ride.parseStops(req.body.stops);
+  const { pooled } = poolService.parseRequest(req.body, vehicleType || 'Standard');
+
+  const quote = quoteService.createQuote({
+    riderId: req.riderId,
+    pickup,
+    destination,
+    stops,
+    vehicleType,
+    pooled
+  });
+
+  console.log(`💵 Quote ${quote.id}: $${quote.fare.total} (${quote.vehicleType}${pooled ? ', pooled' : ''})`);
+
+  res.status(201).json({
+    quoteId: quote.id,
+    pickup: quote.pickup,
+    stops: quote.stops,
+    destination: quote.destination,
+    vehicleType: quote.vehicleType,
+    pooled: quote.pooled,
+    fare: quote.fare,
+    expiresAt: quote.expiresAt
+  });
+});
+
+module.exports = {
+  router
+};
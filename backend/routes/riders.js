@@ -0,0 +1,201 @@
+/**
+ * Rider Routes
+ * API endpoints for rider accounts, sessions and ride history
+ */
+
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const Rider = require('../models/Rider');
+const { riderRepository, riderSessionRepository, rideRepository } = require('../repositories');
+const { signToken } = require('../utils/tokens');
+const { hashPassword, verifyPassword, getDummyHash } = require('../utils/passwords');
+const { ForbiddenError } = require('../utils/errors');
+const { requireRiderAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * Start a session for a rider and issue its token
+ * Starting a new session replaces (and so revokes) the previous one
+ */
+function startSession(riderId) {
+  cleanupExpiredSessions();
+
+  const { token, tokenId, expiresAt } = signToken({ sub: riderId, role: 'rider' });
+
+  riderSessionRepository.save({
+    riderId,
+    tokenId,
+    expiresAt,
+    loginTime: new Date()
+  });
+
+  return { token, expiresAt };
+}
+
+/**
+ * Remove sessions whose token has expired
+ * Guests never log in again, so their sessions would otherwise stay forever.
+ */
+function cleanupExpiredSessions() {
+  const now = Date.now();
+  const expired = riderSessionRepository.filter(s => s.expiresAt.getTime() <= now);
+
+  expired.forEach(s => riderSessionRepository.delete(s.riderId));
+
+  if (expired.length > 0) {
+    console.log(`🧹 Cleaned up ${expired.length} expired rider sessions`);
+  }
+}
+
+/**
+ * Normalize an email for lookups
+ */
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+/**
+ * POST /api/riders/register
+ * Create a rider account
+ */
+router.post('/register', (req, res) => {
+  const { name, password } = req.body;
+  const email = normalizeEmail(req.body.email);
+
+  if (!name || !email || !email.includes('@')) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: 'Name and a valid email are required'
+    });
+  }
+
+  if (typeof password !== 'string' || password.length < 8) {
+    return res.status(400).json({
+      error: 'Invalid password',
+      message: 'Password must be at least 8 characters'
+    });
+  }
+
+  if (riderRepository.find(r => r.email === email)) {
+    return res.status(409).json({
+      error: 'Email already registered',
+      message: `An account already exists for ${email}`
+    });
+  }
+
+  const rider = new Rider(`rider_${uuidv4()}`, name, email, hashPassword(password));
+  riderRepository.save(rider);
+
+  console.log(`🙋 Rider ${rider.name} registered`);
+
+  res.status(201).json({
+    success: true,
+    rider: rider.toJSON(),
+    ...startSession(rider.id)
+  });
+});
+
+/**
+ * POST /api/riders/login
+ * Log a rider in with email and password
+ */
+router.post('/login', (req, res) => {
+  const email = normalizeEmail(req.body.email);
+  const rider = riderRepository.find(r => r.email === email);
+
+  // Unknown emails are checked too, so they take as long as a wrong password
+  const valid = verifyPassword(req.body.password, rider ? rider.passwordHash : getDummyHash());
+
+  if (!rider || !valid) {
+    return res.status(401).json({
+      error: 'Invalid credentials',
+      message: 'Email or password is incorrect'
+    });
+  }
+
+  console.log(`🙋 Rider ${rider.name} logged in`);
+
+  res.json({
+    success: true,
+    rider: rider.toJSON(),
+    ...startSession(rider.id)
+  });
+});
+
+/**
+ * POST /api/riders/guest
+ * Start a guest rider session (no account)
+ * Returns a session token required by the ride endpoints
+ */
+router.post('/guest', (req, res) => {
+  const riderId = `rider_${uuidv4()}`;
+  const { token, expiresAt } = startSession(riderId);
+
+  console.log(`🙋 Guest rider ${riderId} started a session`);
+
+  res.status(201).json({
+    success: true,
+    riderId,
+    token,
+    expiresAt
+  });
+});
+
+/**
+ * POST /api/riders/logout
+ * End the rider session (revokes its token)
+ */
+router.post('/logout', requireRiderAuth, (req, res) => {
+  riderSessionRepository.delete(req.riderId);
+
+  console.log(`👋 Rider ${req.riderId} logged out`);
+
+  res.json({
+    success: true,
+    message: 'Logged out successfully'
+  });
+});
+
+/**
+ * GET /api/riders/:riderId/rides
+ * List a rider's rides, newest first
+ * Query: status (comma-separated), from / to (ISO dates on createdAt)
+ */
+router.get('/:riderId/rides', requireRiderAuth, (req, res) => {
+  const { riderId } = req.params;
+
+  if (riderId !== req.riderId) {
+    throw new ForbiddenError('Riders can only list their own rides');
+  }
+
+  const statuses = req.query.status ? String(req.query.status).split(',') : null;
+  const from = req.query.from ? new Date(req.query.from) : null;
+  const to = req.query.to ? new Date(req.query.to) : null;
+
+  if ((from && isNaN(from)) || (to && isNaN(to))) {
+    return res.status(400).json({
+      error: 'Invalid date',
+      message: 'from and to must be ISO 8601 dates'
+    });
+  }
+
+  const rides = rideRepository
+    .filter(ride =>
+      ride.riderId === riderId &&
+      (!statuses || statuses.includes(ride.status)) &&
+      (!from || ride.createdAt >= from) &&
+      (!to || ride.createdAt <= to)
+    )
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(ride => ride.toJSON());
+
+  res.json({
+    count: rides.length,
+    rides
+  });
+});
+
+module.exports = {
+  router
+};
@@ -9,97 +9,133 @@ const Ride = require('../models/Ride');
 const driverMatcher = require('../services/driverMatcher');
 const driverSimulator = require('../services/driverSimulator');
 const driverPool = require('../services/driverPool');
-const { driverSessions } = require('./drivers');
+const fareEngine = require('../services/fareEngine');
+const surgePricing = require('../services/surgePricing');
+const quoteService = require('../services/quoteService');
+const driverNotifier = require('../services/driverNotifier');
+const dispatchService = require('../services/dispatchService');
+const rideScheduler = require('../services/rideScheduler');
+const poolService = require('../services/poolService');
+const cancellationService = require('../services/cancellationService');
+const waitTimer = require('../services/waitTimer');
+const ratingService = require('../services/ratingService');
+const receiptService = require('../services/receiptService');
+const fareConfig = require('../config/fareConfig');
+const { RideStatus, assertTransition, fromDriverStatus } = require('../models/rideStateMachine');
+const { AppError, InvalidTransitionError, ForbiddenError, NotFoundError } = require('../utils/errors');
+const { requireRiderAuth, requireRiderOrDriverAuth, authenticateRiderToken } = require('../middleware/auth');
+const { rideRepository, driverSessionRepository } = require('../repositories');
+const { calculateDistance, generateRoutePolyline, isValidLocation } = require('../utils/geoUtils');
 
 const router = express.Router();
 
-// In-memory storage (replace with database in production)
-const rides = new Map();
-const pendingRideOffers = new Map(); // rideId -> driverId (offers sent to real drivers)
+// Statuses in which the rider may still change where they're going
+const DESTINATION_CHANGEABLE = [
+  RideStatus.ASSIGNED,
+  RideStatus.EN_ROUTE,
+  RideStatus.ARRIVING,
+  RideStatus.IN_PROGRESS,
+  RideStatus.ARRIVED_AT_STOP,
+  RideStatus.APPROACHING_DESTINATION
+];
 
 /**
- * Get online drivers (those with active sessions)
+ * Throw unless the ride belongs to the calling rider
  */
-function getOnlineDrivers() {
-  const onlineDriverIds = Array.from(driverSessions.keys());
-  return onlineDriverIds
-    .map(id => driverPool.getDriverById(id))
-    .filter(driver => driver && driver.available);
+function assertRideOwner(ride, riderId) {
+  if (ride.riderId !== riderId) {
+    throw new ForbiddenError('This ride belongs to another rider');
+  }
 }
 
 /**
- * Find nearest online driver to a location
+ * Check a WebSocket { type: 'subscribe', rideId, token } message
+ * Only the ride's rider may follow its live updates.
+ * @returns {Ride} The ride
+ * @throws {AuthenticationError|ForbiddenError|NotFoundError}
  */
-function findNearestOnlineDriver(pickup) {
-  const onlineDrivers = getOnlineDrivers();
+function authorizeRideSubscription(rideId, token) {
+  const { riderId } = authenticateRiderToken(token);
+  const ride = rideRepository.get(rideId);
 
-  if (onlineDrivers.length === 0) {
-    return null;
+  if (!ride) {
+    throw new NotFoundError(`No ride found with ID: ${rideId}`, 'Ride not found');
   }
 
-  // Calculate distances and find nearest
-  const driversWithDistance = onlineDrivers.map(driver => {
-    const distance = calculateDistance(
-      pickup.lat,
-      pickup.lng,
-      driver.location.lat,
-      driver.location.lng
-    );
-    return { driver, distance };
-  });
-
-  driversWithDistance.sort((a, b) => a.distance - b.distance);
-  return driversWithDistance[0];
+  assertRideOwner(ride, riderId);
+  return ride;
 }
 
 /**
- * Simple distance calculation (Haversine formula)
+ * Check pickup and destination
+ * @returns {object|null} 400 response body, or null if both are valid
  */
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371e3; // Earth's radius in meters
-  const φ1 = (lat1 * Math.PI) / 180;
-  const φ2 = (lat2 * Math.PI) / 180;
-  const Δφ = ((lat2 - lat1) * Math.PI) / 180;
-  const Δλ = ((lon2 - lon1) * Math.PI) / 180;
-
-  const a =
-    Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
-    Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-
-  return R * c;
+function validateLocations(pickup, destination) {
+  if (!isValidLocation(pickup)) {
+    return {
+      error: 'Invalid pickup location',
+      message: 'Pickup must include lat (-90 to 90) and lng (-180 to 180) as numbers'
+    };
+  }
+
+  if (!isValidLocation(destination)) {
+    return {
+      error: 'Invalid destination location',
+      message: 'Destination must include lat (-90 to 90) and lng (-180 to 180) as numbers'
+    };
+  }
+
+  return null;
 }
 
 /**
  * POST /api/rides/request
  * Request a new ride
  */
-router.post('/request', async (req, res) => {
+router.post('/request', requireRiderAuth, async (req, res) => {
   try {
-    const { pickup, destination } = req.body;
+    const { pickup, destination, quoteId, vehicleType } = req.body;
 
     // Validate request
-    if (!pickup || !pickup.lat || !pickup.lng) {
-      return res.status(400).json({
-        error: 'Invalid pickup location',
-        message: 'Pickup must include lat and lng'
-      });
-    }
-
-    if (!destination || !destination.lat || !destination.lng) {
-      return res.status(400).json({
-        error: 'Invalid destination location',
-        message: 'Destination must include lat and lng'
-      });
+    const invalid = validateLocations(pickup, destination);
+    if (invalid) {
+      return res.status(400).json(invalid);
     }
+    const stops = Ride.parseStops(req.body.stops);
+    const { pooled, seats } = poolService.parseRequest(req.body, vehicleType || 'Standard');
 
     // Create ride
     const rideId = uuidv4();
-    const ride = new Ride(rideId, pickup, destination);
-    rides.set(rideId, ride);
+    const ride = new Ride(rideId, pickup, destination, req.riderId, { stops, pooled, seats });
+
+    if (quoteId) {
+      // Lock in the price the rider was quoted (throws if expired, used or for another trip)
+      const quote = quoteService.redeemQuote(quoteId, {
+        riderId: req.riderId,
+        rideId,
+        pickup,
+        destination,
+        stops,
+        vehicleType,
+        pooled
+      });
+      ride.quoteId = quote.id;
+      ride.vehicleType = quote.vehicleType;
+      ride.fare = quote.fare;
+    } else {
+      ride.vehicleType = vehicleType || 'Standard';
+      ride.fare = fareEngine.estimateTripFare(pickup, destination, {
+        vehicleType: ride.vehicleType,
+        surgeMultiplier: surgePricing.getMultiplierForLocation(pickup),
+        pooled,
+        stops
+      });
+    }
+    rideRepository.save(ride);
 
-    console.log(`📱 New ride request: ${rideId}`);
+    console.log(`📱 New ride request: ${rideId} (${ride.vehicleType}${pooled ? `, pooled for ${seats}` : ''})`);
     console.log(`   Pickup: ${pickup.address || `${pickup.lat}, ${pickup.lng}`}`);
+    stops.forEach((stop, i) => console.log(`   Stop ${i + 1}: ${stop.address || `${stop.lat}, ${stop.lng}`}`));
     console.log(`   Destination: ${destination.address || `${destination.lat}, ${destination.lng}`}`);
 
     // Immediately return ride ID with searching status
@@ -107,76 +143,142 @@ router.post('/request', async (req, res) => {
       rideId: ride.id,
       status: ride.status,
       pickup: ride.pickup,
+      stops: ride.stops,
       destination: ride.destination,
+      vehicleType: ride.vehicleType,
+      pooled: ride.pooled,
+      seats: ride.seats,
+      quoteId: ride.quoteId,
+      fare: ride.fare,
       createdAt: ride.createdAt
     });
 
-    // Check for online real drivers first
-    const nearestDriver = findNearestOnlineDriver(pickup);
+    // Offer the ride to logged-in drivers, nearest first (falls back to simulation)
+    dispatchService.dispatch(ride);
 
-    // Check if the driver is actually logged in (has active session)
-    const { driverSessions } = require('./drivers');
-    const hasLoggedInDriver = nearestDriver && driverSessions.has(nearestDriver.driver.id);
+  } catch (error) {
+    if (error instanceof AppError && !res.headersSent) {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
 
-    if (hasLoggedInDriver) {
-      // Found a logged-in driver! Send them the ride offer
-      const { driver, distance } = nearestDriver;
-      const estimatedEarnings = calculateFare(distance);
+    console.error('Error creating ride:', error);
+    res.status(500).json({
+      error: 'Failed to create ride',
+      message: error.message
+    });
+  }
+});
 
-      console.log(`🎯 Found logged-in driver: ${driver.name}`);
-      console.log(`   Distance: ${Math.round(distance)}m`);
-      console.log(`   Estimated earnings: $${estimatedEarnings}`);
+/**
+ * POST /api/rides/schedule
+ * Book a ride for a future pickup time
+ * Body: pickup, destination, pickupTime (ISO 8601), vehicleType and stops (optional)
+ */
+router.post('/schedule', requireRiderAuth, (req, res) => {
+  const { pickup, destination, pickupTime, vehicleType } = req.body;
 
-      // Store pending offer
-      pendingRideOffers.set(ride.id, {
-        driverId: driver.id,
-        distance,
-        estimatedEarnings,
-        offeredAt: Date.now()
-      });
+  const invalid = validateLocations(pickup, destination);
+  if (invalid) {
+    return res.status(400).json(invalid);
+  }
 
-      // Set ride status to searching (waiting for driver acceptance)
-      ride.updateStatus('searching');
+  // Throws ValidationError if too soon, too far ahead or not a date
+  const scheduledTime = rideScheduler.parsePickupTime(pickupTime);
+  const stops = Ride.parseStops(req.body.stops);
 
-      // Timeout matches frontend timer (30 seconds)
-      setTimeout(() => {
-        const offer = pendingRideOffers.get(ride.id);
-        if (offer && ride.status === 'searching') {
-          console.log(`⏰ Ride ${ride.id} offer expired (no response), using simulated driver`);
-          pendingRideOffers.delete(ride.id);
+  const rideId = uuidv4();
+  const ride = new Ride(rideId, pickup, destination, req.riderId, { pickupTime: scheduledTime, stops });
+  ride.vehicleType = vehicleType || 'Standard';
 
-          // Fall back to simulated driver
-          useSimulatedDriver(ride);
-        }
-      }, 30000);
+  // Surge reflects demand right now, not at pickup time, so it isn't applied
+  ride.fare = fareEngine.estimateTripFare(pickup, destination, { vehicleType: ride.vehicleType, stops });
+  rideRepository.save(ride);
 
-      return; // Wait for driver to accept
-    }
+  console.log(`🗓️  Ride ${rideId} scheduled for ${scheduledTime.toISOString()} (${ride.vehicleType})`);
 
-    // No logged-in drivers, use simulated driver immediately
-    if (nearestDriver) {
-      console.log(`⚠️ Driver ${nearestDriver.driver.name} found but not logged in, using simulation`);
-    } else {
-      console.log('📵 No online drivers available, using simulation');
-    }
-    useSimulatedDriver(ride);
+  res.status(201).json(ride.toJSON());
+});
 
-  } catch (error) {
-    console.error('Error creating ride:', error);
-    res.status(500).json({
-      error: 'Failed to create ride',
-      message: error.message
-    });
-  }
+/**
+ * GET /api/rides/scheduled
+ * List the calling rider's upcoming scheduled rides, soonest first
+ */
+router.get('/scheduled', requireRiderAuth, (req, res) => {
+  const rides = rideScheduler.getScheduledRides(req.riderId).map(ride => ride.toJSON());
+
+  res.json({
+    count: rides.length,
+    rides
+  });
 });
 
+/**
+ * Helper: Start searching for a scheduled ride's driver
+ */
+function dispatchScheduledRide(ride) {
+  ride.updateStatus(RideStatus.SEARCHING);
+  rideRepository.save(ride);
+  broadcastRideUpdate(ride);
+
+  dispatchService.dispatch(ride);
+}
+
+rideScheduler.setDueHandler(dispatchScheduledRide);
+
+/**
+ * Helper: Add a pooled ride to a simulated driver's trip that has room for it
+ * @returns {boolean} false if no trip can take the ride without breaking its limits
+ */
+function joinPoolTrip(ride) {
+  const match = poolService.findTrip(ride);
+
+  if (!match) {
+    return false;
+  }
+
+  const { trip, plan } = match;
+  const driver = driverPool.getDriverById(trip.driverId);
+  poolService.addRide(trip, ride, plan);
+
+  console.log(`🚐 Ride ${ride.id} joins ${driver.name}'s pooled trip ` +
+    `(${trip.rides.size} riders, +${plan.addedSeconds}s driving, pickup in ${plan.pickupEta}s)`);
+
+  ride.assignDriver(driver, plan.pickupEta);
+  ride.matchDebug = {
+    strategy: 'pool',
+    driverId: driver.id,
+    eta: plan.pickupEta,
+    addedSeconds: plan.addedSeconds,
+    riders: trip.rides.size
+  };
+  rideRepository.save(ride);
+  broadcastRideUpdate(ride);
+
+  driverSimulator.joinPoolSimulation(trip, ride);
+  return true;
+}
+
 /**
  * Helper: Use simulated driver for a ride
  */
 function useSimulatedDriver(ride) {
+  // Riders heading the same way as a pooled trip share its car
+  if (ride.pooled && joinPoolTrip(ride)) {
+    return;
+  }
+
+  // Logged-in drivers report their own progress, so only simulate the rest
+  const excludeDriverIds = [...driverSessionRepository.ids(), ...(ride.excludedDriverIds || [])];
+
   driverMatcher.matchRideToDriver(ride, (match) => {
+      // Ride may have been cancelled while we were searching
+      if (ride.status !== RideStatus.SEARCHING) {
+        console.log(`⚠️  Ride ${ride.id} is ${ride.status}, dropping match`);
+        return;
+      }
+
       if (match) {
-        const { driver, distance, eta } = match;
+        const { driver, distance, eta, matchDebug } = match;
 
         console.log(`✅ Driver ${driver.name} matched!`);
         console.log(`   Driver location: ${driver.location.lat.toFixed(4)}, ${driver.location.lng.toFixed(4)}`);
@@ -188,51 +290,227 @@ function useSimulatedDriver(ride) {
 
         // Assign driver to ride
         ride.assignDriver(driver, eta);
+        ride.matchDebug = matchDebug || null;
+        rideRepository.save(ride);
 
         // Broadcast initial assignment with driver's ACTUAL location
         broadcastRideUpdate(ride);
 
         // Start driver movement simulation
         // The simulator will send the initial position immediately
-        driverSimulator.startSimulation(
-          ride,
-          driver,
-          (positionUpdate) => {
-            // Broadcast driver position update
-            broadcastDriverPosition(positionUpdate);
-          },
-          (newStatus) => {
-            // Update ride status
-            ride.updateStatus(newStatus);
-            broadcastRideUpdate(ride);
-          }
-        );
+        if (ride.pooled && poolService.getSeatCapacity(driver.vehicleType) > 0) {
+          startPoolSimulation(ride, driver);
+        } else {
+          startDriverSimulation(ride, driver);
+        }
       } else {
         // No drivers available
         console.log(`❌ No drivers available for ride ${ride.id}`);
         ride.updateStatus('noDriversAvailable');
+        rideRepository.save(ride);
+        broadcastRideUpdate(ride);
+      }
+    }, {
+      excludeDriverIds,
+      onSearchStep: (search) => {
+        if (ride.status !== RideStatus.SEARCHING) {
+          return;
+        }
+
+        console.log(`📡 Ride ${ride.id}: searching within ${search.radiusMeters}m (step ${search.step}/${search.steps})`);
+
+        // Tell the rider how far we're looking
+        ride.search = search;
+        rideRepository.save(ride);
         broadcastRideUpdate(ride);
       }
     });
 }
 
+dispatchService.setExhaustedHandler(useSimulatedDriver);
+
+/**
+ * Helper: Record a simulated driver's position on the ride's route and broadcast it
+ */
+function onDriverPosition(positionUpdate) {
+  const ride = rideRepository.get(positionUpdate.rideId);
+  if (ride && ride.recordRoutePoint(positionUpdate.driver.location)) {
+    rideRepository.save(ride);
+  }
+
+  broadcastDriverPosition(positionUpdate);
+}
+
+/**
+ * Helper: Start moving a simulated driver for a ride
+ */
+function startDriverSimulation(ride, driver) {
+  driverSimulator.startSimulation(
+    ride,
+    driver,
+    onDriverPosition,
+    (newStatus) => applySimulatorStatus(ride, newStatus)
+  );
+}
+
 /**
- * Calculate fare based on distance
+ * Helper: Start a pooled trip with a simulated driver that other pooled rides can join
+ * @returns {object} The trip (see poolService)
  */
-function calculateFare(distanceMeters) {
-  const distanceKm = distanceMeters / 1000;
-  const baseFare = 2.0;
-  const perKm = 1.5;
-  return parseFloat((baseFare + distanceKm * perKm).toFixed(2));
+function startPoolSimulation(ride, driver) {
+  const trip = poolService.startTrip(driver, ride);
+
+  driverSimulator.startPoolSimulation(
+    trip,
+    driver,
+    onDriverPosition,
+    (rideId, newStatus) => {
+      const pooledRide = rideRepository.get(rideId);
+      if (pooledRide) {
+        applySimulatorStatus(pooledRide, newStatus);
+      }
+    }
+  );
+
+  return trip;
+}
+
+/**
+ * Helper: Rebuild simulated drivers' pooled trips from their restored rides
+ * Trips only live in memory, so each driver's riders are put back into one
+ * trip driven by one simulation. A rider the driver was waiting for goes first.
+ */
+function resumePoolTrips(rides) {
+  const ridesByDriver = new Map();
+  rides.forEach(ride => {
+    ridesByDriver.set(ride.driver.id, [...(ridesByDriver.get(ride.driver.id) || []), ride]);
+  });
+
+  ridesByDriver.forEach((driverRides, driverId) => {
+    const driver = driverPool.getDriverById(driverId) || driverRides[0].driver;
+    const [first, ...others] = driverRides.sort((a, b) =>
+      (b.status === RideStatus.ARRIVING) - (a.status === RideStatus.ARRIVING));
+
+    console.log(`♻️  Resuming ${driver.name}'s pooled trip for restored rides ${driverRides.map(ride => ride.id).join(', ')}`);
+    const trip = startPoolSimulation(first, driver);
+
+    others.forEach(ride => {
+      // The riders already shared this car; if their limits no longer hold, pick them up last
+      const plan = poolService.planInsertion(trip, ride, driver.location) || {
+        waypoints: [
+          ...trip.waypoints,
+          { rideId: ride.id, type: 'pickup', location: ride.pickup },
+          { rideId: ride.id, type: 'dropoff', location: ride.destination }
+        ]
+      };
+      poolService.addRide(trip, ride, plan);
+      driverSimulator.joinPoolSimulation(trip, ride);
+    });
+
+    // A driver parked at a pickup stays there until that rider is in
+    if (first.status === RideStatus.ARRIVING) {
+      const pickup = trip.waypoints.find(w => w.rideId === first.id && w.type === 'pickup');
+      trip.waypoints = [pickup, ...trip.waypoints.filter(w => w !== pickup)];
+    }
+  });
+}
+
+/**
+ * Helper: Apply a status change reported by the simulator
+ */
+function applySimulatorStatus(ride, newStatus) {
+  // Update ride status
+  try {
+    if (!ride.updateStatus(newStatus, Ride.Actor.SIMULATOR)) {
+      return;
+    }
+  } catch (error) {
+    if (!(error instanceof InvalidTransitionError)) {
+      throw error;
+    }
+    // e.g. the rider cancelled while the simulation was mid-step
+    console.log(`⚠️  Ignoring simulator update for ride ${ride.id}: ${error.message}`);
+    driverSimulator.stopSimulation(ride.id);
+    return;
+  }
+
+  rideRepository.save(ride);
+  broadcastRideUpdate(ride);
+  startPickupWait(ride);
+}
+
+/**
+ * Helper: Count down the driver's wait once they reach the pickup
+ * The countdown stops by itself when the rider is picked up or the ride ends.
+ * Riders of simulated drivers get in after fareConfig.noShow.simulatedBoardingSeconds
+ * (if they haven't boarded already); when that is null they never do, and the
+ * simulated driver reports the no-show once the grace period is over.
+ */
+function startPickupWait(ride) {
+  if (ride.status !== RideStatus.ARRIVING) {
+    return;
+  }
+
+  waitTimer.start(ride, (countdown) => {
+    broadcastWaitCountdown(countdown);
+
+    // Real drivers report the pickup or the no-show themselves
+    if (!driverSimulator.getSimulation(ride.id)) {
+      return;
+    }
+
+    const { simulatedBoardingSeconds } = fareConfig.noShow;
+    try {
+      if (simulatedBoardingSeconds === null) {
+        if (countdown.secondsRemaining === 0) {
+          reportNoShow(ride.id, ride.driver);
+        }
+      } else if (countdown.waitedSeconds >= simulatedBoardingSeconds) {
+        driverSimulator.pickUpRider(ride.id);
+      }
+    } catch (error) {
+      // e.g. the rider cancelled on the same tick
+      console.error(`⚠️  Simulated pickup for ride ${ride.id} failed:`, error.message);
+    }
+  });
+}
+
+/**
+ * Resume simulations for rides restored from storage
+ * Only rides still heading to pickup can be resumed; the simulator
+ * restarts from the driver's last stored location.
+ */
+function resumeActiveRides() {
+  dispatchService.resumePendingOffers();
+
+  const resumable = ['assigned', 'enRoute', 'arriving'];
+  const rides = rideRepository.filter(ride =>
+    resumable.includes(ride.status) &&
+    ride.driver &&
+    !driverSessionRepository.has(ride.driver.id) && // real drivers report their own progress
+    !driverSimulator.getSimulation(ride.id)
+  );
+
+  rides.filter(ride => !ride.pooled).forEach(ride => {
+    console.log(`♻️  Resuming simulation for restored ride ${ride.id}`);
+    startDriverSimulation(ride, ride.driver);
+  });
+
+  resumePoolTrips(rides.filter(ride => ride.pooled));
+
+  // Drivers already waiting at pickup keep their original countdown
+  rideRepository.filter(ride => ride.status === RideStatus.ARRIVING).forEach(startPickupWait);
+
+  return rides.length;
 }
 
 /**
  * GET /api/rides/:rideId
  * Get ride status
  */
-router.get('/:rideId', (req, res) => {
+router.get('/:rideId', requireRiderAuth, (req, res) => {
   const { rideId } = req.params;
-  const ride = rides.get(rideId);
+  const ride = rideRepository.get(rideId);
 
   if (!ride) {
     return res.status(404).json({
@@ -241,6 +519,8 @@ router.get('/:rideId', (req, res) => {
     });
   }
 
+  assertRideOwner(ride, req.riderId);
+
   const rideData = ride.toJSON();
 
   // Debug: Log what we're sending to iOS
@@ -251,16 +531,145 @@ router.get('/:rideId', (req, res) => {
     console.log(`📤 Sending ride status: ${rideData.status} (no driver yet)`);
   }
 
-  res.json(rideData);
+  // Why this driver was chosen (scoring breakdown), for debugging dispatch
+  res.json({ ...rideData, matchDebug: ride.matchDebug || null });
+});
+
+/**
+ * GET /api/rides/:rideId/timeline
+ * Get the ride's status history (who changed it, when, and where the driver was)
+ */
+router.get('/:rideId/timeline', requireRiderAuth, (req, res) => {
+  const { rideId } = req.params;
+  const ride = rideRepository.get(rideId);
+
+  if (!ride) {
+    return res.status(404).json({
+      error: 'Ride not found',
+      message: `No ride found with ID: ${rideId}`
+    });
+  }
+
+  assertRideOwner(ride, req.riderId);
+
+  res.json(ride.getTimeline());
+});
+
+/**
+ * PATCH /api/rides/:rideId/destination
+ * Change where an assigned or in-progress ride is going
+ * Body: destination { lat, lng, address }
+ */
+router.patch('/:rideId/destination', requireRiderAuth, (req, res) => {
+  const { rideId } = req.params;
+  const { destination } = req.body;
+  const ride = rideRepository.get(rideId);
+
+  if (!ride) {
+    return res.status(404).json({
+      error: 'Ride not found',
+      message: `No ride found with ID: ${rideId}`
+    });
+  }
+
+  assertRideOwner(ride, req.riderId);
+
+  if (!isValidLocation(destination)) {
+    return res.status(400).json({
+      error: 'Invalid destination location',
+      message: 'Destination must include lat (-90 to 90) and lng (-180 to 180) as numbers'
+    });
+  }
+
+  if (!DESTINATION_CHANGEABLE.includes(ride.status)) {
+    throw new AppError(`Cannot change the destination of a ride that is ${ride.status}`, 409, 'Destination cannot be changed');
+  }
+
+  // Other riders' detour limits were planned around this destination
+  if (ride.pooled) {
+    throw new AppError('Pooled rides cannot change destination', 409, 'Destination cannot be changed');
+  }
+
+  // Same vehicle type and surge as when the ride was booked, priced for the new trip
+  const previousFare = ride.fare;
+  const fare = fareEngine.estimateTripFare(ride.pickup, destination, {
+    vehicleType: ride.vehicleType,
+    surgeMultiplier: previousFare ? previousFare.surgeMultiplier : 1,
+    stops: ride.stops
+  });
+  ride.changeDestination(destination, fare);
+
+  // Not approaching the old destination any more
+  if (ride.status === RideStatus.APPROACHING_DESTINATION) {
+    ride.updateStatus(RideStatus.IN_PROGRESS, Ride.Actor.RIDER);
+  }
+
+  // Re-route a simulated driver already heading to the destination. Otherwise
+  // the new route starts at the driver if they're on the last leg, or at the
+  // last waypoint before the destination (pickup or final stop).
+  let route = driverSimulator.changeDestination(ride, onDriverPosition);
+  if (!route) {
+    const onLastLeg = ride.status === RideStatus.IN_PROGRESS && ride.getCurrentStopIndex() === -1;
+    const from = onLastLeg ? ride.driver.location : ride.stops[ride.stops.length - 1] || ride.pickup;
+
+    route = generateRoutePolyline(from, destination, 30);
+    if (onLastLeg) {
+      ride.updateETA(calculateDistance(from.lat, from.lng, destination.lat, destination.lng));
+    }
+  }
+  rideRepository.save(ride);
+
+  console.log(`🔀 Ride ${rideId} destination changed: ${destination.address || `${destination.lat}, ${destination.lng}`}`);
+  console.log(`   Fare: $${previousFare ? previousFare.total : '?'} → $${fare.total}`);
+
+  driverNotifier.notifyDestinationChanged(ride.driver.id, { rideId, destination, route, fare });
+  broadcastRideUpdate(ride, { route });
+
+  res.json({
+    ...ride.toJSON(),
+    route,
+    previousFare
+  });
+});
+
+/**
+ * POST /api/rides/:rideId/board
+ * The rider is in a simulated driver's car: start the trip
+ * (real drivers report the pickup themselves)
+ */
+router.post('/:rideId/board', requireRiderAuth, (req, res) => {
+  const { rideId } = req.params;
+  const ride = rideRepository.get(rideId);
+
+  if (!ride) {
+    return res.status(404).json({
+      error: 'Ride not found',
+      message: `No ride found with ID: ${rideId}`
+    });
+  }
+
+  assertRideOwner(ride, req.riderId);
+
+  if (!driverSimulator.pickUpRider(rideId)) {
+    throw new AppError('Only a simulated driver waiting at the pickup can be boarded', 409, 'Driver not waiting');
+  }
+
+  console.log(`🙋 Rider boarded ride ${rideId}`);
+
+  res.json({
+    success: true,
+    ride: ride.toJSON()
+  });
 });
 
 /**
  * POST /api/rides/:rideId/cancel
- * Cancel a ride
+ * Cancel a ride, with an optional reason code and comment
+ * Late cancellations after a driver is assigned are charged a fee.
  */
-router.post('/:rideId/cancel', (req, res) => {
+router.post('/:rideId/cancel', requireRiderAuth, (req, res) => {
   const { rideId } = req.params;
-  const ride = rides.get(rideId);
+  const ride = rideRepository.get(rideId);
 
   if (!ride) {
     return res.status(404).json({
@@ -269,89 +678,198 @@ router.post('/:rideId/cancel', (req, res) => {
     });
   }
 
-  // Stop simulation if active
-  driverSimulator.stopSimulation(rideId);
+  assertRideOwner(ride, req.riderId);
 
-  // Update ride status
-  ride.updateStatus('cancelled');
+  const { reason, comment } = req.body || {};
+  const cancellation = cancellationService.cancelByRider(ride, { reason, comment });
 
-  console.log(`❌ Ride ${rideId} cancelled`);
+  console.log(`❌ Ride ${rideId} cancelled (${cancellation.reason}${cancellation.fee > 0 ? `, $${cancellation.fee.toFixed(2)} fee` : ''})`);
 
   // Broadcast cancellation
   broadcastRideUpdate(ride);
 
   res.json({
     success: true,
-    message: 'Ride cancelled',
+    message: cancellation.fee > 0
+      ? `Ride cancelled. A $${cancellation.fee.toFixed(2)} late cancellation fee applies`
+      : 'Ride cancelled',
     ride: ride.toJSON()
   });
 });
 
 /**
- * GET /api/rides
- * Get all rides (for debugging)
+ * POST /api/rides/:rideId/rating
+ * Rate the other side of a completed ride: riders rate their driver,
+ * drivers rate their rider
+ * Body: rating (1-5), tags and comment (optional)
  */
-router.get('/', (req, res) => {
-  const allRides = Array.from(rides.values()).map(r => r.toJSON());
-  res.json({
-    count: allRides.length,
-    rides: allRides
+router.post('/:rideId/rating', requireRiderOrDriverAuth, (req, res) => {
+  const { rideId } = req.params;
+  const ride = rideRepository.get(rideId);
+
+  if (!ride) {
+    return res.status(404).json({
+      error: 'Ride not found',
+      message: `No ride found with ID: ${rideId}`
+    });
+  }
+
+  let rater;
+  if (req.driverId) {
+    if (!ride.driver || ride.driver.id !== req.driverId) {
+      throw new ForbiddenError('This ride was driven by another driver');
+    }
+    rater = Ride.Actor.DRIVER;
+  } else {
+    assertRideOwner(ride, req.riderId);
+    rater = Ride.Actor.RIDER;
+  }
+
+  const rating = ratingService.rateRide(ride, rater, req.body || {});
+  const rated = rater === Ride.Actor.RIDER
+    ? ratingService.getDriverRating(ride.driver.id)
+    : ratingService.getRiderRating(ride.riderId);
+
+  console.log(`⭐ ${rater === Ride.Actor.RIDER ? 'Rider' : 'Driver'} rated ride ${rideId}: ${rating.stars} stars`);
+
+  res.status(201).json({
+    success: true,
+    rideId,
+    rating,
+    // The rated driver's or rider's rolling rating, including this one
+    average: rated
+  });
+});
+
+/**
+ * POST /api/rides/:rideId/tip
+ * Tip the driver of a completed ride, once; the tip goes to the driver in full
+ * Body: tip (0.01 up to fareConfig.maxTip)
+ */
+router.post('/:rideId/tip', requireRiderAuth, (req, res) => {
+  const { rideId } = req.params;
+  const ride = rideRepository.get(rideId);
+
+  if (!ride) {
+    return res.status(404).json({
+      error: 'Ride not found',
+      message: `No ride found with ID: ${rideId}`
+    });
+  }
+
+  assertRideOwner(ride, req.riderId);
+
+  const tip = fareEngine.parseTip((req.body || {}).tip);
+
+  if (ride.status !== RideStatus.COMPLETED) {
+    throw new AppError(`Only completed rides can be tipped (ride is ${ride.status})`, 409, 'Ride not completed');
+  }
+
+  if (ride.tip > 0) {
+    throw new AppError('This ride\'s driver has already been tipped', 409, 'Already tipped');
+  }
+
+  ride.tip = tip;
+  rideRepository.save(ride);
+
+  const session = driverSessionRepository.get(ride.driver.id);
+  if (session) {
+    session.totalEarnings += tip;
+    driverSessionRepository.save(session);
+  }
+
+  console.log(`💵 Rider tipped $${tip.toFixed(2)} on ride ${rideId}`);
+
+  res.status(201).json({
+    success: true,
+    rideId,
+    tip
   });
 });
 
+/**
+ * GET /api/rides/:rideId/receipt
+ * Receipt for a completed ride: itemized fare with tip, actual distance and
+ * duration, pickup and drop-off times and the route taken
+ * Query: format=json|html|text (otherwise by Accept header, JSON by default)
+ */
+router.get('/:rideId/receipt', requireRiderAuth, (req, res) => {
+  const { rideId } = req.params;
+  const ride = rideRepository.get(rideId);
+
+  if (!ride) {
+    return res.status(404).json({
+      error: 'Ride not found',
+      message: `No ride found with ID: ${rideId}`
+    });
+  }
+
+  assertRideOwner(ride, req.riderId);
+
+  if (!receiptService.hasReceipt(ride)) {
+    throw new AppError(`Receipts are issued once a ride is completed (ride is ${ride.status})`, 409, 'Ride not completed');
+  }
+
+  const receipt = receiptService.buildReceipt(ride);
+  const renderers = {
+    json: () => res.json(receipt),
+    html: () => res.type('html').send(receiptService.renderHtml(receipt)),
+    text: () => res.type('text').send(receiptService.renderText(receipt))
+  };
+
+  const { format } = req.query;
+  if (format) {
+    if (!renderers[format]) {
+      return res.status(400).json({
+        error: 'Invalid format',
+        message: `format must be one of: ${Object.keys(renderers).join(', ')}`
+      });
+    }
+    return renderers[format]();
+  }
+
+  res.format({ ...renderers, default: renderers.json });
+});
+
 // Helper function to broadcast ride updates (will be set by server)
 let broadcastRideUpdate = () => {};
 let broadcastDriverPosition = () => {};
+let broadcastWaitCountdown = () => {};
 
-function setBroadcastFunctions(rideUpdateFn, driverPositionFn) {
+function setBroadcastFunctions(rideUpdateFn, driverPositionFn, waitCountdownFn) {
   broadcastRideUpdate = rideUpdateFn;
   broadcastDriverPosition = driverPositionFn;
+  broadcastWaitCountdown = waitCountdownFn;
 }
 
 /**
  * Get pending ride offer for a specific driver
  */
 function getPendingOfferForDriver(driverId) {
-  // Find any ride with a pending offer for this driver
-  for (const [rideId, offer] of pendingRideOffers.entries()) {
-    if (offer.driverId === driverId) {
-      const ride = rides.get(rideId);
-      if (ride) {
-        return {
-          rideId: ride.id,
-          pickup: ride.pickup,
-          destination: ride.destination,
-          distance: offer.distance,
-          estimatedEarnings: offer.estimatedEarnings,
-          expiresAt: new Date(offer.offeredAt + 30000).toISOString()
-        };
-      }
-    }
-  }
-  return null;
+  return dispatchService.getOfferForDriver(driverId);
 }
 
 /**
  * Assign a driver to a ride
+ * @throws {AppError} 409 if another driver already claimed the ride
  */
 function assignDriverToRide(rideId, driver) {
-  const ride = rides.get(rideId);
-  const offer = pendingRideOffers.get(rideId);
+  const ride = rideRepository.get(rideId);
 
-  if (!ride || !offer) {
+  if (!ride) {
     return false;
   }
 
-  // Remove pending offer
-  pendingRideOffers.delete(rideId);
+  // First accept wins: clears the offer and tells the other recipients
+  const { distance, matchDebug } = dispatchService.claimOffer(rideId, driver.id);
 
-  // Assign driver to ride
-  const distance = offer.distance;
   const eta = Math.round(distance / 10); // Rough estimate: 10m/s = 36 km/h
-  ride.assignDriver(driver, eta);
+  ride.assignDriver(driver, eta, Ride.Actor.DRIVER);
+  ride.matchDebug = matchDebug;
+  rideRepository.save(ride);
 
   // Assign ride to driver
-  driver.assignRide(rideId);
+  driverPool.assignDriver(driver.id, rideId);
 
   console.log(`🎯 Driver ${driver.name} assigned to ride ${rideId}`);
 
@@ -361,39 +879,89 @@ function assignDriverToRide(rideId, driver) {
   return true;
 }
 
+/**
+ * Put a ride back into searching after its driver cancelled
+ * The rider is told they're being rematched and dispatch starts over
+ * without that driver.
+ * @throws {InvalidTransitionError} if the rider was already picked up
+ */
+function rematchRide(rideId, driver) {
+  const ride = rideRepository.get(rideId);
+
+  if (!ride) {
+    return false;
+  }
+
+  cancellationService.cancelByDriver(ride, driver.id);
+
+  console.log(`↩️  Driver ${driver.name} cancelled ride ${rideId}, finding another driver`);
+
+  broadcastRideUpdate(ride, {
+    rematch: {
+      reason: 'driverCancelled',
+      message: 'Your driver cancelled. We\'re finding you another driver.'
+    }
+  });
+
+  dispatchService.dispatch(ride);
+
+  return true;
+}
+
 /**
  * Update ride status based on driver actions
+ * @throws {InvalidTransitionError} if the ride can't move to that status
  */
 function updateRideStatus(rideId, status) {
-  const ride = rides.get(rideId);
+  const ride = rideRepository.get(rideId);
 
   if (!ride) {
     return false;
   }
 
   // Map driver status to ride status
-  const statusMap = {
-    'arrived': 'arriving',
-    'pickedUp': 'inProgress',
-    'approaching': 'approachingDestination',
-    'completed': 'completed'
-  };
-
-  const rideStatus = statusMap[status] || status;
-  ride.updateStatus(rideStatus);
+  const rideStatus = fromDriverStatus(status);
+  ride.updateStatus(rideStatus, Ride.Actor.DRIVER);
+  rideRepository.save(ride);
 
   console.log(`📍 Ride ${rideId} status updated to: ${rideStatus}`);
 
   // Broadcast update
   broadcastRideUpdate(ride);
+  startPickupWait(ride);
 
   return true;
 }
 
+/**
+ * End a ride as a no-show after the driver waited out the grace period
+ * @returns {object|null} The cancellation with the no-show fee, or null if the ride doesn't exist
+ * @throws {AppError} 409 while the rider still has time to show up
+ */
+function reportNoShow(rideId, driver) {
+  const ride = rideRepository.get(rideId);
+
+  if (!ride) {
+    return null;
+  }
+
+  const cancellation = cancellationService.reportNoShow(ride, driver.id);
+
+  console.log(`🙈 Driver ${driver.name} reported a no-show for ride ${rideId} ($${cancellation.fee.toFixed(2)} fee)`);
+
+  broadcastRideUpdate(ride);
+
+  return cancellation;
+}
+
 module.exports = {
   router,
+  authorizeRideSubscription,
   setBroadcastFunctions,
+  resumeActiveRides,
   getPendingOfferForDriver,
   assignDriverToRide,
+  rematchRide,
+  reportNoShow,
   updateRideStatus
 };
@@ -0,0 +1,78 @@
+/**
+ * Spatial Index Benchmark
+ * Compares nearest-driver queries through the driver pool's spatial index
+ * against measuring and sorting every available driver.
+ *
+ * Usage: npm run benchmark:spatial -- [driverCount] [queryCount]
+ */
+
+// Keep the benchmark's drivers out of the real data store
+process.env.STORAGE_ADAPTER = 'memory';
+
+const Driver = require('../models/Driver');
+const geoConfig = require('../config/geoConfig');
+const { randomLocationInRadius } = require('../utils/geoUtils');
+
+const driverCount = Number(process.argv[2]) || 20000;
+const queryCount = Number(process.argv[3]) || 500;
+const radiusMeters = 1000;
+
+// Quiet the pool's startup logging
+const log = console.log;
+console.log = () => {};
+const driverPool = require('../services/driverPool');
+const driverMatcher = require('../services/driverMatcher');
+console.log = log;
+
+const randomCityLocation = () => {
+  const zone = geoConfig.selectDriverZone();
+  return randomLocationInRadius(zone.center.lat, zone.center.lng, zone.radius * 2);
+};
+
+/**
+ * Run a query for every pickup and report the time per query
+ */
+function time(label, pickups, query) {
+  const start = process.hrtime.bigint();
+  const results = pickups.map(query);
+  const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+  log(`   ${label.padEnd(28)} ${(elapsedMs / pickups.length).toFixed(3)} ms/query`);
+  return { results, elapsedMs };
+}
+
+log(`\n📊 Spatial index benchmark: ${driverCount} drivers, ${queryCount} queries\n`);
+
+for (let i = driverPool.getAllDrivers().length; i < driverCount; i++) {
+  const location = randomCityLocation();
+  driverPool.addDriver(new Driver(`bench_${i}`, `Bench Driver ${i}`, location.lat, location.lng));
+}
+
+const pickups = Array.from({ length: queryCount }, randomCityLocation);
+
+log('   Nearest driver:');
+const scan = time('full scan + sort', pickups, pickup =>
+  driverMatcher.rankByDistance(pickup, driverPool.getAvailableDrivers())[0].driver.id
+);
+const indexed = time('spatial index', pickups, pickup =>
+  driverMatcher.queryPoolTiers(pickup, null)[0][0].driver.id
+);
+
+log(`\n   Drivers within ${radiusMeters}m:`);
+const radiusScan = time('full scan + filter', pickups, pickup =>
+  driverMatcher.rankByDistance(pickup, driverPool.getAvailableDrivers())
+    .filter(candidate => candidate.distance <= radiusMeters).length
+);
+const radiusIndexed = time('spatial index', pickups, pickup =>
+  driverPool.findAvailableDriversWithinRadius(pickup, radiusMeters).length
+);
+
+const sameNearest = scan.results.every((id, i) => id === indexed.results[i]);
+const sameRadius = radiusScan.results.every((count, i) => count === radiusIndexed.results[i]);
+
+log('');
+log(`   Speedup: ${(scan.elapsedMs / indexed.elapsedMs).toFixed(1)}x nearest, ` +
+  `${(radiusScan.elapsedMs / radiusIndexed.elapsedMs).toFixed(1)}x radius`);
+log(`   Results match full scan: ${sameNearest && sameRadius ? 'yes' : 'NO'}\n`);
+
+process.exitCode = sameNearest && sameRadius ? 0 : 1;
@@ -7,9 +7,24 @@ const express = require('express');
 const cors = require('cors');
 const http = require('http');
 const WebSocket = require('ws');
-const { router: ridesRouter, setBroadcastFunctions } = require('./routes/rides');
-const { router: driversRouter } = require('./routes/drivers');
+const {
+  router: ridesRouter,
+  authorizeRideSubscription,
+  setBroadcastFunctions,
+  resumeActiveRides
+} = require('./routes/rides');
+const { router: driversRouter, registerDriverConnection } = require('./routes/drivers');
+const { router: ridersRouter } = require('./routes/riders');
+const { router: faresRouter } = require('./routes/fares');
+const { router: pricingRouter } = require('./routes/pricing');
+const { router: quotesRouter } = require('./routes/quotes');
+const surgePricing = require('./services/surgePricing');
+const rideScheduler = require('./services/rideScheduler');
 const driverPool = require('./services/driverPool');
+const driverNotifier = require('./services/driverNotifier');
+const errorHandler = require('./middleware/errorHandler');
+const storage = require('./storage');
+const { AppError } = require('./utils/errors');
 
 const app = express();
 const server = http.createServer(app);
@@ -38,7 +53,17 @@ wss.on('connection', (ws) => {
       const data = JSON.parse(message);
 
       if (data.type === 'subscribe' && data.rideId) {
-        // Subscribe to ride updates
+        // Subscribe to ride updates (rider token from the rider login or guest session)
+        try {
+          authorizeRideSubscription(data.rideId, data.token);
+        } catch (error) {
+          if (!(error instanceof AppError)) {
+            throw error;
+          }
+          ws.send(JSON.stringify({ type: 'error', rideId: data.rideId, ...error.toJSON() }));
+          return;
+        }
+
         if (!clients.has(data.rideId)) {
           clients.set(data.rideId, new Set());
         }
@@ -53,6 +78,11 @@ wss.on('connection', (ws) => {
         }));
       }
 
+      if (data.type === 'registerDriver') {
+        // Driver app: push offers instead of polling (token from POST /api/drivers/login)
+        registerDriverConnection(ws, data.token);
+      }
+
       if (data.type === 'unsubscribe' && data.rideId) {
         // Unsubscribe from ride updates
         if (clients.has(data.rideId)) {
@@ -67,6 +97,11 @@ wss.on('connection', (ws) => {
 
   ws.on('close', () => {
     console.log('🔌 WebSocket connection closed');
+
+    if (ws.driverId) {
+      driverNotifier.unregisterDriver(ws.driverId, ws);
+    }
+
     // Remove from all subscriptions
     for (const [rideId, wsSet] of clients.entries()) {
       wsSet.delete(ws);
@@ -82,12 +117,20 @@ wss.on('connection', (ws) => {
 });
 
 // Broadcast functions for ride updates
-function broadcastRideUpdate(ride) {
+// extra: fields sent along with the ride (e.g. the new route after a destination change)
+function broadcastRideUpdate(ride, extra = {}) {
+  const data = { ...ride.toJSON(), ...extra };
+
+  // The assigned driver hears about changes they didn't make (e.g. rider cancels)
+  if (ride.driver) {
+    driverNotifier.sendStatusUpdate(ride.driver.id, data);
+  }
+
   const subscribers = clients.get(ride.id);
   if (subscribers) {
     const message = JSON.stringify({
       type: 'rideUpdate',
-      data: ride.toJSON()
+      data
     });
 
     subscribers.forEach(ws => {
@@ -116,8 +159,33 @@ function broadcastDriverPosition(positionUpdate) {
   }
 }
 
+function broadcastWaitCountdown(countdown) {
+  const subscribers = clients.get(countdown.rideId);
+  if (subscribers) {
+    const message = JSON.stringify({
+      type: 'waitCountdown',
+      data: countdown
+    });
+
+    subscribers.forEach(ws => {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(message);
+      }
+    });
+  }
+}
+
 // Set broadcast functions in routes
-setBroadcastFunctions(broadcastRideUpdate, broadcastDriverPosition);
+setBroadcastFunctions(broadcastRideUpdate, broadcastDriverPosition, broadcastWaitCountdown);
+
+// Pick up rides that were in flight before a restart
+resumeActiveRides();
+
+// Start recomputing zone surge multipliers
+surgePricing.start();
+
+// Start dispatching scheduled rides as their pickup times approach
+rideScheduler.start();
 
 // Routes
 app.get('/', (req, res) => {
@@ -160,6 +228,18 @@ app.use('/api/rides', ridesRouter);
 // Driver routes
 app.use('/api/drivers', driversRouter);
 
+// Rider routes
+app.use('/api/riders', ridersRouter);
+
+// Fare routes
+app.use('/api/fares', faresRouter);
+
+// Pricing routes
+app.use('/api/pricing', pricingRouter);
+
+// Quote routes
+app.use('/api/quotes', quotesRouter);
+
 // 404 handler
 app.use((req, res) => {
   res.status(404).json({
@@ -169,13 +249,7 @@ app.use((req, res) => {
 });
 
 // Error handler
-app.use((err, req, res, next) => {
-  console.error('Server error:', err);
-  res.status(500).json({
-    error: 'Internal server error',
-    message: err.message
-  });
-});
+app.use(errorHandler);
 
 // Start server
 server.listen(PORT, () => {
@@ -191,25 +265,45 @@ server.listen(PORT, () => {
   console.log('');
   console.log('📋 Available Endpoints:');
   console.log('');
-  console.log('   Rider APIs:');
-  console.log(`   POST /api/rides/request         - Request a ride`);
-  console.log(`   GET  /api/rides/:rideId         - Get ride status`);
-  console.log(`   POST /api/rides/:rideId/cancel  - Cancel ride`);
+  console.log('   Rider APIs (Authorization: Bearer <rider token>):');
+  console.log(`   POST  /api/riders/register           - Create rider account`);
+  console.log(`   POST  /api/riders/login              - Rider login`);
+  console.log(`   POST  /api/riders/guest              - Start guest rider session`);
+  console.log(`   POST  /api/riders/logout             - End rider session`);
+  console.log(`   GET   /api/riders/:id/rides          - Rider ride history`);
+  console.log(`   POST  /api/rides/request             - Request a ride`);
+  console.log(`   POST  /api/rides/schedule            - Book a ride for later`);
+  console.log(`   GET   /api/rides/scheduled           - List scheduled rides`);
+  console.log(`   GET   /api/rides/:rideId             - Get ride status`);
+  console.log(`   GET   /api/rides/:rideId/timeline    - Get ride status history`);
+  console.log(`   PATCH /api/rides/:rideId/destination - Change destination`);
+  console.log(`   POST  /api/rides/:rideId/board       - Rider is in the car`);
+  console.log(`   POST  /api/rides/:rideId/cancel      - Cancel ride`);
+  console.log(`   POST  /api/rides/:rideId/rating      - Rate a completed ride (riders and drivers)`);
+  console.log(`   POST  /api/rides/:rideId/tip         - Tip the driver`);
+  console.log(`   GET   /api/rides/:rideId/receipt     - Get ride receipt`);
+  console.log(`   POST  /api/fares/estimate            - Itemized fare estimate`);
+  console.log(`   POST  /api/quotes                    - Upfront fare quote`);
+  console.log(`   GET   /api/pricing/surge             - Surge multipliers by zone`);
   console.log('');
-  console.log('   Driver APIs:');
-  console.log(`   POST /api/drivers/login                      - Driver login`);
-  console.log(`   POST /api/drivers/:id/logout                 - Driver logout`);
-  console.log(`   PUT  /api/drivers/:id/availability           - Toggle availability`);
-  console.log(`   PUT  /api/drivers/:id/location               - Update location`);
-  console.log(`   POST /api/drivers/:id/rides/:rideId/accept   - Accept ride`);
-  console.log(`   POST /api/drivers/:id/rides/:rideId/reject   - Reject ride`);
-  console.log(`   PUT  /api/drivers/:id/rides/:rideId/status   - Update ride status`);
-  console.log(`   GET  /api/drivers/:id/stats                  - Get driver stats`);
+  console.log('   Driver APIs (Authorization: Bearer <driver token>):');
+  console.log(`   POST  /api/drivers/login                     - Driver login`);
+  console.log(`   POST  /api/drivers/:id/logout                - Driver logout`);
+  console.log(`   GET   /api/drivers/:id                       - Get driver details`);
+  console.log(`   PUT   /api/drivers/:id/availability          - Toggle availability`);
+  console.log(`   PUT   /api/drivers/:id/location              - Update location`);
+  console.log(`   GET   /api/drivers/:id/offers                - Get pending ride offers`);
+  console.log(`   POST  /api/drivers/:id/rides/:rideId/accept  - Accept ride`);
+  console.log(`   POST  /api/drivers/:id/rides/:rideId/reject  - Reject ride`);
+  console.log(`   POST  /api/drivers/:id/rides/:rideId/cancel  - Cancel accepted ride`);
+  console.log(`   PUT   /api/drivers/:id/rides/:rideId/status  - Update ride status`);
+  console.log(`   POST  /api/drivers/:id/rides/:rideId/no-show - Report rider no-show`);
+  console.log(`   GET   /api/drivers/:id/stats                 - Get driver stats`);
   console.log('');
   console.log('   System:');
-  console.log(`   GET  /                          - Server info`);
-  console.log(`   GET  /health                    - Health check`);
-  console.log(`   GET  /api/drivers               - View all drivers (debug)`);
+  console.log(`   GET   /            - Server info`);
+  console.log(`   GET   /health      - Health check`);
+  console.log(`   GET   /api/drivers - View all drivers (debug)`);
   console.log('');
   console.log('💡 Ready to receive ride requests from iOS app!');
   console.log('');
@@ -229,6 +323,8 @@ server.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM signal received: closing HTTP server');
+  driverPool.saveLocations();
+  storage.flush();
   server.close(() => {
     console.log('HTTP server closed');
   });
@@ -236,6 +332,8 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('\n👋 Shutting down gracefully...');
+  driverPool.saveLocations();
+  storage.flush();
   server.close(() => {
     console.log('✅ Server closed');
     process.exit(0);
@@ -0,0 +1,217 @@
+/**
+ * Unit tests for cancellationService
+ * Tests reason codes, the free-cancel window and releasing the assigned driver
+ */
+
+const cancellationService = require('../cancellationService');
+const driverNotifier = require('../driverNotifier');
+const driverPool = require('../driverPool');
+const driverSimulator = require('../driverSimulator');
+const poolService = require('../poolService');
+const Ride = require('../../models/Ride');
+const { rideRepository } = require('../../repositories');
+const { ValidationError, InvalidTransitionError } = require('../../utils/errors');
+
+jest.mock('../driverNotifier');
+
+const pickup = { lat: 37.7749, lng: -122.4194 };
+const destination = { lat: 37.8049, lng: -122.4094 };
+
+describe('CancellationService', () => {
+  let driver;
+
+  const assignedRide = () => {
+    const ride = new Ride('ride123', pickup, destination, 'rider_1');
+    ride.assignDriver(driver, 120);
+    driverPool.assignDriver(driver.id, ride.id);
+    rideRepository.save(ride);
+    return ride;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    rideRepository.clear();
+    driver = driverPool.getAllDrivers()[0];
+    Object.assign(driver, { offersAccepted: 0, offersDeclined: 0, ridesCancelled: 0 });
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    driverPool.releaseDriver(driver.id);
+    jest.useRealTimers();
+  });
+
+  test('cancels a searching ride for free and records the reason', () => {
+    const ride = new Ride('ride123', pickup, destination, 'rider_1');
+
+    const cancellation = cancellationService.cancelByRider(ride, { reason: 'changedPlans', comment: '  Meeting moved ' });
+
+    expect(ride.status).toBe('cancelled');
+    expect(cancellation).toEqual(expect.objectContaining({ by: 'rider', reason: 'changedPlans', comment: 'Meeting moved', fee: 0 }));
+    expect(ride.toJSON().cancellation).toBe(cancellation);
+    expect(rideRepository.get('ride123')).toBe(ride);
+  });
+
+  test('defaults to reason other and rejects unknown reasons', () => {
+    const ride = new Ride('ride123', pickup, destination, 'rider_1');
+
+    expect(() => cancellationService.cancelByRider(ride, { reason: 'bored' })).toThrow(ValidationError);
+    expect(ride.status).toBe('searching');
+
+    expect(cancellationService.cancelByRider(ride).reason).toBe('other');
+  });
+
+  test('is free within the window after assignment', () => {
+    const ride = assignedRide();
+    jest.advanceTimersByTime(60 * 1000);
+
+    expect(cancellationService.cancelByRider(ride).fee).toBe(0);
+  });
+
+  test('charges the late fee once the free window has passed', () => {
+    const ride = assignedRide();
+    jest.advanceTimersByTime(121 * 1000);
+
+    expect(cancellationService.cancelByRider(ride, { reason: 'waitTooLong' }).fee).toBe(5);
+  });
+
+  test('waives the fee when the driver asked the rider to cancel', () => {
+    const ride = assignedRide();
+    jest.advanceTimersByTime(600 * 1000);
+
+    expect(cancellationService.cancelByRider(ride, { reason: 'driverAskedToCancel' }).fee).toBe(0);
+  });
+
+  test('frees the assigned driver and tells them', () => {
+    const ride = assignedRide();
+    expect(driverPool.getDriverById(driver.id).available).toBe(false);
+
+    cancellationService.cancelByRider(ride, { reason: 'wrongPickup' });
+
+    expect(driverPool.getDriverById(driver.id).available).toBe(true);
+    expect(driverPool.getDriverById(driver.id).currentRideId).toBeNull();
+    expect(driverNotifier.notifyRideCancelled).toHaveBeenCalledWith(driver.id, { rideId: 'ride123', reason: 'wrongPickup' });
+  });
+
+  describe('cancelByDriver', () => {
+    test('puts the ride back to searching without the driver', () => {
+      const ride = assignedRide();
+      ride.updateStatus('enRoute');
+
+      cancellationService.cancelByDriver(ride, driver.id);
+
+      expect(ride.status).toBe('searching');
+      expect(ride.driver).toBeNull();
+      expect(ride.excludedDriverIds).toEqual([driver.id]);
+      expect(ride.history[ride.history.length - 1]).toEqual(expect.objectContaining({ from: 'enRoute', status: 'searching', actor: 'driver' }));
+    });
+
+    test('frees the driver and counts the cancellation against their acceptance rate', () => {
+      driver.offersAccepted = 4;
+      const ride = assignedRide();
+
+      cancellationService.cancelByDriver(ride, driver.id);
+
+      expect(driver.available).toBe(true);
+      expect(driver.ridesCancelled).toBe(1);
+      expect(driver.getAcceptanceRate()).toBe(0.75);
+    });
+
+    test('is rejected once the rider has been picked up', () => {
+      const ride = assignedRide();
+      ride.updateStatus('arriving');
+      ride.updateStatus('inProgress');
+
+      expect(() => cancellationService.cancelByDriver(ride, driver.id)).toThrow(InvalidTransitionError);
+      expect(ride.driver).toBe(driver);
+      expect(driver.ridesCancelled).toBe(0);
+    });
+  });
+
+  describe('reportNoShow', () => {
+    test('is refused while the rider still has time to show up', () => {
+      const ride = assignedRide();
+      ride.updateStatus('arriving');
+      jest.advanceTimersByTime(299 * 1000);
+
+      expect(() => cancellationService.reportNoShow(ride, driver.id))
+        .toThrow(expect.objectContaining({ statusCode: 409, error: 'Too early to report a no-show' }));
+      expect(ride.status).toBe('arriving');
+    });
+
+    test('ends the ride as noShow with the fee once the grace period is over', () => {
+      const ride = assignedRide();
+      ride.updateStatus('arriving');
+      jest.advanceTimersByTime(300 * 1000);
+
+      const cancellation = cancellationService.reportNoShow(ride, driver.id);
+
+      expect(ride.status).toBe('noShow');
+      expect(cancellation).toEqual(expect.objectContaining({ by: 'driver', reason: 'noShow', fee: 5 }));
+      expect(driver.available).toBe(true);
+    });
+
+    test('needs the driver to be waiting at pickup', () => {
+      const ride = assignedRide();
+      ride.updateStatus('enRoute');
+
+      expect(() => cancellationService.reportNoShow(ride, driver.id)).toThrow(InvalidTransitionError);
+    });
+  });
+
+  describe('pooled rides', () => {
+    const at = lat => ({ lat, lng: -122.4194 });
+
+    const pooledRide = (id, from, to) => {
+      const ride = new Ride(id, at(from), at(to), `rider_${id}`, { pooled: true });
+      ride.assignDriver(driver, 60);
+      rideRepository.save(ride);
+      return ride;
+    };
+
+    beforeEach(() => {
+      driver.location = at(37.7700);
+    });
+
+    afterEach(() => {
+      driverSimulator.stopAll();
+      poolService.clear();
+    });
+
+    test('the driver moves on to the next rider when the first one cancels', () => {
+      const first = pooledRide('ride_a', 37.7750, 37.8050);
+      const second = pooledRide('ride_b', 37.7850, 37.7950);
+      const trip = poolService.startTrip(driver, first);
+      poolService.addRide(trip, second, poolService.planInsertion(trip, second, driver.location));
+      driverSimulator.startPoolSimulation(trip, driver, () => {}, () => {});
+      expect(driverPool.getDriverById(driver.id).currentRideId).toBe('ride_a');
+
+      cancellationService.cancelByRider(first);
+
+      expect(poolService.getTrip(driver.id).rides.has('ride_a')).toBe(false);
+      expect(driverPool.getDriverById(driver.id).available).toBe(false);
+      expect(driverPool.getDriverById(driver.id).currentRideId).toBe('ride_b');
+    });
+
+    test('the driver is freed once the last rider cancels', () => {
+      const ride = pooledRide('ride_a', 37.7750, 37.8050);
+      driverSimulator.startPoolSimulation(poolService.startTrip(driver, ride), driver, () => {}, () => {});
+
+      cancellationService.cancelByRider(ride);
+
+      expect(poolService.getTrip(driver.id)).toBeNull();
+      expect(driverPool.getDriverById(driver.id).available).toBe(true);
+      expect(driverPool.getDriverById(driver.id).currentRideId).toBeNull();
+    });
+  });
+
+  test('rejects rides that can no longer be cancelled without touching the driver', () => {
+    const ride = assignedRide();
+    ride.updateStatus('arriving');
+    ride.updateStatus('inProgress');
+
+    expect(() => cancellationService.cancelByRider(ride)).toThrow(InvalidTransitionError);
+    expect(driverPool.getDriverById(driver.id).available).toBe(false);
+    expect(driverNotifier.notifyRideCancelled).not.toHaveBeenCalled();
+  });
+});
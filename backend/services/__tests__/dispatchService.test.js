@@ -0,0 +1,240 @@
+/**
+ * Unit tests for dispatchService
+ * Tests the cascade of ride offers across logged-in drivers and first-accept-wins claims
+ */
+
+const dispatchService = require('../dispatchService');
+const driverNotifier = require('../driverNotifier');
+const driverPool = require('../driverPool');
+const Ride = require('../../models/Ride');
+const {
+  rideRepository,
+  rideOfferRepository,
+  driverSessionRepository
+} = require('../../repositories');
+
+const DispatchService = dispatchService.constructor;
+
+jest.mock('../driverNotifier');
+
+const pickup = { lat: 37.7749, lng: -122.4194 };
+const destination = { lat: 37.8049, lng: -122.4094 };
+
+describe('DispatchService', () => {
+  let dispatcher;
+  let onExhausted;
+  let near, middle, far;
+
+  // Log a driver in at a given distance north of the pickup
+  const goOnline = (driver, latOffset) => {
+    driver.vehicleType = 'Standard';
+    driverPool.setAvailability(driver.id, true);
+    driverPool.updateDriverLocation(driver.id, pickup.lat + latOffset, pickup.lng);
+    driverSessionRepository.save({ driverId: driver.id });
+  };
+
+  const requestRide = (id = 'ride123') => {
+    const ride = new Ride(id, pickup, destination, 'rider_1');
+    rideRepository.save(ride);
+    return ride;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    rideRepository.clear();
+    rideOfferRepository.clear();
+    driverSessionRepository.clear();
+
+    [near, middle, far] = driverPool.getAllDrivers();
+    goOnline(near, 0.001);
+    goOnline(middle, 0.005);
+    goOnline(far, 0.01);
+
+    onExhausted = jest.fn();
+    dispatcher = new DispatchService({ mode: 'sequential', offerTimeoutMs: 30000, maxOfferAttempts: 3 });
+    dispatcher.setExhaustedHandler(onExhausted);
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  test('offers the ride to the nearest online driver first', () => {
+    const offer = dispatcher.dispatch(requestRide());
+
+    expect(offer.recipients[0].driverId).toBe(near.id);
+    expect(offer.attempt).toBe(1);
+    expect(rideOfferRepository.get('ride123')).toBe(offer);
+    expect(onExhausted).not.toHaveBeenCalled();
+  });
+
+  test('never offers rides to drivers beyond the max pickup ETA', () => {
+    driverSessionRepository.clear();
+    const [, , , airport] = driverPool.getAllDrivers();
+    goOnline(airport, -0.15); // ~17 km south
+
+    expect(dispatcher.dispatch(requestRide())).toBeNull();
+    expect(onExhausted).toHaveBeenCalled();
+  });
+
+  test('moves to the next-nearest driver after a rejection', () => {
+    dispatcher.dispatch(requestRide());
+
+    expect(dispatcher.declineOffer('ride123', near.id)).toBe(true);
+
+    const offer = rideOfferRepository.get('ride123');
+    expect(offer.recipients[0].driverId).toBe(middle.id);
+    expect(offer.attempt).toBe(2);
+    expect(offer.declinedDriverIds).toEqual([near.id]);
+  });
+
+  test('moves to the next-nearest driver when an offer times out', () => {
+    dispatcher.dispatch(requestRide());
+
+    jest.advanceTimersByTime(30000);
+
+    expect(rideOfferRepository.get('ride123').recipients[0].driverId).toBe(middle.id);
+  });
+
+  test('ignores rejections from drivers who do not hold the offer', () => {
+    dispatcher.dispatch(requestRide());
+
+    expect(dispatcher.declineOffer('ride123', far.id)).toBe(false);
+    expect(rideOfferRepository.get('ride123').recipients[0].driverId).toBe(near.id);
+  });
+
+  test('falls back once every online driver has declined', () => {
+    const ride = requestRide();
+    dispatcher.dispatch(ride);
+
+    dispatcher.declineOffer('ride123', near.id);
+    dispatcher.declineOffer('ride123', middle.id);
+    dispatcher.declineOffer('ride123', far.id);
+
+    expect(onExhausted).toHaveBeenCalledWith(ride);
+    expect(rideOfferRepository.has('ride123')).toBe(false);
+  });
+
+  test('stops after the maximum number of attempts', () => {
+    dispatcher = new DispatchService({ mode: 'sequential', offerTimeoutMs: 30000, maxOfferAttempts: 2 });
+    dispatcher.setExhaustedHandler(onExhausted);
+    dispatcher.dispatch(requestRide());
+
+    jest.advanceTimersByTime(60000);
+
+    expect(onExhausted).toHaveBeenCalledTimes(1);
+    expect(rideOfferRepository.has('ride123')).toBe(false);
+  });
+
+  test('skips drivers who are considering another ride', () => {
+    dispatcher.dispatch(requestRide('ride123'));
+    const second = dispatcher.dispatch(requestRide('ride456'));
+
+    expect(second.recipients[0].driverId).toBe(middle.id);
+  });
+
+  test('never offers a ride to drivers who cancelled it', () => {
+    const ride = requestRide();
+    ride.excludedDriverIds = [near.id];
+
+    expect(dispatcher.dispatch(ride).recipients[0].driverId).toBe(middle.id);
+  });
+
+  test('falls back immediately when nobody is online', () => {
+    driverSessionRepository.clear();
+    const ride = requestRide();
+
+    expect(dispatcher.dispatch(ride)).toBeNull();
+    expect(onExhausted).toHaveBeenCalledWith(ride);
+  });
+
+  test('stops dispatching once the ride is no longer searching', () => {
+    const ride = requestRide();
+    dispatcher.dispatch(ride);
+
+    ride.updateStatus('cancelled', Ride.Actor.RIDER);
+    dispatcher.declineOffer('ride123', near.id);
+
+    expect(rideOfferRepository.has('ride123')).toBe(false);
+    expect(onExhausted).not.toHaveBeenCalled();
+  });
+
+  test('withdrawDriver passes a logged-out driver\'s offer on', () => {
+    dispatcher.dispatch(requestRide());
+
+    driverSessionRepository.delete(near.id);
+    dispatcher.withdrawDriver(near.id);
+
+    expect(rideOfferRepository.get('ride123').recipients[0].driverId).toBe(middle.id);
+  });
+
+  describe('broadcast mode', () => {
+    beforeEach(() => {
+      dispatcher = new DispatchService({
+        mode: 'broadcast',
+        broadcastSize: 2,
+        offerTimeoutMs: 30000,
+        maxOfferAttempts: 3
+      });
+      dispatcher.setExhaustedHandler(onExhausted);
+    });
+
+    test('offers the ride to the K nearest drivers at once', () => {
+      const offer = dispatcher.dispatch(requestRide());
+
+      expect(offer.recipients.map(r => r.driverId)).toEqual([near.id, middle.id]);
+      expect(driverNotifier.notifyDriver).toHaveBeenCalledWith(near.id, expect.objectContaining({ rideId: 'ride123' }));
+      expect(driverNotifier.notifyDriver).toHaveBeenCalledWith(middle.id, expect.objectContaining({ rideId: 'ride123' }));
+    });
+
+    test('first accept claims the ride and cancels the other offers', () => {
+      dispatcher.dispatch(requestRide());
+
+      const winner = dispatcher.claimOffer('ride123', middle.id);
+
+      expect(winner.driverId).toBe(middle.id);
+      expect(rideOfferRepository.has('ride123')).toBe(false);
+      expect(driverNotifier.cancelOffer).toHaveBeenCalledWith(near.id, 'ride123');
+      expect(driverNotifier.cancelOffer).not.toHaveBeenCalledWith(middle.id, 'ride123');
+    });
+
+    test('late accepts get a 409', () => {
+      dispatcher.dispatch(requestRide());
+      dispatcher.claimOffer('ride123', middle.id);
+
+      expect(() => dispatcher.claimOffer('ride123', near.id))
+        .toThrow(expect.objectContaining({ statusCode: 409 }));
+    });
+
+    test('drivers who were never offered the ride cannot claim it', () => {
+      dispatcher.dispatch(requestRide());
+
+      expect(() => dispatcher.claimOffer('ride123', far.id))
+        .toThrow(expect.objectContaining({ statusCode: 409 }));
+    });
+
+    test('waits for every recipient to decline before the next round', () => {
+      dispatcher.dispatch(requestRide());
+
+      dispatcher.declineOffer('ride123', near.id);
+      expect(rideOfferRepository.get('ride123').recipients.map(r => r.driverId)).toEqual([middle.id]);
+
+      dispatcher.declineOffer('ride123', middle.id);
+      const offer = rideOfferRepository.get('ride123');
+      expect(offer.recipients.map(r => r.driverId)).toEqual([far.id]);
+      expect(offer.attempt).toBe(2);
+    });
+
+    test('expired rounds cancel every unanswered offer', () => {
+      dispatcher.dispatch(requestRide());
+
+      jest.advanceTimersByTime(30000);
+
+      expect(driverNotifier.cancelOffer).toHaveBeenCalledWith(near.id, 'ride123');
+      expect(driverNotifier.cancelOffer).toHaveBeenCalledWith(middle.id, 'ride123');
+      expect(rideOfferRepository.get('ride123').recipients.map(r => r.driverId)).toEqual([far.id]);
+    });
+  });
+});
@@ -5,10 +5,24 @@
 
 const driverMatcher = require('../driverMatcher');
 const driverPool = require('../driverPool');
+const dispatchConfig = require('../../config/dispatchConfig');
+const SpatialIndex = require('../../utils/spatialIndex');
 
 // Mock the driverPool to control test scenarios
 jest.mock('../driverPool');
 
+// Answer the pool's nearest-driver queries from a list of available drivers
+const givenAvailableDrivers = (drivers) => {
+  const index = new SpatialIndex();
+  drivers.forEach(driver => index.upsert(driver.id, driver.location.lat, driver.location.lng, driver));
+
+  driverPool.getAvailableDrivers.mockReturnValue(drivers);
+  driverPool.findNearestAvailableDrivers.mockImplementation((location, k, options) =>
+    index.kNearest(location.lat, location.lng, k, options)
+      .map(({ item, distance }) => ({ driver: item, distance }))
+  );
+};
+
 describe('DriverMatcher', () => {
 
   beforeEach(() => {
@@ -16,7 +30,7 @@ describe('DriverMatcher', () => {
     jest.clearAllMocks();
   });
 
-  describe('findNearestDriver', () => {
+  describe('findBestDriver', () => {
     test('finds nearest driver when multiple drivers available', () => {
       const pickupLocation = { lat: 37.7749, lng: -122.4194 }; // San Francisco
 
@@ -44,9 +58,9 @@ describe('DriverMatcher', () => {
         }
       ];
 
-      driverPool.getAvailableDrivers.mockReturnValue(mockDrivers);
+      givenAvailableDrivers(mockDrivers);
 
-      const result = driverMatcher.findNearestDriver(pickupLocation);
+      const result = driverMatcher.findBestDriver(pickupLocation);
 
       expect(result).not.toBeNull();
       expect(result.driver.id).toBe('driver1'); // John is closest
@@ -57,12 +71,12 @@ describe('DriverMatcher', () => {
     test('returns null when no drivers available', () => {
       const pickupLocation = { lat: 37.7749, lng: -122.4194 };
 
-      driverPool.getAvailableDrivers.mockReturnValue([]);
+      givenAvailableDrivers([]);
 
-      const result = driverMatcher.findNearestDriver(pickupLocation);
+      const result = driverMatcher.findBestDriver(pickupLocation);
 
       expect(result).toBeNull();
-      expect(driverPool.getAvailableDrivers).toHaveBeenCalledTimes(1);
+      expect(driverPool.findNearestAvailableDrivers).toHaveBeenCalledTimes(1);
     });
 
     test('handles single available driver', () => {
@@ -78,9 +92,9 @@ describe('DriverMatcher', () => {
         }
       ];
 
-      driverPool.getAvailableDrivers.mockReturnValue(mockDrivers);
+      givenAvailableDrivers(mockDrivers);
 
-      const result = driverMatcher.findNearestDriver(pickupLocation);
+      const result = driverMatcher.findBestDriver(pickupLocation);
 
       expect(result).not.toBeNull();
       expect(result.driver.id).toBe('driver1');
@@ -100,9 +114,9 @@ describe('DriverMatcher', () => {
         }
       ];
 
-      driverPool.getAvailableDrivers.mockReturnValue(mockDrivers);
+      givenAvailableDrivers(mockDrivers);
 
-      const result = driverMatcher.findNearestDriver(pickupLocation);
+      const result = driverMatcher.findBestDriver(pickupLocation);
 
       // Distance should be roughly 1500m (allow 500m margin due to approximation)
       expect(result.distance).toBeGreaterThan(1000);
@@ -122,9 +136,9 @@ describe('DriverMatcher', () => {
         }
       ];
 
-      driverPool.getAvailableDrivers.mockReturnValue(mockDrivers);
+      givenAvailableDrivers(mockDrivers);
 
-      const result = driverMatcher.findNearestDriver(pickupLocation);
+      const result = driverMatcher.findBestDriver(pickupLocation);
 
       expect(result.eta).toBeGreaterThan(0);
       expect(typeof result.eta).toBe('number');
@@ -153,9 +167,9 @@ describe('DriverMatcher', () => {
         }
       ];
 
-      driverPool.getAvailableDrivers.mockReturnValue(mockDrivers);
+      givenAvailableDrivers(mockDrivers);
 
-      const result = driverMatcher.findNearestDriver(pickupLocation);
+      const result = driverMatcher.findBestDriver(pickupLocation);
 
       // Should select driver2 despite lower rating because they're closest
       expect(result.driver.id).toBe('driver2');
@@ -174,9 +188,9 @@ describe('DriverMatcher', () => {
         }
       ];
 
-      driverPool.getAvailableDrivers.mockReturnValue(mockDrivers);
+      givenAvailableDrivers(mockDrivers);
 
-      const result = driverMatcher.findNearestDriver(pickupLocation);
+      const result = driverMatcher.findBestDriver(pickupLocation);
 
       expect(result).not.toBeNull();
       expect(result.driver.id).toBe('driver1');
@@ -205,9 +219,9 @@ describe('DriverMatcher', () => {
         }
       ];
 
-      driverPool.getAvailableDrivers.mockReturnValue(mockDrivers);
+      givenAvailableDrivers(mockDrivers);
 
-      const result = driverMatcher.findNearestDriver(pickupLocation);
+      const result = driverMatcher.findBestDriver(pickupLocation);
 
       expect(result).not.toBeNull();
       // Should pick one of them (driver1 is slightly closer)
@@ -216,6 +230,127 @@ describe('DriverMatcher', () => {
     });
   });
 
+  describe('scoring strategies', () => {
+    const pickupLocation = { lat: 37.7749, lng: -122.4194 };
+    const justFinished = {
+      id: 'just-finished',
+      name: 'Just Finished',
+      vehicleType: 'Standard',
+      rating: 4.8,
+      location: { lat: 37.7769, lng: -122.4194 }, // ~220m away
+      getAcceptanceRate: () => null,
+      getIdleSeconds: () => 30
+    };
+    const longWait = {
+      id: 'long-wait',
+      name: 'Long Wait',
+      vehicleType: 'Standard',
+      rating: 4.8,
+      location: { lat: 37.7789, lng: -122.4194 }, // ~450m away
+      getAcceptanceRate: () => null,
+      getIdleSeconds: () => 50 * 60
+    };
+
+    afterEach(() => {
+      dispatchConfig.scoringStrategy = 'nearest';
+    });
+
+    test('findBestDriver explains why the driver was chosen', () => {
+      givenAvailableDrivers([justFinished, longWait]);
+
+      const result = driverMatcher.findBestDriver(pickupLocation, 'Standard');
+
+      expect(result.driver.id).toBe('just-finished');
+      expect(result.matchDebug).toEqual({
+        strategy: 'nearest',
+        driverId: 'just-finished',
+        score: result.scoring.score,
+        factors: expect.objectContaining({ eta: expect.objectContaining({ weight: 1 }) }),
+        alternatives: [{ driverId: 'long-wait', score: expect.any(Number) }]
+      });
+    });
+
+    test('the fair strategy spreads rides to drivers who have waited longest', () => {
+      dispatchConfig.scoringStrategy = 'fair';
+      givenAvailableDrivers([justFinished, longWait]);
+
+      const result = driverMatcher.findBestDriver(pickupLocation, 'Standard');
+
+      expect(result.driver.id).toBe('long-wait');
+      expect(result.matchDebug.strategy).toBe('fair');
+      expect(result.matchDebug.factors.idleTime.value).toBe(3000);
+    });
+
+    test('rankCandidates lets upgrades compete when the strategy allows it', () => {
+      dispatchConfig.scoringStrategy = 'balanced';
+      const xlNextDoor = { ...justFinished, id: 'xl', vehicleType: 'XL', location: { lat: 37.7750, lng: -122.4194 } };
+      const standardAcrossTown = { ...longWait, id: 'standard', location: { lat: 37.8049, lng: -122.3994 } };
+      givenAvailableDrivers([xlNextDoor, standardAcrossTown]);
+
+      const ranked = driverMatcher.rankCandidates(pickupLocation, 'Standard', { limit: 2 });
+
+      expect(ranked.map(c => c.driver.id)).toEqual(['xl', 'standard']);
+      expect(ranked[0].upgraded).toBe(true);
+    });
+  });
+
+  describe('vehicle type matching', () => {
+    const pickupLocation = { lat: 37.7749, lng: -122.4194 };
+
+    const standardFar = {
+      id: 'standard-far',
+      name: 'Standard Far',
+      vehicleType: 'Standard',
+      location: { lat: 37.8049, lng: -122.3994 } // ~3 km away
+    };
+    const xlClose = {
+      id: 'xl-close',
+      name: 'XL Close',
+      vehicleType: 'XL',
+      location: { lat: 37.7759, lng: -122.4204 } // ~100m away
+    };
+    const premiumMid = {
+      id: 'premium-mid',
+      name: 'Premium Mid',
+      vehicleType: 'Premium',
+      location: { lat: 37.7849, lng: -122.4094 } // ~1.4 km away
+    };
+
+    test('prefers an exact vehicle type match over a closer upgrade', () => {
+      const result = driverMatcher.findNearest(pickupLocation, [standardFar, xlClose], 'Standard');
+
+      expect(result.driver.id).toBe('standard-far');
+      expect(result.upgraded).toBe(false);
+    });
+
+    test('falls back to the nearest upgrade when no exact match is available', () => {
+      const result = driverMatcher.findNearest(pickupLocation, [premiumMid, xlClose], 'Standard');
+
+      expect(result.driver.id).toBe('xl-close');
+      expect(result.upgraded).toBe(true);
+    });
+
+    test('never downgrades a Premium request', () => {
+      const result = driverMatcher.findNearest(pickupLocation, [standardFar, xlClose], 'Premium');
+
+      expect(result).toBeNull();
+    });
+
+    test('considers every driver when no vehicle type is requested', () => {
+      const result = driverMatcher.findNearest(pickupLocation, [standardFar, xlClose, premiumMid]);
+
+      expect(result.driver.id).toBe('xl-close');
+      expect(result.upgraded).toBe(false);
+    });
+
+    test('estimatePickupEta returns null when no driver can serve the product', () => {
+      givenAvailableDrivers([standardFar]);
+
+      expect(driverMatcher.estimatePickupEta(pickupLocation, 'Standard')).toBeGreaterThan(0);
+      expect(driverMatcher.estimatePickupEta(pickupLocation, 'XL')).toBeNull();
+    });
+  });
+
   describe('matchRideToDriver', () => {
     beforeEach(() => {
       // Use fake timers to control setTimeout
@@ -243,7 +378,7 @@ describe('DriverMatcher', () => {
         }
       ];
 
-      driverPool.getAvailableDrivers.mockReturnValue(mockDrivers);
+      givenAvailableDrivers(mockDrivers);
 
       const onMatchCallback = jest.fn();
       driverMatcher.matchRideToDriver(ride, onMatchCallback);
@@ -268,22 +403,106 @@ describe('DriverMatcher', () => {
     test('calls callback with null when no drivers available', () => {
       const ride = {
         id: 'ride123',
+        status: 'searching',
         pickup: { lat: 37.7749, lng: -122.4194 },
         destination: { lat: 37.8049, lng: -122.3994 }
       };
 
-      driverPool.getAvailableDrivers.mockReturnValue([]);
+      givenAvailableDrivers([]);
 
       const onMatchCallback = jest.fn();
       driverMatcher.matchRideToDriver(ride, onMatchCallback);
 
-      // Fast-forward time
-      jest.advanceTimersByTime(5000);
+      // Fast-forward past the initial delay and every radius expansion
+      jest.advanceTimersByTime(5000 + driverMatcher.getSearchRadii().length * dispatchConfig.searchStepMs);
 
       expect(onMatchCallback).toHaveBeenCalledTimes(1);
       expect(onMatchCallback).toHaveBeenCalledWith(null);
     });
 
+    describe('progressive search radius', () => {
+      const ride = {
+        id: 'ride123',
+        status: 'searching',
+        pickup: { lat: 37.7749, lng: -122.4194 },
+        destination: { lat: 37.8049, lng: -122.3994 }
+      };
+      const driverThreeKmAway = {
+        id: 'driver1',
+        name: 'John Doe',
+        location: { lat: 37.8019, lng: -122.4194 }, // ~3 km north
+        rating: 4.8
+      };
+
+      test('widens the radius in steps up to the max pickup ETA', () => {
+        expect(driverMatcher.getSearchRadii()).toEqual([1000, 2000, 4000, 8000, 10000]);
+        expect(driverMatcher.getSearchStep(4)).toEqual({
+          step: 5,
+          steps: 5,
+          radiusMeters: 10000,
+          maxRadiusMeters: 10000,
+          maxPickupEtaSeconds: 900
+        });
+      });
+
+      test('reports each step and matches once the driver is inside the radius', () => {
+        givenAvailableDrivers([driverThreeKmAway]);
+
+        const onMatch = jest.fn();
+        const onSearchStep = jest.fn();
+        driverMatcher.matchRideToDriver(ride, onMatch, { onSearchStep });
+
+        jest.advanceTimersByTime(4000);
+        expect(onSearchStep).toHaveBeenCalledTimes(1);
+        expect(onMatch).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(2 * dispatchConfig.searchStepMs);
+
+        expect(onSearchStep.mock.calls.map(([search]) => search.radiusMeters)).toEqual([1000, 2000, 4000]);
+        expect(onMatch).toHaveBeenCalledWith(expect.objectContaining({
+          driver: expect.objectContaining({ id: 'driver1' })
+        }));
+      });
+
+      test('never matches drivers beyond the max pickup ETA', () => {
+        const driverAtAirport = { ...driverThreeKmAway, location: { lat: 37.6213, lng: -122.3790 } };
+        givenAvailableDrivers([driverAtAirport]);
+
+        const onMatch = jest.fn();
+        const onSearchStep = jest.fn();
+        driverMatcher.matchRideToDriver(ride, onMatch, { onSearchStep });
+
+        jest.advanceTimersByTime(4000 + 3 * dispatchConfig.searchStepMs);
+        expect(onMatch).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(dispatchConfig.searchStepMs);
+        expect(onSearchStep).toHaveBeenCalledTimes(5);
+        expect(onMatch).toHaveBeenCalledWith(null);
+      });
+
+      test('stops searching once the ride is no longer searching', () => {
+        givenAvailableDrivers([]);
+
+        const cancelledRide = { ...ride };
+        const onMatch = jest.fn();
+        const onSearchStep = jest.fn();
+        driverMatcher.matchRideToDriver(cancelledRide, onMatch, { onSearchStep });
+
+        jest.advanceTimersByTime(4000);
+        cancelledRide.status = 'cancelled';
+        jest.advanceTimersByTime(10 * dispatchConfig.searchStepMs);
+
+        expect(onSearchStep).toHaveBeenCalledTimes(1);
+        expect(onMatch).not.toHaveBeenCalled();
+      });
+
+      test('estimatePickupEta ignores drivers beyond the max pickup ETA', () => {
+        givenAvailableDrivers([{ ...driverThreeKmAway, location: { lat: 37.6213, lng: -122.3790 } }]);
+
+        expect(driverMatcher.estimatePickupEta(ride.pickup)).toBeNull();
+      });
+    });
+
     test('simulates realistic search delay', () => {
       const ride = {
         id: 'ride123',
@@ -301,7 +520,7 @@ describe('DriverMatcher', () => {
         }
       ];
 
-      driverPool.getAvailableDrivers.mockReturnValue(mockDrivers);
+      givenAvailableDrivers(mockDrivers);
 
       const onMatchCallback = jest.fn();
       driverMatcher.matchRideToDriver(ride, onMatchCallback);
@@ -315,4 +534,107 @@ describe('DriverMatcher', () => {
       expect(onMatchCallback).toHaveBeenCalledTimes(1);
     });
   });
+
+  describe('batch matching', () => {
+    // Two rides on a north-south line with one driver between them and one far north:
+    // greedy gives ride A the middle driver and sends the far driver all the way to ride B
+    const rideA = { id: 'rideA', status: 'searching', pickup: { lat: 37.7800, lng: -122.4194 } };
+    const rideB = { id: 'rideB', status: 'searching', pickup: { lat: 37.7700, lng: -122.4194 } };
+    const middle = { id: 'middle', name: 'Middle', location: { lat: 37.7760, lng: -122.4194 } };
+    const north = { id: 'north', name: 'North', location: { lat: 37.7900, lng: -122.4194 } };
+
+    test('minimizes total pickup ETA instead of serving rides greedily', () => {
+      const matches = driverMatcher.assignBatch([{ ride: rideA }, { ride: rideB }], [middle, north]);
+
+      expect(matches.map(m => m.driver.id)).toEqual(['north', 'middle']);
+    });
+
+    test('never gives two rides the same driver', () => {
+      const matches = driverMatcher.assignBatch([{ ride: rideA }, { ride: rideB }], [middle]);
+
+      expect(matches.filter(Boolean)).toHaveLength(1);
+    });
+
+    test('respects excluded drivers', () => {
+      const matches = driverMatcher.assignBatch([{ ride: rideA, excludeDriverIds: ['north'] }], [middle, north]);
+
+      expect(matches[0].driver.id).toBe('middle');
+    });
+
+    test('only uses upgrades when no exact pairing is left', () => {
+      const standard = { ...north, vehicleType: 'Standard' };
+      const xl = { ...middle, vehicleType: 'XL' };
+      const rides = [
+        { ride: { ...rideA, vehicleType: 'Standard' } },
+        { ride: { ...rideB, vehicleType: 'Standard' } }
+      ];
+
+      const matches = driverMatcher.assignBatch(rides, [standard, xl]);
+
+      expect(matches.map(m => m.upgraded).sort()).toEqual([false, true]);
+    });
+
+    describe('with the batch strategy configured', () => {
+      beforeEach(() => {
+        jest.useFakeTimers();
+        dispatchConfig.matchingStrategy = 'batch';
+      });
+
+      afterEach(() => {
+        dispatchConfig.matchingStrategy = 'greedy';
+        dispatchConfig.initialSearchRadiusMeters = 1000;
+
+        // Drop rides still waiting for a wider radius
+        clearTimeout(driverMatcher.batchTimer);
+        driverMatcher.batchTimer = null;
+        driverMatcher.pendingBatch = [];
+        jest.useRealTimers();
+      });
+
+      test('collects rides over the batch window and matches them together', () => {
+        // Start wide enough that both drivers are in reach of both rides
+        dispatchConfig.initialSearchRadiusMeters = 4000;
+        givenAvailableDrivers([middle, north]);
+        const onMatchA = jest.fn();
+        const onMatchB = jest.fn();
+
+        driverMatcher.matchRideToDriver(rideA, onMatchA);
+        driverMatcher.matchRideToDriver(rideB, onMatchB);
+
+        jest.advanceTimersByTime(dispatchConfig.batchWindowMs - 1);
+        expect(onMatchA).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(1);
+        expect(onMatchA).toHaveBeenCalledWith(expect.objectContaining({ driver: north }));
+        expect(onMatchB).toHaveBeenCalledWith(expect.objectContaining({ driver: middle }));
+      });
+
+      test('reports null for rides left without a driver at the largest radius', () => {
+        givenAvailableDrivers([]);
+        const onMatch = jest.fn();
+        const steps = driverMatcher.getSearchRadii().length;
+
+        driverMatcher.matchRideToDriver(rideA, onMatch);
+        jest.advanceTimersByTime(dispatchConfig.batchWindowMs * (steps - 1));
+        expect(onMatch).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(dispatchConfig.batchWindowMs);
+        expect(onMatch).toHaveBeenCalledWith(null);
+      });
+
+      test('retries unmatched rides in the next batch with a wider radius', () => {
+        const farDriver = { ...north, location: { lat: 37.7980, lng: -122.4194 } }; // ~2 km from ride A
+        givenAvailableDrivers([farDriver]);
+        const onMatch = jest.fn();
+        const onSearchStep = jest.fn();
+
+        driverMatcher.matchRideToDriver(rideA, onMatch, { onSearchStep });
+        jest.advanceTimersByTime(dispatchConfig.batchWindowMs * 3);
+
+        expect(onSearchStep.mock.calls.map(([search]) => search.radiusMeters)).toEqual([1000, 2000, 4000]);
+        expect(onMatch).toHaveBeenCalledTimes(1);
+        expect(onMatch).toHaveBeenCalledWith(expect.objectContaining({ driver: farDriver }));
+      });
+    });
+  });
 });
@@ -0,0 +1,83 @@
+/**
+ * Unit tests for driverPool
+ * Tests that position updates reach storage without a write on every tick
+ */
+
+const driverPool = require('../driverPool');
+const Driver = require('../../models/Driver');
+const Repository = require('../../repositories/Repository');
+const { driverRepository } = require('../../repositories');
+
+/**
+ * The driver as a restart would restore them from storage
+ */
+function restoredDriver(driverId) {
+  const restored = new Repository(driverRepository.adapter, 'drivers', {
+    deserialize: record => Driver.fromRecord(record)
+  });
+  return restored.get(driverId);
+}
+
+describe('DriverPool', () => {
+  let driver;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    driver = driverPool.getAllDrivers()[0];
+    driverPool.saveLocations();
+    jest.advanceTimersByTime(5000);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('updateDriverLocation', () => {
+    test('moves the driver in memory and in the spatial index', () => {
+      driverPool.updateDriverLocation(driver.id, 37.7001, -122.5001);
+
+      expect(driver.location).toEqual({ lat: 37.7001, lng: -122.5001 });
+      expect(driverPool.findNearestAvailableDrivers({ lat: 37.7001, lng: -122.5001 }, 1, {
+        filter: d => d.id === driver.id
+      })[0].distance).toBeCloseTo(0);
+    });
+
+    test('a restored driver starts from their latest position', () => {
+      driverPool.updateDriverLocation(driver.id, 37.7001, -122.5001);
+      expect(restoredDriver(driver.id).location).toEqual({ lat: 37.7001, lng: -122.5001 });
+
+      // Simulator ticks within the save interval
+      driverPool.updateDriverLocation(driver.id, 37.7002, -122.5002);
+      driverPool.updateDriverLocation(driver.id, 37.7003, -122.5003);
+      expect(restoredDriver(driver.id).location).toEqual({ lat: 37.7001, lng: -122.5001 });
+
+      jest.advanceTimersByTime(2000);
+      expect(restoredDriver(driver.id).location).toEqual({ lat: 37.7003, lng: -122.5003 });
+    });
+
+    test('stores a moving driver at most once per interval', () => {
+      const write = jest.spyOn(driverRepository.adapter, 'write');
+
+      // Ten seconds of simulator ticks every 500ms
+      for (let tick = 1; tick <= 20; tick++) {
+        driverPool.updateDriverLocation(driver.id, 37.7 + tick / 10000, -122.5);
+        jest.advanceTimersByTime(500);
+      }
+
+      expect(write.mock.calls.length).toBeLessThanOrEqual(6);
+
+      jest.advanceTimersByTime(2000);
+      expect(restoredDriver(driver.id).location).toEqual(driver.location);
+    });
+
+    test('positions still waiting for their interval are stored on shutdown', () => {
+      driverPool.updateDriverLocation(driver.id, 37.7001, -122.5001);
+      driverPool.updateDriverLocation(driver.id, 37.7002, -122.5002);
+
+      driverPool.saveLocations();
+
+      expect(restoredDriver(driver.id).location).toEqual({ lat: 37.7002, lng: -122.5002 });
+    });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Unit tests for driverScoring
+ * Tests the built-in scoring strategies, custom strategies and match explanations
+ */
+
+const driverScoring = require('../driverScoring');
+const Driver = require('../../models/Driver');
+
+const NOW = Date.parse('2024-01-01T12:00:00Z');
+
+// Candidate as produced by driverMatcher.toCandidate
+const candidate = (id, { eta = 120, rating = 4.8, vehicleType = 'Standard', upgraded = false, idleMinutes = 0, accepted = 0, declined = 0 } = {}) => {
+  const driver = new Driver(id, id, 37.7749, -122.4194, vehicleType, rating);
+  driver.idleSince = NOW - idleMinutes * 60 * 1000;
+  driver.offersAccepted = accepted;
+  driver.offersDeclined = declined;
+  return { driver, distance: eta * 10, eta, upgraded };
+};
+
+const rankedIds = (candidates, strategy) =>
+  driverScoring.rank(candidates, { strategy, now: NOW }).map(c => c.driver.id);
+
+describe('DriverScoring', () => {
+  describe('nearest strategy', () => {
+    test('ranks by pickup ETA', () => {
+      const candidates = [candidate('far', { eta: 600 }), candidate('close', { eta: 60 })];
+
+      expect(rankedIds(candidates, 'nearest')).toEqual(['close', 'far']);
+    });
+
+    test('keeps exact vehicle matches ahead of closer upgrades', () => {
+      const candidates = [
+        candidate('xl', { eta: 30, vehicleType: 'XL', upgraded: true }),
+        candidate('standard', { eta: 900 })
+      ];
+
+      expect(rankedIds(candidates, 'nearest')).toEqual(['standard', 'xl']);
+    });
+
+    test('ignores rating and idle time', () => {
+      const candidates = [
+        candidate('rested', { eta: 200, rating: 5.0, idleMinutes: 60 }),
+        candidate('close', { eta: 100, rating: 4.0 })
+      ];
+
+      expect(rankedIds(candidates, 'nearest')).toEqual(['close', 'rested']);
+    });
+  });
+
+  describe('fair strategy', () => {
+    test('prefers a driver who has waited much longer, even if a bit further away', () => {
+      const candidates = [
+        candidate('justFinished', { eta: 120, idleMinutes: 1 }),
+        candidate('waiting', { eta: 240, idleMinutes: 45 })
+      ];
+
+      expect(rankedIds(candidates, 'fair')).toEqual(['waiting', 'justFinished']);
+      expect(rankedIds(candidates, 'nearest')).toEqual(['justFinished', 'waiting']);
+    });
+  });
+
+  describe('balanced strategy', () => {
+    test('breaks ETA ties on rating and acceptance rate', () => {
+      const candidates = [
+        candidate('lowRated', { rating: 4.2 }),
+        candidate('highRated', { rating: 4.9 })
+      ];
+
+      expect(rankedIds(candidates, 'balanced')).toEqual(['highRated', 'lowRated']);
+
+      const responsive = [
+        candidate('oftenDeclines', { accepted: 2, declined: 8 }),
+        candidate('usuallyAccepts', { accepted: 9, declined: 1 })
+      ];
+
+      expect(rankedIds(responsive, 'balanced')).toEqual(['usuallyAccepts', 'oftenDeclines']);
+    });
+
+    test('does not penalize drivers without offer history', () => {
+      const [scored] = driverScoring.rank([candidate('new')], { strategy: 'balanced', now: NOW });
+
+      expect(scored.scoring.factors.acceptanceRate).toEqual({ value: null, score: 1, weight: 0.1 });
+    });
+  });
+
+  test('reports every weighted factor with a score between 0 and 1', () => {
+    const [scored] = driverScoring.rank([candidate('d1', { idleMinutes: 15 })], { strategy: 'balanced', now: NOW });
+
+    expect(scored.scoring.strategy).toBe('balanced');
+    expect(Object.keys(scored.scoring.factors).sort())
+      .toEqual(['acceptanceRate', 'eta', 'idleTime', 'rating', 'vehicleMatch']);
+    expect(scored.scoring.factors.idleTime).toEqual({ value: 900, score: 0.5, weight: 0.1 });
+    expect(scored.scoring.score).toBeGreaterThan(0);
+    expect(scored.scoring.score).toBeLessThanOrEqual(1);
+  });
+
+  test('supports custom strategies', () => {
+    driverScoring.registerStrategy('highestRated', ({ driver }) => ({ score: driver.rating / 5, factors: {} }));
+
+    const candidates = [candidate('close', { eta: 30, rating: 4.5 }), candidate('star', { eta: 600, rating: 5.0 })];
+
+    expect(rankedIds(candidates, 'highestRated')).toEqual(['star', 'close']);
+  });
+
+  test('falls back to nearest for unknown strategies', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const [scored] = driverScoring.rank([candidate('d1')], { strategy: 'doesNotExist', now: NOW });
+
+    expect(scored.scoring.strategy).toBe('nearest');
+    console.warn.mockRestore();
+  });
+
+  test('rejects weights for unknown factors', () => {
+    expect(() => driverScoring.weightedStrategy({ eta: 1, horoscope: 1 })).toThrow('Unknown scoring factor: horoscope');
+  });
+
+  test('explain describes the chosen driver and the runners-up', () => {
+    const ranked = driverScoring
+      .rank([candidate('a', { eta: 60 }), candidate('b', { eta: 120 }), candidate('c', { eta: 180 })], { strategy: 'nearest', now: NOW })
+      .map(({ driver, scoring }) => ({ driverId: driver.id, scoring }));
+
+    const explanation = driverScoring.explain('a', ranked);
+
+    expect(explanation).toEqual({
+      strategy: 'nearest',
+      driverId: 'a',
+      score: ranked[0].scoring.score,
+      factors: {
+        eta: { value: 60, score: expect.any(Number), weight: 1 },
+        vehicleMatch: { value: 'Standard', score: 1, weight: 100 }
+      },
+      alternatives: [
+        { driverId: 'b', score: ranked[1].scoring.score },
+        { driverId: 'c', score: ranked[2].scoring.score }
+      ]
+    });
+  });
+});
@@ -0,0 +1,292 @@
+/**
+ * Unit tests for driverSimulator
+ * Tests that simulated drivers drive through every stop of a ride in order,
+ * and through every pickup and drop-off of a pooled trip, waiting at each
+ * pickup until the rider is in
+ */
+
+const driverSimulator = require('../driverSimulator');
+const driverPool = require('../driverPool');
+const poolService = require('../poolService');
+const Ride = require('../../models/Ride');
+
+jest.mock('../driverPool');
+
+const pickup = { lat: 37.7749, lng: -122.4194 };
+const stops = [
+  { lat: 37.7800, lng: -122.4150 },
+  { lat: 37.7850, lng: -122.4100 }
+];
+const destination = { lat: 37.7900, lng: -122.4050 };
+
+// How long simulated riders take to get in once the driver is waiting
+const BOARDING_MS = 2000;
+
+describe('DriverSimulator', () => {
+  let ride;
+  let driver;
+  let statuses;
+  let updates;
+
+  const simulate = ({ board = true } = {}) => driverSimulator.startSimulation(
+    ride,
+    driver,
+    update => updates.push(update),
+    status => {
+      statuses.push(status);
+      ride.updateStatus(status);
+      if (status === 'arriving' && board) {
+        setTimeout(() => driverSimulator.pickUpRider(ride.id), BOARDING_MS);
+      }
+    }
+  );
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    driver = { id: 'driver1', name: 'John Doe', location: { lat: 37.7700, lng: -122.4194 } };
+    ride = new Ride('ride123', pickup, destination, 'rider_1', { stops });
+    ride.assignDriver(driver, 60);
+    statuses = [];
+    updates = [];
+  });
+
+  afterEach(() => {
+    driverSimulator.stopAll();
+    jest.useRealTimers();
+    console.log.mockRestore();
+  });
+
+  test('stops at every stop in order before completing the ride', () => {
+    simulate();
+
+    // Pickup (up to 3 min) + 5 min ride + stop waits, with room to spare
+    jest.advanceTimersByTime(10 * 60 * 1000);
+
+    // Distance-based statuses (and repeats of the same status) aren't milestones
+    const milestones = statuses
+      .filter(status => status !== 'enRoute' && status !== 'approachingDestination')
+      .filter((status, i, all) => status !== all[i - 1]);
+    expect(milestones).toEqual([
+      'arriving',
+      'inProgress',
+      'arrivedAtStop',
+      'inProgress',
+      'arrivedAtStop',
+      'inProgress',
+      'completed'
+    ]);
+    expect(ride.status).toBe('completed');
+    expect(ride.stops.every(stop => stop.arrivedAt && stop.completedAt)).toBe(true);
+  });
+
+  test('reports which stop the driver is heading to', () => {
+    simulate();
+    jest.advanceTimersByTime(10 * 60 * 1000);
+
+    const legs = updates.filter(update => update.route && update.destination && update.currentPhase !== 'toPickup');
+    expect(legs.map(leg => [leg.currentPhase, leg.stopIndex])).toEqual([
+      ['toStop', 0],
+      ['toStop', 1],
+      ['toDestination', null]
+    ]);
+    expect(legs[0].destination).toEqual(expect.objectContaining(stops[0]));
+  });
+
+  test('rides without stops go straight to the destination', () => {
+    ride = new Ride('ride456', pickup, destination, 'rider_1');
+    ride.assignDriver(driver, 60);
+
+    simulate();
+    jest.advanceTimersByTime(10 * 60 * 1000);
+
+    expect(statuses).not.toContain('arrivedAtStop');
+    expect(ride.status).toBe('completed');
+  });
+
+  test('re-routes to a changed destination from where the driver is', () => {
+    ride = new Ride('ride789', pickup, destination, 'rider_1');
+    ride.assignDriver(driver, 60);
+    simulate();
+
+    // Before the driver heads to the destination, the leg just reads it later
+    expect(driverSimulator.changeDestination(ride, update => updates.push(update))).toBeNull();
+
+    // Pickup (up to 3 min + boarding) and part of the ride
+    jest.advanceTimersByTime(4 * 60 * 1000);
+    expect(ride.status).toBe('inProgress');
+
+    const newDestination = { lat: 37.7600, lng: -122.4300 };
+    const driverLocation = { ...driver.location };
+    ride.changeDestination(newDestination, ride.fare);
+    const route = driverSimulator.changeDestination(ride, update => updates.push(update));
+
+    expect(route[0]).toEqual(expect.objectContaining(driverLocation));
+    expect(updates[updates.length - 1]).toEqual(expect.objectContaining({ route, destination: newDestination }));
+
+    jest.advanceTimersByTime(10 * 60 * 1000);
+
+    expect(ride.status).toBe('completed');
+
+    // Last position sent was next to the new destination
+    const { location } = updates[updates.length - 1].driver;
+    expect(location.lat).toBeCloseTo(newDestination.lat, 2);
+    expect(location.lng).toBeCloseTo(newDestination.lng, 2);
+  });
+
+  describe('waiting at the pickup', () => {
+    beforeEach(() => {
+      ride = new Ride('ride456', pickup, destination, 'rider_1');
+      ride.assignDriver(driver, 60);
+      driverPool.updateDriverLocation.mockImplementation((id, lat, lng) => {
+        driver.location = { lat, lng };
+      });
+    });
+
+    test('is only arriving once the driver is at the pickup', () => {
+      simulate({ board: false });
+      jest.advanceTimersByTime(10 * 60 * 1000);
+
+      expect(statuses.filter((status, i, all) => status !== all[i - 1])).toEqual(['enRoute', 'arriving']);
+      expect(driver.location).toEqual(pickup);
+    });
+
+    test('waits for the rider however long it takes', () => {
+      simulate({ board: false });
+      expect(driverSimulator.pickUpRider(ride.id)).toBe(false); // still driving to the pickup
+
+      jest.advanceTimersByTime(30 * 60 * 1000);
+      expect(ride.status).toBe('arriving');
+
+      expect(driverSimulator.pickUpRider(ride.id)).toBe(true);
+      expect(ride.status).toBe('inProgress');
+      expect(driverSimulator.pickUpRider(ride.id)).toBe(false);
+
+      jest.advanceTimersByTime(10 * 60 * 1000);
+      expect(ride.status).toBe('completed');
+    });
+
+    test('a restored ride whose driver was waiting stays parked', () => {
+      driver.location = { ...pickup };
+      ride.updateStatus('arriving');
+
+      simulate({ board: false });
+      expect(driverSimulator.pickUpRider(ride.id)).toBe(true);
+    });
+  });
+
+  describe('pooled trips', () => {
+    const at = lat => ({ lat, lng: -122.4194 });
+    let events;
+    let rides;
+    let board; // rideId -> false for riders who never get in
+
+    const pooledRide = (id, from, to) => {
+      const pooled = new Ride(id, at(from), at(to), `rider_${id}`, { pooled: true });
+      pooled.assignDriver(driver, 60);
+      rides[id] = pooled;
+      return pooled;
+    };
+
+    beforeEach(() => {
+      poolService.clear();
+      driver.location = at(37.7700);
+      driver.vehicleType = 'Standard';
+      driverPool.updateDriverLocation.mockImplementation((id, lat, lng) => {
+        driver.location = { lat, lng };
+      });
+      events = [];
+      rides = {};
+      board = {};
+    });
+
+    const startTrip = first => {
+      const trip = poolService.startTrip(driver, first);
+      driverSimulator.startPoolSimulation(
+        trip,
+        driver,
+        update => updates.push(update),
+        (rideId, status) => {
+          events.push(`${rideId}:${status}`);
+          rides[rideId].updateStatus(status);
+          if (status === 'arriving' && board[rideId] !== false) {
+            setTimeout(() => driverSimulator.pickUpRider(rideId), BOARDING_MS);
+          }
+        }
+      );
+      return trip;
+    };
+
+    test('picks up and drops off every rider in the planned order', () => {
+      const trip = startTrip(pooledRide('a', 37.7750, 37.8050));
+      jest.advanceTimersByTime(5000);
+
+      // A second rider heading the same way joins on the way to the first pickup
+      const second = pooledRide('b', 37.7850, 37.7950);
+      poolService.addRide(trip, second, poolService.planInsertion(trip, second, driver.location));
+      driverSimulator.joinPoolSimulation(trip, second);
+
+      jest.advanceTimersByTime(30 * 60 * 1000);
+
+      const milestones = events.filter(event => !/enRoute|approachingDestination/.test(event));
+      expect(milestones).toEqual([
+        'a:arriving',
+        'a:inProgress',
+        'b:arriving',
+        'b:inProgress',
+        'b:completed',
+        'a:completed'
+      ]);
+      expect(poolService.getTrip(driver.id)).toBeNull();
+      expect(driverPool.completeRide).toHaveBeenCalledWith(driver.id);
+    });
+
+    test('tells each rider how many other pickups and drop-offs come first', () => {
+      const trip = startTrip(pooledRide('a', 37.7750, 37.8050));
+      const second = pooledRide('b', 37.7850, 37.7950);
+      poolService.addRide(trip, second, poolService.planInsertion(trip, second, driver.location));
+      driverSimulator.joinPoolSimulation(trip, second);
+
+      jest.advanceTimersByTime(1000);
+
+      const latest = rideId => updates.filter(update => update.rideId === rideId).pop();
+      expect(latest('a')).toEqual(expect.objectContaining({ pooled: true, currentPhase: 'toPickup', stopsBefore: 0 }));
+      expect(latest('b')).toEqual(expect.objectContaining({ pooled: true, currentPhase: 'toPickup', stopsBefore: 1 }));
+      expect(latest('b').distanceRemaining).toBeGreaterThan(latest('a').distanceRemaining);
+    });
+
+    test('carries on with the other riders when one cancels', () => {
+      const trip = startTrip(pooledRide('a', 37.7750, 37.8050));
+      const second = pooledRide('b', 37.7850, 37.7950);
+      poolService.addRide(trip, second, poolService.planInsertion(trip, second, driver.location));
+      driverSimulator.joinPoolSimulation(trip, second);
+
+      second.updateStatus('cancelled');
+      driverSimulator.stopSimulation('b');
+      jest.advanceTimersByTime(30 * 60 * 1000);
+
+      expect(events.filter(event => event.startsWith('b:'))).toEqual(['b:enRoute']);
+      expect(rides.a.status).toBe('completed');
+    });
+
+    test('drives on when a rider it is waiting for never gets in', () => {
+      board.a = false;
+      const trip = startTrip(pooledRide('a', 37.7750, 37.8050));
+      const second = pooledRide('b', 37.7850, 37.7950);
+      poolService.addRide(trip, second, poolService.planInsertion(trip, second, driver.location));
+      driverSimulator.joinPoolSimulation(trip, second);
+
+      jest.advanceTimersByTime(10 * 60 * 1000);
+      expect(rides.a.status).toBe('arriving');
+      expect(rides.b.status).toBe('enRoute');
+
+      // The rider is a no-show
+      rides.a.updateStatus('noShow');
+      driverSimulator.stopSimulation('a');
+      jest.advanceTimersByTime(30 * 60 * 1000);
+
+      expect(rides.b.status).toBe('completed');
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Unit tests for fareEngine
+ * Tests the itemized fare calculation shared by riders, drivers and simulations
+ */
+
+const fareEngine = require('../fareEngine');
+const fareConfig = require('../../config/fareConfig');
+const { ValidationError } = require('../../utils/errors');
+
+describe('fareEngine', () => {
+
+  describe('calculateFare', () => {
+    test('itemizes base, distance, time and booking fee', () => {
+      const fare = fareEngine.calculateFare({ distanceMeters: 10000, durationSeconds: 1200 });
+
+      expect(fare.baseFare).toBe(2.5);
+      expect(fare.distanceFare).toBe(12); // 10 km * $1.20
+      expect(fare.timeFare).toBe(6); // 20 min * $0.30
+      expect(fare.bookingFee).toBe(2);
+      expect(fare.minimumFareAdjustment).toBe(0);
+      expect(fare.total).toBe(22.5);
+    });
+
+    test('total always equals the sum of line items', () => {
+      const fare = fareEngine.calculateFare({ distanceMeters: 4321, vehicleType: 'Premium', surgeMultiplier: 1.3 });
+      const sum = fare.baseFare + fare.distanceFare + fare.timeFare +
+        fare.surgeAmount + fare.minimumFareAdjustment + fare.bookingFee;
+
+      expect(fare.total).toBeCloseTo(sum, 2);
+    });
+
+    test('defaults duration to the ETA for the distance', () => {
+      const fare = fareEngine.calculateFare({ distanceMeters: 4000 });
+
+      // 4 km at 40 km/h = 6 minutes
+      expect(fare.durationSeconds).toBe(360);
+    });
+
+    test('tops short trips up to the minimum fare', () => {
+      const fare = fareEngine.calculateFare({ distanceMeters: 500 });
+      const tripFare = fare.total - fare.bookingFee;
+
+      expect(fare.minimumFareAdjustment).toBeGreaterThan(0);
+      expect(tripFare).toBeCloseTo(fareConfig.minimumFare, 2);
+    });
+
+    test('scales rates by vehicle type but not the booking fee', () => {
+      const standard = fareEngine.calculateFare({ distanceMeters: 10000, vehicleType: 'Standard' });
+      const premium = fareEngine.calculateFare({ distanceMeters: 10000, vehicleType: 'Premium' });
+
+      expect(premium.distanceFare).toBeCloseTo(standard.distanceFare * 1.6, 2);
+      expect(premium.bookingFee).toBe(standard.bookingFee);
+      expect(premium.total).toBeGreaterThan(standard.total);
+    });
+
+    test('applies the surge multiplier as a separate line item', () => {
+      const normal = fareEngine.calculateFare({ distanceMeters: 10000 });
+      const surged = fareEngine.calculateFare({ distanceMeters: 10000, surgeMultiplier: 1.5 });
+
+      expect(normal.surgeAmount).toBe(0);
+      expect(surged.surgeAmount).toBeCloseTo((normal.baseFare + normal.distanceFare + normal.timeFare) * 0.5, 2);
+      expect(surged.total).toBeCloseTo(normal.total + surged.surgeAmount, 2);
+    });
+
+    test('discounts pooled rides before the booking fee', () => {
+      const solo = fareEngine.calculateFare({ distanceMeters: 10000 });
+      const pooled = fareEngine.calculateFare({ distanceMeters: 10000, pooled: true });
+
+      expect(solo.poolDiscount).toBe(0);
+      expect(pooled.poolDiscount).toBeCloseTo((solo.total - solo.bookingFee) * fareConfig.pool.discount, 2);
+      expect(pooled.total).toBeCloseTo(solo.total - pooled.poolDiscount, 2);
+    });
+
+    test('rejects unknown vehicle types', () => {
+      expect(() => fareEngine.calculateFare({ distanceMeters: 1000, vehicleType: 'Limo' }))
+        .toThrow(ValidationError);
+    });
+  });
+
+  describe('estimateTripFare', () => {
+    test('prices the distance between pickup and destination', () => {
+      const pickup = { lat: 37.7749, lng: -122.4194 };
+      const destination = { lat: 37.8049, lng: -122.4194 }; // ~3.3 km north
+
+      const fare = fareEngine.estimateTripFare(pickup, destination, { vehicleType: 'XL' });
+
+      expect(fare.vehicleType).toBe('XL');
+      expect(fare.distanceMeters).toBeGreaterThan(3000);
+      expect(fare.distanceMeters).toBeLessThan(3600);
+    });
+
+    test('prices the route through every stop', () => {
+      const pickup = { lat: 37.7749, lng: -122.4194 };
+      const destination = { lat: 37.8049, lng: -122.4194 };
+      const stops = [{ lat: 37.7899, lng: -122.4394 }]; // ~1.8 km west of the direct route
+
+      const direct = fareEngine.estimateTripFare(pickup, destination);
+      const withStop = fareEngine.estimateTripFare(pickup, destination, { stops });
+
+      expect(withStop.distanceMeters).toBeGreaterThan(direct.distanceMeters + 1000);
+      expect(withStop.total).toBeGreaterThan(direct.total);
+    });
+  });
+
+  describe('parseTip', () => {
+    test('rounds tips to cents', () => {
+      expect(fareEngine.parseTip(3.456)).toBe(3.46);
+      expect(fareEngine.parseTip(fareConfig.maxTip)).toBe(fareConfig.maxTip);
+    });
+
+    test('rejects missing, zero, negative, oversized and non-numeric tips', () => {
+      expect(() => fareEngine.parseTip()).toThrow(ValidationError);
+      expect(() => fareEngine.parseTip(0)).toThrow(ValidationError);
+      expect(() => fareEngine.parseTip(0.001)).toThrow(ValidationError);
+      expect(() => fareEngine.parseTip(-1)).toThrow(ValidationError);
+      expect(() => fareEngine.parseTip(fareConfig.maxTip + 1)).toThrow(ValidationError);
+      expect(() => fareEngine.parseTip('5')).toThrow(ValidationError);
+    });
+  });
+});
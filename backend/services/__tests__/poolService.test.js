@@ -0,0 +1,130 @@
+/**
+ * Unit tests for poolService
+ * Tests when a pooled ride may join a trip and the order of pickups and drop-offs
+ */
+
+const poolService = require('../poolService');
+const driverPool = require('../driverPool');
+const Ride = require('../../models/Ride');
+const { ValidationError } = require('../../utils/errors');
+
+jest.mock('../driverPool');
+
+// Riders on a north-south line through SF (0.01 lat ≈ 1.1 km)
+const at = lat => ({ lat, lng: -122.4194 });
+
+const pooledRide = (id, from, to, seats = 1, vehicleType = 'Standard') => {
+  const ride = new Ride(id, at(from), at(to), `rider_${id}`, { pooled: true, seats });
+  ride.vehicleType = vehicleType;
+  return ride;
+};
+
+describe('PoolService', () => {
+  let driver;
+
+  beforeEach(() => {
+    poolService.clear();
+    driver = { id: 'driver1', name: 'John Doe', vehicleType: 'Standard', location: at(37.7700) };
+    driverPool.getDriverById.mockImplementation(id => (id === driver.id ? driver : undefined));
+  });
+
+  describe('parseRequest', () => {
+    test('treats requests without pooled as private rides', () => {
+      expect(poolService.parseRequest({}, 'Standard')).toEqual({ pooled: false, seats: 1 });
+    });
+
+    test('accepts pooled requests for vehicle types with seats', () => {
+      expect(poolService.parseRequest({ pooled: true, seats: 2 }, 'XL')).toEqual({ pooled: true, seats: 2 });
+    });
+
+    test('rejects products that don\'t pool, stops and bad seat counts', () => {
+      expect(() => poolService.parseRequest({ pooled: true }, 'Premium')).toThrow(ValidationError);
+      expect(() => poolService.parseRequest({ pooled: true, stops: [at(37.78)] }, 'Standard')).toThrow('can\'t have stops');
+      expect(() => poolService.parseRequest({ pooled: true, seats: 3 }, 'Standard')).toThrow('from 1 to 2');
+      expect(() => poolService.parseRequest({ pooled: true, seats: '1' }, 'Standard')).toThrow(ValidationError);
+    });
+  });
+
+  describe('planInsertion', () => {
+    test('picks up a rider on the way and drops them off before the first rider', () => {
+      const first = pooledRide('a', 37.7750, 37.8050);
+      const trip = poolService.startTrip(driver, first);
+
+      const plan = poolService.planInsertion(trip, pooledRide('b', 37.7850, 37.7950), driver.location);
+
+      expect(plan.waypoints.map(w => `${w.type}:${w.rideId}`))
+        .toEqual(['pickup:a', 'pickup:b', 'dropoff:b', 'dropoff:a']);
+      expect(plan.addedSeconds).toBe(0);
+      expect(plan.pickupEta).toBeGreaterThan(0);
+    });
+
+    test('rejects riders whose trip would take the car too far out of the way', () => {
+      const trip = poolService.startTrip(driver, pooledRide('a', 37.7750, 37.8050));
+
+      // Heading the other way: every order breaks somebody's detour limit or pickup ETA
+      expect(poolService.planInsertion(trip, pooledRide('b', 37.7800, 37.7100), driver.location)).toBeNull();
+    });
+
+    test('never puts more riders in the car than it has seats', () => {
+      const trip = poolService.startTrip(driver, pooledRide('a', 37.7750, 37.8050, 2));
+
+      expect(poolService.planInsertion(trip, pooledRide('b', 37.7850, 37.7950, 2), driver.location)).toBeNull();
+      expect(poolService.planInsertion(trip, pooledRide('c', 37.7850, 37.7950, 1), driver.location)).not.toBeNull();
+    });
+
+    test('doesn\'t serve riders before or after the rest of the trip', () => {
+      const trip = poolService.startTrip(driver, pooledRide('a', 37.7750, 37.8050));
+
+      // Starts past the first rider's destination: only fits once they're out
+      expect(poolService.planInsertion(trip, pooledRide('b', 37.8250, 37.8350), driver.location)).toBeNull();
+    });
+
+    test('measures riders already on board from where the car is now', () => {
+      const first = pooledRide('a', 37.7750, 37.8050);
+      const trip = poolService.startTrip(driver, first);
+      poolService.completeWaypoint(trip, trip.waypoints[0]);
+      driver.location = at(37.7900);
+
+      // Pickup behind the car: rider a would ride back and forth
+      expect(poolService.planInsertion(trip, pooledRide('b', 37.7800, 37.8000), driver.location)).toBeNull();
+
+      const plan = poolService.planInsertion(trip, pooledRide('c', 37.7950, 37.8000), driver.location);
+      expect(plan.waypoints.map(w => `${w.type}:${w.rideId}`)).toEqual(['pickup:c', 'dropoff:c', 'dropoff:a']);
+    });
+  });
+
+  describe('findTrip', () => {
+    test('adds the ride to the trip it fits', () => {
+      const trip = poolService.startTrip(driver, pooledRide('a', 37.7750, 37.8050));
+      const ride = pooledRide('b', 37.7850, 37.7950);
+
+      const match = poolService.findTrip(ride);
+      expect(match.trip).toBe(trip);
+
+      poolService.addRide(trip, ride, match.plan);
+      expect(poolService.getTripForRide('b')).toBe(trip);
+      expect(trip.waypoints).toHaveLength(4);
+    });
+
+    test('only considers vehicles that can serve the requested product', () => {
+      poolService.startTrip(driver, pooledRide('a', 37.7750, 37.8050));
+
+      expect(poolService.findTrip(pooledRide('b', 37.7850, 37.7950, 1, 'XL'))).toBeNull();
+    });
+  });
+
+  test('ends the trip once every rider is out or has left', () => {
+    const trip = poolService.startTrip(driver, pooledRide('a', 37.7750, 37.8050));
+    const ride = pooledRide('b', 37.7850, 37.7950);
+    poolService.addRide(trip, ride, poolService.planInsertion(trip, ride, driver.location));
+
+    poolService.removeRide('b');
+    expect(trip.waypoints.map(w => w.rideId)).toEqual(['a', 'a']);
+
+    expect(poolService.completeWaypoint(trip, trip.waypoints[0])).toBe(true);
+    expect(trip.onboard.has('a')).toBe(true);
+
+    expect(poolService.completeWaypoint(trip, trip.waypoints[0])).toBe(false);
+    expect(poolService.getTrip(driver.id)).toBeNull();
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Unit tests for quoteService
+ * Tests that ride requests can only lock in valid, matching, unused quotes
+ */
+
+const quoteService = require('../quoteService');
+const { quoteRepository } = require('../../repositories');
+
+const pickup = { lat: 37.7749, lng: -122.4194 };
+const destination = { lat: 37.8049, lng: -122.4094 };
+
+describe('quoteService', () => {
+
+  beforeEach(() => {
+    quoteRepository.clear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const redeem = (quote, overrides = {}) => quoteService.redeemQuote(quote.id, {
+    riderId: 'rider_1',
+    rideId: 'ride123',
+    pickup,
+    destination,
+    ...overrides
+  });
+
+  test('creates a quote with a price and expiry', () => {
+    const quote = quoteService.createQuote({ riderId: 'rider_1', pickup, destination, vehicleType: 'XL' });
+
+    expect(quote.fare.vehicleType).toBe('XL');
+    expect(quote.fare.total).toBeGreaterThan(0);
+    expect(quote.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    expect(quoteRepository.get(quote.id)).toBe(quote);
+  });
+
+  test('redeems a matching quote and locks it to the ride', () => {
+    const quote = quoteService.createQuote({ riderId: 'rider_1', pickup, destination });
+
+    const redeemed = redeem(quote);
+
+    expect(redeemed.rideId).toBe('ride123');
+    expect(redeemed.fare).toBe(quote.fare);
+  });
+
+  test('tolerates small GPS drift in the requested locations', () => {
+    const quote = quoteService.createQuote({ riderId: 'rider_1', pickup, destination });
+
+    expect(() => redeem(quote, { pickup: { lat: pickup.lat + 0.0002, lng: pickup.lng } })).not.toThrow();
+  });
+
+  test('rejects unknown quotes with 404', () => {
+    expect(() => redeem({ id: 'missing' })).toThrow(expect.objectContaining({ statusCode: 404 }));
+  });
+
+  test('rejects quotes from another rider with 403', () => {
+    const quote = quoteService.createQuote({ riderId: 'rider_2', pickup, destination });
+
+    expect(() => redeem(quote)).toThrow(expect.objectContaining({ statusCode: 403 }));
+  });
+
+  test('rejects a second use with 409', () => {
+    const quote = quoteService.createQuote({ riderId: 'rider_1', pickup, destination });
+    redeem(quote);
+
+    expect(() => redeem(quote, { rideId: 'ride456' })).toThrow(expect.objectContaining({ statusCode: 409 }));
+  });
+
+  test('rejects expired quotes with 410', () => {
+    jest.useFakeTimers();
+    const quote = quoteService.createQuote({ riderId: 'rider_1', pickup, destination });
+
+    jest.advanceTimersByTime(301 * 1000);
+
+    expect(() => redeem(quote)).toThrow(expect.objectContaining({ statusCode: 410 }));
+  });
+
+  test('rejects a different trip with 422', () => {
+    const quote = quoteService.createQuote({ riderId: 'rider_1', pickup, destination });
+
+    expect(() => redeem(quote, { destination: { lat: 37.6213, lng: -122.3790 } }))
+      .toThrow(expect.objectContaining({ statusCode: 422 }));
+  });
+
+  test('rejects a different vehicle type with 422', () => {
+    const quote = quoteService.createQuote({ riderId: 'rider_1', pickup, destination, vehicleType: 'Standard' });
+
+    expect(() => redeem(quote, { vehicleType: 'Premium' })).toThrow(expect.objectContaining({ statusCode: 422 }));
+  });
+
+  test('rejects different stops with 422', () => {
+    const stops = [{ lat: 37.7900, lng: -122.4150 }];
+    const quote = quoteService.createQuote({ riderId: 'rider_1', pickup, destination, stops });
+
+    expect(() => redeem(quote)).toThrow(expect.objectContaining({ statusCode: 422 }));
+    expect(() => redeem(quote, { stops })).not.toThrow();
+  });
+
+  test('rejects pooled requests for private quotes and vice versa with 422', () => {
+    const privateQuote = quoteService.createQuote({ riderId: 'rider_1', pickup, destination });
+    const pooledQuote = quoteService.createQuote({ riderId: 'rider_1', pickup, destination, pooled: true });
+
+    expect(pooledQuote.fare.total).toBeLessThan(privateQuote.fare.total);
+    expect(() => redeem(privateQuote, { pooled: true })).toThrow(expect.objectContaining({ statusCode: 422 }));
+    expect(() => redeem(pooledQuote)).toThrow(expect.objectContaining({ statusCode: 422 }));
+    expect(() => redeem(pooledQuote, { pooled: true })).not.toThrow();
+  });
+
+  test('cleans up expired, unused quotes', () => {
+    jest.useFakeTimers();
+    const stale = quoteService.createQuote({ riderId: 'rider_1', pickup, destination });
+
+    jest.advanceTimersByTime(301 * 1000);
+    quoteService.cleanupExpiredQuotes();
+
+    expect(quoteRepository.has(stale.id)).toBe(false);
+  });
+});
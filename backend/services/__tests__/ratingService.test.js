@@ -0,0 +1,107 @@
+/**
+ * Unit tests for ratingService
+ * Tests two-way ride ratings and the rolling driver and rider averages
+ */
+
+const ratingService = require('../ratingService');
+const driverPool = require('../driverPool');
+const Ride = require('../../models/Ride');
+const { rideRepository } = require('../../repositories');
+const { ValidationError } = require('../../utils/errors');
+
+const pickup = { lat: 37.7749, lng: -122.4194 };
+const destination = { lat: 37.8049, lng: -122.4094 };
+
+describe('RatingService', () => {
+  let driver;
+  let rideCount;
+
+  const completedRide = (riderId = 'rider_1') => {
+    const ride = new Ride(`ride${++rideCount}`, pickup, destination, riderId);
+    ride.assignDriver(driver, 60);
+    ['arriving', 'inProgress', 'completed'].forEach(status => ride.updateStatus(status));
+    rideRepository.save(ride);
+    return ride;
+  };
+
+  const rateDriver = (stars) => {
+    jest.advanceTimersByTime(1000);
+    return ratingService.rateRide(completedRide(), Ride.Actor.RIDER, { rating: stars });
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    rideRepository.clear();
+    rideCount = 0;
+    driver = driverPool.getAllDrivers()[0];
+    driver.rating = 4.8;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('parseRating', () => {
+    test('accepts stars with tags for the rated side and a comment', () => {
+      expect(ratingService.parseRating({ rating: 5, tags: ['cleanCar', 'cleanCar'], comment: ' Great ride ' }, 'driver'))
+        .toEqual({ stars: 5, tags: ['cleanCar'], comment: 'Great ride' });
+    });
+
+    test('rejects stars out of range, unknown tags and long comments', () => {
+      expect(() => ratingService.parseRating({ rating: 6 }, 'driver')).toThrow(ValidationError);
+      expect(() => ratingService.parseRating({ rating: 4.5 }, 'driver')).toThrow(ValidationError);
+      expect(() => ratingService.parseRating({ rating: 5, tags: ['messy'] }, 'driver')).toThrow(/tags must be/);
+      expect(() => ratingService.parseRating({ rating: 5, comment: 'x'.repeat(501) }, 'rider')).toThrow(/at most 500/);
+    });
+  });
+
+  describe('rateRide', () => {
+    test('stores both sides\' ratings on the ride', () => {
+      const ride = completedRide();
+
+      ratingService.rateRide(ride, Ride.Actor.RIDER, { rating: 4, tags: ['friendly'] });
+      ratingService.rateRide(ride, Ride.Actor.DRIVER, { rating: 5, tags: ['onTime'], comment: 'Ready at the curb' });
+
+      expect(ride.ratings.ofDriver).toEqual(expect.objectContaining({ stars: 4, tags: ['friendly'], comment: null }));
+      expect(ride.ratings.ofRider).toEqual(expect.objectContaining({ stars: 5, comment: 'Ready at the curb' }));
+      expect(ride.toJSON().ratings).toBe(ride.ratings);
+    });
+
+    test('only allows rating completed rides, once per side', () => {
+      const ongoing = new Ride('ongoing', pickup, destination, 'rider_1');
+      expect(() => ratingService.rateRide(ongoing, Ride.Actor.RIDER, { rating: 5 }))
+        .toThrow(expect.objectContaining({ statusCode: 409, error: 'Ride not completed' }));
+
+      const ride = completedRide();
+      ratingService.rateRide(ride, Ride.Actor.RIDER, { rating: 5 });
+      expect(() => ratingService.rateRide(ride, Ride.Actor.RIDER, { rating: 1 }))
+        .toThrow(expect.objectContaining({ statusCode: 409, error: 'Already rated' }));
+    });
+
+    test('updates the driver\'s rating to the rolling average', () => {
+      rateDriver(5);
+      rateDriver(3);
+
+      expect(driver.rating).toBe(4);
+      expect(ratingService.getDriverRating(driver.id)).toEqual({ rating: 4, count: 2 });
+    });
+  });
+
+  test('only the last `window` ratings count', () => {
+    rateDriver(1);
+    for (let i = 0; i < 20; i++) {
+      rateDriver(5);
+    }
+
+    expect(ratingService.getDriverRating(driver.id)).toEqual({ rating: 5, count: 20 });
+  });
+
+  test('riders are rated by their drivers, and unrated until then', () => {
+    expect(ratingService.getRiderRating('rider_2')).toEqual({ rating: null, count: 0 });
+
+    ratingService.rateRide(completedRide('rider_2'), Ride.Actor.DRIVER, { rating: 4 });
+    ratingService.rateRide(completedRide('rider_2'), Ride.Actor.DRIVER, { rating: 3 });
+
+    expect(ratingService.getRiderRating('rider_2')).toEqual({ rating: 3.5, count: 2 });
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Unit tests for receiptService
+ * Tests the itemized receipt and its printable renderings
+ */
+
+const receiptService = require('../receiptService');
+const fareEngine = require('../fareEngine');
+const Ride = require('../../models/Ride');
+
+const pickup = { lat: 37.7749, lng: -122.4194, address: '1 Market St' };
+const destination = { lat: 37.8049, lng: -122.4194 };
+
+describe('receiptService', () => {
+  let ride;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2024-01-15T10:30:00.000Z'));
+
+    const driver = {
+      id: 'driver1',
+      name: 'John Doe',
+      vehicleModel: 'Toyota Prius',
+      licensePlate: 'ABC <123>',
+      location: pickup
+    };
+    ride = new Ride('ride123', pickup, destination, 'rider_1');
+    ride.fare = fareEngine.estimateTripFare(pickup, destination, { surgeMultiplier: 1.5 });
+    ride.assignDriver(driver, 60);
+    ride.updateStatus('arriving');
+    ride.updateStatus('inProgress');
+
+    jest.advanceTimersByTime(15 * 60 * 1000);
+    ride.recordRoutePoint({ lat: 37.7900, lng: -122.4294 });
+    driver.location = destination;
+    ride.updateStatus('completed');
+    ride.tip = 4;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('only completed rides have a receipt', () => {
+    expect(receiptService.hasReceipt(ride)).toBe(true);
+    expect(receiptService.hasReceipt(new Ride('ride456', pickup, destination))).toBe(false);
+  });
+
+  test('itemizes the fare with the tip on top', () => {
+    const { fare } = receiptService.buildReceipt(ride);
+
+    expect(fare.lineItems.map(item => item.code))
+      .toEqual(['baseFare', 'distanceFare', 'timeFare', 'surgeAmount', 'bookingFee', 'tip']);
+    expect(fare.fareTotal).toBe(ride.fare.total);
+    expect(fare.total).toBe(fareEngine.roundCurrency(ride.fare.total + 4));
+  });
+
+  test('reports the route actually driven and when the rider was picked up and dropped off', () => {
+    const receipt = receiptService.buildReceipt(ride);
+
+    expect(receipt.route).toHaveLength(3);
+    expect(receipt.trip.distanceMeters).toBeGreaterThan(ride.fare.distanceMeters);
+    expect(receipt.trip.durationSeconds).toBe(15 * 60);
+    expect(receipt.pickup.at).toEqual(new Date('2024-01-15T10:30:00.000Z'));
+    expect(receipt.dropoff.at).toEqual(new Date('2024-01-15T10:45:00.000Z'));
+  });
+
+  test('has no actual distance without a recorded route', () => {
+    ride.routeTaken = [];
+
+    expect(receiptService.buildReceipt(ride).trip.distanceMeters).toBeNull();
+  });
+
+  test('renders as text and HTML', () => {
+    const receipt = receiptService.buildReceipt(ride);
+
+    const text = receiptService.renderText(receipt);
+    expect(text).toContain('Pickup:   2024-01-15 10:30 UTC  1 Market St');
+    expect(text).toMatch(/Tip\s+\$4\.00/);
+    expect(text).toMatch(new RegExp(`Total\\s+\\$${receipt.fare.total.toFixed(2)}`));
+
+    const html = receiptService.renderHtml(receipt);
+    expect(html).toContain('(ABC &lt;123&gt;)');
+    expect(html).toContain('<polyline');
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Unit tests for rideScheduler
+ * Tests pickup time validation and when scheduled rides are released for dispatch
+ */
+
+const rideScheduler = require('../rideScheduler');
+const driverMatcher = require('../driverMatcher');
+const Ride = require('../../models/Ride');
+const { systemClock } = require('../../utils/clock');
+const { ValidationError } = require('../../utils/errors');
+const { rideRepository } = require('../../repositories');
+
+const RideScheduler = rideScheduler.constructor;
+
+jest.mock('../driverMatcher');
+
+const MINUTE = 60 * 1000;
+const NOW = Date.parse('2024-03-01T08:00:00Z');
+
+const config = {
+  minLeadMinutes: 15,
+  maxAdvanceDays: 7,
+  dispatchBufferSeconds: 300,
+  checkIntervalMs: 30000
+};
+
+const pickup = { lat: 37.7749, lng: -122.4194 };
+const destination = { lat: 37.8049, lng: -122.4094 };
+
+const scheduleRide = (id, minutesAhead, riderId = 'rider_1') => {
+  const ride = new Ride(id, pickup, destination, riderId, { pickupTime: new Date(NOW + minutesAhead * MINUTE) });
+  rideRepository.save(ride);
+  return ride;
+};
+
+describe('RideScheduler', () => {
+  let scheduler;
+  let onDue;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    rideRepository.clear();
+    jest.clearAllMocks();
+
+    // Nearest driver is 10 minutes away
+    driverMatcher.estimatePickupEta.mockReturnValue(600);
+
+    onDue = jest.fn(ride => ride.updateStatus('searching'));
+    scheduler = new RideScheduler({ config, clock: systemClock });
+    scheduler.setDueHandler(onDue);
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    jest.useRealTimers();
+    console.log.mockRestore();
+  });
+
+  describe('parsePickupTime', () => {
+    test('accepts a pickup time inside the booking window', () => {
+      const pickupTime = new Date(NOW + 60 * MINUTE).toISOString();
+
+      expect(scheduler.parsePickupTime(pickupTime).getTime()).toBe(NOW + 60 * MINUTE);
+    });
+
+    test('rejects missing or malformed times', () => {
+      expect(() => scheduler.parsePickupTime(undefined)).toThrow(ValidationError);
+      expect(() => scheduler.parsePickupTime('next tuesday')).toThrow(ValidationError);
+    });
+
+    test('rejects pickup times that are too soon or too far ahead', () => {
+      expect(() => scheduler.parsePickupTime(new Date(NOW + 5 * MINUTE).toISOString()))
+        .toThrow('at least 15 minutes');
+      expect(() => scheduler.parsePickupTime(new Date(NOW + 8 * 24 * 60 * MINUTE).toISOString()))
+        .toThrow('within 7 days');
+    });
+  });
+
+  test('dispatches early enough for the nearest driver to arrive on time', () => {
+    const ride = scheduleRide('ride1', 60);
+
+    // 10 minute pickup ETA + 5 minute buffer
+    expect(scheduler.getDispatchTime(ride)).toBe(NOW + 45 * MINUTE);
+  });
+
+  test('falls back to the max pickup ETA when no driver is around', () => {
+    driverMatcher.estimatePickupEta.mockReturnValue(null);
+    const ride = scheduleRide('ride1', 60);
+
+    // 15 minute max pickup ETA + 5 minute buffer
+    expect(scheduler.getDispatchTime(ride)).toBe(NOW + 40 * MINUTE);
+  });
+
+  test('releases rides once their dispatch time arrives', () => {
+    const ride = scheduleRide('ride1', 60);
+    scheduler.start();
+
+    jest.advanceTimersByTime(44 * MINUTE);
+    expect(onDue).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1 * MINUTE);
+    expect(onDue).toHaveBeenCalledTimes(1);
+    expect(onDue).toHaveBeenCalledWith(ride);
+    expect(ride.status).toBe('searching');
+
+    // Released rides aren't dispatched twice
+    jest.advanceTimersByTime(10 * MINUTE);
+    expect(onDue).toHaveBeenCalledTimes(1);
+  });
+
+  test('skips cancelled rides', () => {
+    const ride = scheduleRide('ride1', 30);
+    ride.updateStatus('cancelled');
+    scheduler.start();
+
+    jest.advanceTimersByTime(30 * MINUTE);
+
+    expect(onDue).not.toHaveBeenCalled();
+  });
+
+  test('only estimates pickup ETAs for rides close to their pickup time', () => {
+    scheduleRide('tomorrow', 24 * 60);
+
+    expect(scheduler.checkDueRides()).toBe(0);
+    expect(driverMatcher.estimatePickupEta).not.toHaveBeenCalled();
+  });
+
+  test('lists a rider\'s scheduled rides, soonest first', () => {
+    scheduleRide('later', 120);
+    scheduleRide('sooner', 30);
+    scheduleRide('someoneElse', 60, 'rider_2');
+    scheduleRide('cancelled', 90).updateStatus('cancelled');
+
+    expect(scheduler.getScheduledRides('rider_1').map(ride => ride.id)).toEqual(['sooner', 'later']);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Unit tests for surgePricing
+ * Tests how zone demand and supply turn into capped, smoothed multipliers
+ */
+
+const surgePricing = require('../surgePricing');
+const geoConfig = require('../../config/geoConfig');
+
+const SurgePricing = surgePricing.constructor;
+
+const config = {
+  updateIntervalMs: 30000,
+  demandThreshold: 1.0,
+  sensitivity: 0.5,
+  maxMultiplier: 2.5,
+  smoothing: 0.5
+};
+
+const downtown = geoConfig.getDriverZones().find(z => z.name === 'downtown');
+const mission = geoConfig.getDriverZones().find(z => z.name === 'mission');
+
+const requestsAt = (center, count) => Array.from({ length: count }, () => ({ pickup: { ...center } }));
+const driversAt = (center, count) => Array.from({ length: count }, () => ({ location: { ...center } }));
+
+describe('SurgePricing', () => {
+  let surge;
+
+  beforeEach(() => {
+    surge = new SurgePricing(config);
+  });
+
+  describe('calculateRawMultiplier', () => {
+    test('no surge without demand', () => {
+      expect(surge.calculateRawMultiplier(0, 0)).toBe(1);
+    });
+
+    test('no surge while requests do not exceed free drivers', () => {
+      expect(surge.calculateRawMultiplier(3, 3)).toBe(1);
+    });
+
+    test('grows with demand above the threshold', () => {
+      // ratio 3 -> 1 + (3 - 1) * 0.5
+      expect(surge.calculateRawMultiplier(6, 2)).toBe(2);
+    });
+
+    test('is capped', () => {
+      expect(surge.calculateRawMultiplier(100, 0)).toBe(2.5);
+    });
+  });
+
+  describe('update', () => {
+    test('counts demand and supply per zone', () => {
+      surge.update(requestsAt(downtown.center, 4), driversAt(downtown.center, 1).concat(driversAt(mission.center, 2)));
+
+      const zones = surge.getSnapshot().zones;
+      expect(zones.find(z => z.name === 'downtown')).toEqual(expect.objectContaining({ demand: 4, supply: 1 }));
+      expect(zones.find(z => z.name === 'mission')).toEqual(expect.objectContaining({ demand: 0, supply: 2, multiplier: 1 }));
+    });
+
+    test('smooths multipliers toward the raw value', () => {
+      // raw multiplier 2.5 (capped), smoothing 0.5: 1 -> 1.75 -> 2.125
+      surge.update(requestsAt(downtown.center, 10), []);
+      expect(surge.getZoneMultiplier('downtown')).toBe(1.8);
+
+      surge.update(requestsAt(downtown.center, 10), []);
+      expect(surge.getZoneMultiplier('downtown')).toBe(2.1);
+    });
+
+    test('eases back down when demand clears', () => {
+      surge.update(requestsAt(downtown.center, 10), []);
+      surge.update([], driversAt(downtown.center, 5));
+
+      // 1.75 -> 1.375
+      expect(surge.getZoneMultiplier('downtown')).toBe(1.4);
+    });
+  });
+
+  describe('getMultiplierForLocation', () => {
+    test('uses the zone the location falls in', () => {
+      surge.update(requestsAt(downtown.center, 10), []);
+
+      expect(surge.getMultiplierForLocation(downtown.center)).toBeGreaterThan(1);
+      expect(surge.getMultiplierForLocation(mission.center)).toBe(1);
+    });
+
+    test('is 1 outside every zone', () => {
+      expect(surge.getMultiplierForLocation({ lat: 40.7128, lng: -74.0060 })).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Unit tests for waitTimer
+ * Tests the pickup wait countdown and that it stops once the ride moves on
+ */
+
+const waitTimer = require('../waitTimer');
+const Ride = require('../../models/Ride');
+
+const WaitTimer = waitTimer.constructor;
+
+const pickup = { lat: 37.7749, lng: -122.4194 };
+const destination = { lat: 37.8049, lng: -122.4094 };
+const driver = { id: 'driver1', name: 'John Doe', location: pickup };
+
+describe('WaitTimer', () => {
+  let timer;
+  let ride;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    timer = new WaitTimer({ gracePeriodSeconds: 60, fee: 5, countdownIntervalMs: 1000 });
+    ride = new Ride('ride123', pickup, destination, 'rider_1');
+    ride.assignDriver(driver, 60);
+    ride.updateStatus('arriving');
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  test('counts down the grace period from when the driver arrived', () => {
+    const arrivedAt = ride.getEnteredAt('arriving');
+
+    const countdown = timer.getRideCountdown(ride, arrivedAt.getTime() + 45 * 1000);
+
+    expect(countdown).toEqual(expect.objectContaining({ rideId: 'ride123', waitedSeconds: 45, secondsRemaining: 15 }));
+    expect(countdown.noShowAt.getTime()).toBe(arrivedAt.getTime() + 60 * 1000);
+    expect(timer.getRideCountdown(ride, arrivedAt.getTime() + 90 * 1000).secondsRemaining).toBe(0);
+  });
+
+  test('has no countdown unless the driver is waiting at pickup', () => {
+    ride.updateStatus('inProgress');
+
+    expect(timer.getRideCountdown(ride)).toBeNull();
+  });
+
+  test('sends the countdown right away and on every interval', () => {
+    const onTick = jest.fn();
+
+    timer.start(ride, onTick);
+    jest.advanceTimersByTime(3000);
+
+    expect(onTick).toHaveBeenCalledTimes(4);
+    expect(onTick.mock.calls.map(([countdown]) => countdown.secondsRemaining)).toEqual([60, 59, 58, 57]);
+  });
+
+  test('stops once the rider is picked up', () => {
+    const onTick = jest.fn();
+    timer.start(ride, onTick);
+
+    ride.updateStatus('inProgress');
+    jest.advanceTimersByTime(5000);
+
+    expect(onTick).toHaveBeenCalledTimes(1);
+    expect(timer.timers.has('ride123')).toBe(false);
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Cancellation Service
+ * Rider cancellations (reason codes, late-cancellation fees, freeing the
+ * assigned driver), drivers backing out of rides they accepted, and riders
+ * who never turn up at pickup
+ */
+
+const fareConfig = require('../config/fareConfig');
+const Ride = require('../models/Ride');
+const driverPool = require('./driverPool');
+const driverSimulator = require('./driverSimulator');
+const driverNotifier = require('./driverNotifier');
+const dispatchService = require('./dispatchService');
+const poolService = require('./poolService');
+const waitTimer = require('./waitTimer');
+const { RideStatus, assertTransition } = require('../models/rideStateMachine');
+const { rideRepository } = require('../repositories');
+const { AppError, ValidationError } = require('../utils/errors');
+
+// Statuses with a driver assigned but the rider not yet picked up
+const DRIVER_ASSIGNED = [RideStatus.ASSIGNED, RideStatus.EN_ROUTE, RideStatus.ARRIVING];
+
+class CancellationService {
+  /**
+   * @param {object} config - Cancellation settings (see fareConfig.cancellation)
+   */
+  constructor(config = fareConfig.cancellation, noShowConfig = fareConfig.noShow) {
+    this.config = config;
+    this.noShowConfig = noShowConfig;
+  }
+
+  /**
+   * Check a cancellation reason code
+   * @returns {string} The reason ('other' if none was given)
+   * @throws {ValidationError} if the reason isn't a known code
+   */
+  parseReason(reason = 'other') {
+    if (!this.config.reasons.includes(reason)) {
+      throw new ValidationError(`reason must be one of: ${this.config.reasons.join(', ')}`);
+    }
+    return reason;
+  }
+
+  /**
+   * Fee for cancelling a ride now
+   * Free until a driver is assigned and for freeWindowSeconds after that.
+   */
+  getFee(ride, reason, now = Date.now()) {
+    if (!DRIVER_ASSIGNED.includes(ride.status) || this.config.feeWaivedReasons.includes(reason)) {
+      return 0;
+    }
+
+    const assignedAt = ride.getEnteredAt(RideStatus.ASSIGNED);
+    const secondsAssigned = assignedAt ? (now - assignedAt.getTime()) / 1000 : 0;
+
+    return secondsAssigned > this.config.freeWindowSeconds ? this.config.lateFee : 0;
+  }
+
+  /**
+   * Cancel a ride for its rider
+   * @param {Ride} ride - Ride to cancel
+   * @param {object} options - { reason, comment }
+   * @returns {object} The cancellation recorded on the ride
+   * @throws {ValidationError|InvalidTransitionError} before anything changes
+   */
+  cancelByRider(ride, { reason, comment } = {}) {
+    reason = this.parseReason(reason);
+
+    // Reject before touching the simulation (e.g. ride already completed)
+    assertTransition(ride, RideStatus.CANCELLED);
+
+    const fee = this.getFee(ride, reason);
+
+    // Stop simulation or withdraw the open driver offer, if any
+    driverSimulator.stopSimulation(ride.id);
+    dispatchService.clearOffer(ride.id);
+
+    ride.cancellation = {
+      by: Ride.Actor.RIDER,
+      reason,
+      comment: typeof comment === 'string' ? comment.trim().slice(0, 500) || null : null,
+      fee,
+      currency: fareConfig.currency,
+      at: new Date()
+    };
+    ride.updateStatus(RideStatus.CANCELLED, Ride.Actor.RIDER);
+
+    if (ride.driver) {
+      this.releaseDriver(ride);
+    }
+
+    rideRepository.save(ride);
+    return ride.cancellation;
+  }
+
+  /**
+   * Take a ride back from a driver who cancelled it before pickup
+   * The ride goes back to searching without that driver; the driver is freed
+   * and the cancellation counts against their acceptance rate.
+   * @throws {InvalidTransitionError} once the rider has been picked up
+   */
+  cancelByDriver(ride, driverId) {
+    ride.unassignDriver(Ride.Actor.DRIVER);
+
+    driverSimulator.stopSimulation(ride.id);
+    driverPool.recordCancellation(driverId);
+    driverPool.releaseDriver(driverId);
+
+    rideRepository.save(ride);
+  }
+
+  /**
+   * End a ride whose rider never turned up at pickup and charge the no-show fee
+   * @returns {object} The cancellation recorded on the ride (reason noShow)
+   * @throws {InvalidTransitionError} unless the driver is waiting at pickup
+   * @throws {AppError} 409 while the grace period is still running
+   */
+  reportNoShow(ride, driverId) {
+    assertTransition(ride, RideStatus.NO_SHOW);
+
+    const countdown = waitTimer.getRideCountdown(ride);
+    if (countdown.secondsRemaining > 0) {
+      throw new AppError(
+        `The rider has ${countdown.secondsRemaining}s left to show up`,
+        409,
+        'Too early to report a no-show',
+        { noShowAt: countdown.noShowAt }
+      );
+    }
+
+    waitTimer.stop(ride.id);
+    driverSimulator.stopSimulation(ride.id);
+
+    ride.cancellation = {
+      by: Ride.Actor.DRIVER,
+      reason: 'noShow',
+      comment: null,
+      fee: this.noShowConfig.fee,
+      currency: fareConfig.currency,
+      at: new Date()
+    };
+    ride.updateStatus(RideStatus.NO_SHOW, Ride.Actor.DRIVER);
+
+    this.freeDriver(driverId, ride.id);
+
+    rideRepository.save(ride);
+    return ride.cancellation;
+  }
+
+  /**
+   * Free a cancelled ride's driver and let them know
+   * Pooled drivers stay busy while their trip has other riders.
+   */
+  releaseDriver(ride) {
+    const driverId = ride.driver.id;
+
+    this.freeDriver(driverId, ride.id);
+
+    driverNotifier.notifyRideCancelled(driverId, {
+      rideId: ride.id,
+      reason: ride.cancellation.reason
+    });
+  }
+
+  /**
+   * Take a ride that ended early off its driver
+   * A pooled driver moves on to the next rider in their trip instead of being freed.
+   */
+  freeDriver(driverId, rideId) {
+    const trip = poolService.getTrip(driverId);
+
+    if (!trip) {
+      driverPool.releaseDriver(driverId);
+    } else if (driverPool.getDriverById(driverId).currentRideId === rideId) {
+      driverPool.assignDriver(driverId, trip.waypoints[0].rideId);
+    }
+  }
+}
+
+module.exports = new CancellationService();
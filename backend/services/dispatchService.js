@@ -0,0 +1,311 @@
+/**
+ * Dispatch Service
+ * Offers ride requests to logged-in drivers, best-scoring first. In
+ * sequential mode one driver is offered the ride at a time; in broadcast
+ * mode the K best drivers get it at once and the first to accept claims it.
+ */
+
+const dispatchConfig = require('../config/dispatchConfig');
+const driverMatcher = require('./driverMatcher');
+const driverNotifier = require('./driverNotifier');
+const driverPool = require('./driverPool');
+const driverScoring = require('./driverScoring');
+const ratingService = require('./ratingService');
+const { RideStatus } = require('../models/rideStateMachine');
+const { AppError } = require('../utils/errors');
+const { rideRepository, rideOfferRepository, driverSessionRepository } = require('../repositories');
+
+class DispatchService {
+  constructor(config = dispatchConfig) {
+    this.config = config;
+
+    // Map of rideId -> timeout for the ride's current offer round
+    this.offerTimers = new Map();
+
+    // Called when no logged-in driver takes the ride
+    this.onExhausted = () => {};
+  }
+
+  /**
+   * Set what happens once every real candidate has declined (e.g. simulation)
+   * @param {function} handler - Called with the ride
+   */
+  setExhaustedHandler(handler) {
+    this.onExhausted = handler;
+  }
+
+  /**
+   * How many drivers receive each offer round
+   */
+  getOfferSize() {
+    return this.config.mode === 'broadcast' ? this.config.broadcastSize : 1;
+  }
+
+  /**
+   * Start offering a new ride to logged-in drivers
+   * Drivers who cancelled the ride earlier are never offered it again.
+   * @param {object} ride - Ride in searching status
+   * @returns {object|null} The first offer, or null if nobody could be offered the ride
+   */
+  dispatch(ride) {
+    return this.offerToNextDrivers(ride, { attempts: 0, declinedDriverIds: [...(ride.excludedDriverIds || [])] });
+  }
+
+  /**
+   * Offer a ride to the best online drivers who haven't declined it yet
+   * Hands the ride to the exhausted handler when attempts or candidates run out.
+   */
+  offerToNextDrivers(ride, { attempts, declinedDriverIds }) {
+    if (ride.status !== RideStatus.SEARCHING) {
+      this.clearOffer(ride.id);
+      return null;
+    }
+
+    // Drivers already considering another ride can't take a second offer
+    const busyDriverIds = rideOfferRepository
+      .filter(offer => offer.rideId !== ride.id)
+      .flatMap(offer => offer.recipients.map(r => r.driverId));
+
+    // Best-scoring online drivers (those with active sessions) who can still take it
+    const best = attempts < this.config.maxOfferAttempts
+      ? driverMatcher.rankCandidates(ride.pickup, ride.vehicleType, {
+        excludeDriverIds: [...declinedDriverIds, ...busyDriverIds],
+        filter: driver => driverSessionRepository.has(driver.id),
+        limit: this.getOfferSize()
+      })
+      : [];
+
+    if (best.length === 0) {
+      this.clearOffer(ride.id);
+      console.log(attempts === 0
+        ? '📵 No online drivers available, using simulation'
+        : `📵 Ride ${ride.id} declined by ${declinedDriverIds.length} driver(s), using simulation`);
+      this.onExhausted(ride);
+      return null;
+    }
+
+    const offer = {
+      rideId: ride.id,
+      recipients: best.map(({ driver, distance, eta, scoring }) => ({ driverId: driver.id, distance, eta, scoring })),
+      estimatedEarnings: ride.fare ? ride.fare.total : null,
+      offeredAt: Date.now(),
+      attempt: attempts + 1,
+      declinedDriverIds
+    };
+
+    rideOfferRepository.save(offer);
+    this.scheduleTimeout(offer);
+
+    const driverNames = best.map(({ driver }) => driver.name).join(', ');
+    console.log(`🎯 Offering ride ${ride.id} to ${driverNames} (attempt ${offer.attempt}/${this.config.maxOfferAttempts})`);
+    console.log(`   Distance: ${Math.round(best[0].distance)}m`);
+    console.log(`   Estimated earnings: $${offer.estimatedEarnings}`);
+
+    // Push to connected drivers; the rest pick it up by polling
+    offer.recipients.forEach(recipient => {
+      driverNotifier.notifyDriver(recipient.driverId, this.toDriverOffer(offer, recipient, ride));
+    });
+
+    return offer;
+  }
+
+  /**
+   * What a recipient sees of an offer (pushed and polled alike)
+   */
+  toDriverOffer(offer, recipient, ride) {
+    return {
+      rideId: ride.id,
+      pickup: ride.pickup,
+      destination: ride.destination,
+      vehicleType: ride.vehicleType,
+      distance: recipient.distance,
+      riderRating: ratingService.getRiderRating(ride.riderId).rating, // null until the rider is first rated
+      estimatedEarnings: offer.estimatedEarnings,
+      expiresAt: new Date(offer.offeredAt + this.config.offerTimeoutMs).toISOString()
+    };
+  }
+
+  /**
+   * Get the open offer a driver is holding, if any
+   * @returns {object|null} Driver-facing offer (see toDriverOffer)
+   */
+  getOfferForDriver(driverId) {
+    for (const offer of rideOfferRepository.all()) {
+      const recipient = offer.recipients.find(r => r.driverId === driverId);
+      const ride = recipient && rideRepository.get(offer.rideId);
+      if (ride && ride.status === RideStatus.SEARCHING) {
+        return this.toDriverOffer(offer, recipient, ride);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Move on to the next drivers if this offer is still open when it expires
+   */
+  scheduleTimeout(offer) {
+    clearTimeout(this.offerTimers.get(offer.rideId));
+
+    const delay = Math.max(0, offer.offeredAt + this.config.offerTimeoutMs - Date.now());
+    const timer = setTimeout(() => {
+      console.log(`⏰ Ride ${offer.rideId} offer expired (no response)`);
+      this.expireOffer(offer.rideId);
+    }, delay);
+
+    this.offerTimers.set(offer.rideId, timer);
+  }
+
+  /**
+   * Treat everyone still holding an expired offer as having declined it
+   */
+  expireOffer(rideId) {
+    const offer = rideOfferRepository.get(rideId);
+
+    if (!offer) {
+      return;
+    }
+
+    const unanswered = offer.recipients.map(r => r.driverId);
+    unanswered.forEach(driverId => {
+      driverPool.recordOfferResponse(driverId, false);
+      driverNotifier.cancelOffer(driverId, rideId);
+    });
+
+    this.nextRound(offer, unanswered);
+  }
+
+  /**
+   * Record that a driver turned down their offer
+   * The ride moves on once every recipient of the current round has declined.
+   * @returns {boolean} false if the driver doesn't hold one of the ride's offers
+   */
+  declineOffer(rideId, driverId) {
+    const offer = this.getOffer(rideId, driverId);
+
+    if (!offer) {
+      return false;
+    }
+
+    driverPool.recordOfferResponse(driverId, false);
+
+    const recipients = offer.recipients.filter(r => r.driverId !== driverId);
+
+    if (recipients.length > 0) {
+      offer.recipients = recipients;
+      offer.declinedDriverIds = [...offer.declinedDriverIds, driverId];
+      rideOfferRepository.save(offer);
+      return true;
+    }
+
+    this.nextRound(offer, [driverId]);
+    return true;
+  }
+
+  /**
+   * Offer the ride to the next drivers after a round ends without an accept
+   */
+  nextRound(offer, declinedDriverIds) {
+    const ride = rideRepository.get(offer.rideId);
+
+    // Everyone on the finished round has already been told or has declined
+    rideOfferRepository.delete(offer.rideId);
+
+    if (!ride) {
+      this.clearOffer(offer.rideId);
+      return;
+    }
+
+    this.offerToNextDrivers(ride, {
+      attempts: offer.attempt,
+      declinedDriverIds: [...offer.declinedDriverIds, ...declinedDriverIds]
+    });
+  }
+
+  /**
+   * Decline whatever offer a driver is holding (e.g. when they log out)
+   */
+  withdrawDriver(driverId) {
+    rideOfferRepository
+      .filter(offer => offer.recipients.some(r => r.driverId === driverId))
+      .forEach(offer => this.declineOffer(offer.rideId, driverId));
+  }
+
+  /**
+   * Get the open offer for a ride, if this driver is one of its recipients
+   */
+  getOffer(rideId, driverId) {
+    const offer = rideOfferRepository.get(rideId);
+    return offer && offer.recipients.some(r => r.driverId === driverId) ? offer : null;
+  }
+
+  /**
+   * Claim a ride for the first driver to accept it
+   * Every other recipient of the offer is told the ride is gone.
+   * @returns {object} The winning recipient { driverId, distance, eta, matchDebug }
+   * @throws {AppError} 409 if the ride was already taken or the offer is no longer open
+   */
+  claimOffer(rideId, driverId) {
+    const ride = rideRepository.get(rideId);
+    const offer = this.getOffer(rideId, driverId);
+
+    if (!ride || !offer || ride.status !== RideStatus.SEARCHING) {
+      throw new AppError(
+        'This ride was already taken or the offer has expired',
+        409,
+        'Ride no longer available',
+        { rideId }
+      );
+    }
+
+    const recipient = offer.recipients.find(r => r.driverId === driverId);
+    const matchDebug = recipient.scoring ? driverScoring.explain(driverId, offer.recipients) : null;
+
+    // Runs without yielding, so no other accept can slip in between check and clear
+    this.clearOffer(rideId, { except: driverId });
+    driverPool.recordOfferResponse(driverId, true);
+
+    return { ...recipient, matchDebug };
+  }
+
+  /**
+   * Remove a ride's offer and stop its timeout (accepted, cancelled, or exhausted)
+   * Recipients other than `except` get a rideCancelled notification.
+   */
+  clearOffer(rideId, { except = null } = {}) {
+    const offer = rideOfferRepository.get(rideId);
+
+    clearTimeout(this.offerTimers.get(rideId));
+    this.offerTimers.delete(rideId);
+    rideOfferRepository.delete(rideId);
+
+    if (offer) {
+      offer.recipients
+        .filter(r => r.driverId !== except)
+        .forEach(r => driverNotifier.cancelOffer(r.driverId, rideId));
+    }
+  }
+
+  /**
+   * Restart offer timeouts for offers restored from storage
+   * @returns {number} Number of offers still open
+   */
+  resumePendingOffers() {
+    let resumed = 0;
+
+    rideOfferRepository.all().forEach(offer => {
+      const ride = rideRepository.get(offer.rideId);
+
+      if (ride && ride.status === RideStatus.SEARCHING && Array.isArray(offer.recipients)) {
+        this.scheduleTimeout(offer);
+        resumed++;
+      } else {
+        clearTimeout(this.offerTimers.get(offer.rideId));
+        rideOfferRepository.delete(offer.rideId);
+      }
+    });
+
+    return resumed;
+  }
+}
+
+module.exports = new DispatchService();
@@ -1,71 +1,405 @@
 /**
  * Driver Matcher Service
- * Matches rides to the nearest available driver
+ * Matches rides to available drivers, one at a time (greedy) or in batches
  */
 
-const { calculateDistance, calculateETA } = require('../utils/geoUtils');
+const { calculateDistance, calculateETA, distanceForETA } = require('../utils/geoUtils');
+const dispatchConfig = require('../config/dispatchConfig');
 const driverPool = require('./driverPool');
+const driverScoring = require('./driverScoring');
+const { RideStatus } = require('../models/rideStateMachine');
+const { solveAssignment } = require('../utils/hungarian');
+
+// Extra cost of serving a ride with an upgrade vehicle in batch matching:
+// large enough that upgrades only fill in when no exact pairing is left
+const UPGRADE_PENALTY_SECONDS = 24 * 60 * 60;
 
 class DriverMatcher {
+  constructor() {
+    // Rides waiting for the current batch window to close
+    this.pendingBatch = [];
+    this.batchTimer = null;
+  }
+
   /**
-   * Find the nearest available driver to a pickup location
-   * @param {object} pickupLocation - {lat, lng}
-   * @returns {object|null} Driver object or null if none available
+   * Groups of vehicle types that may serve a requested product, in order of preference
+   * @param {string} vehicleType - Requested product (undefined = any vehicle)
+   * @returns {array|null} e.g. [['Standard'], ['XL', 'Premium']], or null for no filtering
    */
-  findNearestDriver(pickupLocation) {
-    const availableDrivers = driverPool.getAvailableDrivers();
-
-    if (availableDrivers.length === 0) {
-      console.log('⚠️  No available drivers');
+  getVehicleTypeTiers(vehicleType) {
+    if (!vehicleType) {
       return null;
     }
 
-    // Calculate distance to each driver
-    const driversWithDistance = availableDrivers.map(driver => ({
-      driver,
-      distance: calculateDistance(
-        pickupLocation.lat,
-        pickupLocation.lng,
-        driver.location.lat,
-        driver.location.lng
-      )
-    }));
+    const fallbacks = dispatchConfig.vehicleTypeFallbacks[vehicleType] || [];
+    return fallbacks.length > 0 ? [[vehicleType], fallbacks] : [[vehicleType]];
+  }
 
-    // Sort by distance (nearest first)
-    driversWithDistance.sort((a, b) => a.distance - b.distance);
+  /**
+   * Farthest a driver may be from pickup (covered in maxPickupEtaSeconds)
+   */
+  getMaxPickupRadius() {
+    return Math.round(distanceForETA(dispatchConfig.maxPickupEtaSeconds));
+  }
 
-    const nearest = driversWithDistance[0];
+  /**
+   * Pickup radii searched in turn, smallest first, ending at the max pickup radius
+   * @returns {array} Radii in meters
+   */
+  getSearchRadii() {
+    const maxRadius = this.getMaxPickupRadius();
+    const radii = [];
 
-    console.log(`🚗 Matched driver: ${nearest.driver.name} (${Math.round(nearest.distance)}m away)`);
+    for (let radius = dispatchConfig.initialSearchRadiusMeters; radius < maxRadius; radius *= dispatchConfig.searchRadiusGrowth) {
+      radii.push(Math.round(radius));
+    }
+
+    return [...radii, maxRadius];
+  }
+
+  /**
+   * Describe one step of a progressive search (sent to the rider)
+   * @param {number} step - 0-based step index
+   * @returns {object} { step, steps, radiusMeters, maxRadiusMeters, maxPickupEtaSeconds } (step is 1-based)
+   */
+  getSearchStep(step) {
+    const radii = this.getSearchRadii();
+    const index = Math.min(step, radii.length - 1);
 
     return {
-      driver: nearest.driver,
-      distance: nearest.distance,
-      eta: calculateETA(nearest.distance)
+      step: index + 1,
+      steps: radii.length,
+      radiusMeters: radii[index],
+      maxRadiusMeters: radii[radii.length - 1],
+      maxPickupEtaSeconds: dispatchConfig.maxPickupEtaSeconds
     };
   }
 
   /**
-   * Match a ride to a driver with simulated delay
+   * Rank candidates for each vehicle type tier by distance to pickup
+   * @param {object} pickupLocation - {lat, lng}
+   * @param {array} drivers - Candidate drivers
+   * @param {string} vehicleType - Requested product (optional)
+   * @returns {array} One list per tier of [{ driver, distance, eta, upgraded }], nearest first
+   */
+  rankTiers(pickupLocation, drivers, vehicleType) {
+    const tiers = this.getVehicleTypeTiers(vehicleType) || [null];
+
+    return tiers.map(allowedTypes => {
+      const candidates = allowedTypes
+        ? drivers.filter(driver => allowedTypes.includes(driver.vehicleType))
+        : drivers;
+
+      // Calculate distance to each driver
+      const driversWithDistance = candidates.map(driver => this.toCandidate(
+        driver,
+        calculateDistance(pickupLocation.lat, pickupLocation.lng, driver.location.lat, driver.location.lng),
+        vehicleType
+      ));
+
+      // Sort by distance (nearest first)
+      return driversWithDistance.sort((a, b) => a.distance - b.distance);
+    });
+  }
+
+  /**
+   * Nearest available drivers in the pool for each vehicle type tier
+   * Uses the pool's spatial index instead of measuring every driver.
+   * @param {object} pickupLocation - {lat, lng}
+   * @param {string} vehicleType - Requested product (optional)
+   * @param {object} options - { excludeDriverIds, filter(driver), limit, maxDistance }
+   *   (limit = drivers per tier, maxDistance = pickup radius in meters)
+   * @returns {array} One list per tier of [{ driver, distance, eta, upgraded }], nearest first
+   */
+  queryPoolTiers(pickupLocation, vehicleType, { excludeDriverIds = [], filter = () => true, limit = 1, maxDistance } = {}) {
+    const tiers = this.getVehicleTypeTiers(vehicleType) || [null];
+
+    return tiers.map(allowedTypes => driverPool
+      .findNearestAvailableDrivers(pickupLocation, limit, {
+        filter: driver => !excludeDriverIds.includes(driver.id) &&
+          (!allowedTypes || allowedTypes.includes(driver.vehicleType)) &&
+          filter(driver),
+        maxDistance
+      })
+      .map(({ driver, distance }) => this.toCandidate(driver, distance, vehicleType))
+    );
+  }
+
+  toCandidate(driver, distance, vehicleType) {
+    return {
+      driver,
+      distance,
+      eta: calculateETA(distance),
+      upgraded: Boolean(vehicleType) && driver.vehicleType !== vehicleType
+    };
+  }
+
+  /**
+   * Rank candidates that can serve a vehicle type by distance to pickup
+   * Upgrade vehicle types are only considered if no exact match is available.
+   * @returns {array} [{ driver, distance, eta, upgraded }], nearest first
+   */
+  rankByDistance(pickupLocation, drivers, vehicleType) {
+    return this.rankTiers(pickupLocation, drivers, vehicleType).find(tier => tier.length > 0) || [];
+  }
+
+  /**
+   * Find the nearest driver among candidates that can serve a vehicle type
+   * @returns {object|null} { driver, distance, eta, upgraded } or null
+   */
+  findNearest(pickupLocation, drivers, vehicleType) {
+    return this.rankByDistance(pickupLocation, drivers, vehicleType)[0] || null;
+  }
+
+  /**
+   * Score nearby available drivers with the configured strategy
+   * Every vehicle tier's nearest drivers compete; the strategy decides how
+   * much an exact vehicle type match is worth.
+   * @param {object} pickupLocation - {lat, lng}
+   * @param {string} vehicleType - Requested product (optional)
+   * @param {object} options - { excludeDriverIds, filter(driver), limit, maxDistance }
+   *   (maxDistance defaults to the max pickup radius)
+   * @returns {array} Up to limit [{ driver, distance, eta, upgraded, scoring }], best first
+   */
+  rankCandidates(pickupLocation, vehicleType, {
+    excludeDriverIds = [],
+    filter = () => true,
+    limit = 1,
+    maxDistance = this.getMaxPickupRadius()
+  } = {}) {
+    const candidates = this.queryPoolTiers(pickupLocation, vehicleType, {
+      excludeDriverIds,
+      filter,
+      limit: Math.max(limit, dispatchConfig.scoringCandidates),
+      maxDistance
+    }).flat();
+
+    return driverScoring.rank(candidates).slice(0, limit);
+  }
+
+  /**
+   * Find the best available driver for a pickup location
+   * @param {object} pickupLocation - {lat, lng}
+   * @param {string} vehicleType - Requested product (optional)
+   * @param {array} excludeDriverIds - Drivers that must not be matched
+   * @param {object} options - { maxDistance } pickup radius in meters (defaults to the max pickup radius)
+   * @returns {object|null} { driver, distance, eta, upgraded, scoring, matchDebug } or null if none available
+   */
+  findBestDriver(pickupLocation, vehicleType, excludeDriverIds = [], { maxDistance = this.getMaxPickupRadius() } = {}) {
+    const ranked = this.rankCandidates(pickupLocation, vehicleType, {
+      excludeDriverIds,
+      limit: dispatchConfig.scoringCandidates,
+      maxDistance
+    });
+    const best = ranked[0];
+
+    if (!best) {
+      const drivers = vehicleType ? `${vehicleType} drivers` : 'drivers';
+      console.log(`⚠️  No available ${drivers} within ${Math.round(maxDistance)}m`);
+      return null;
+    }
+
+    const upgradeNote = best.upgraded ? ` [${best.driver.vehicleType} serving ${vehicleType}]` : '';
+    console.log(`🚗 Matched driver: ${best.driver.name} (${Math.round(best.distance)}m away, ` +
+      `${best.scoring.strategy} score ${best.scoring.score})${upgradeNote}`);
+
+    const matchDebug = driverScoring.explain(
+      best.driver.id,
+      ranked.map(({ driver, scoring }) => ({ driverId: driver.id, scoring }))
+    );
+
+    return { ...best, matchDebug };
+  }
+
+  /**
+   * Estimate pickup ETA for a product from the nearest available driver
+   * @returns {number|null} ETA in seconds, or null if no driver can serve it within the max pickup ETA
+   */
+  estimatePickupEta(pickupLocation, vehicleType) {
+    const nearest = this.queryPoolTiers(pickupLocation, vehicleType, { maxDistance: this.getMaxPickupRadius() })
+      .map(tier => tier[0])
+      .find(Boolean);
+    return nearest ? nearest.eta : null;
+  }
+
+  /**
+   * Match a ride to a driver using the configured strategy
+   * 'greedy' takes the best-scoring driver after a simulated delay; 'batch' waits
+   * for the batch window and assigns all pending rides together. Either way
+   * the pickup radius widens step by step until the max pickup ETA is reached;
+   * onMatch gets null only once the largest radius has been searched.
    * @param {object} ride - Ride object
    * @param {function} onMatch - Callback when driver is matched
+   * @param {object} options - { excludeDriverIds, onSearchStep(search) } (see getSearchStep)
    */
-  matchRideToDriver(ride, onMatch) {
+  matchRideToDriver(ride, onMatch, { excludeDriverIds = [], onSearchStep = () => {} } = {}) {
+    const request = { ride, onMatch, excludeDriverIds, onSearchStep, step: 0 };
+
+    if (dispatchConfig.matchingStrategy === 'batch') {
+      this.queueForBatch(request);
+      return;
+    }
+
     console.log(`🔍 Searching for driver for ride ${ride.id}...`);
 
     // Simulate search delay (2-4 seconds)
     const searchDelay = 2000 + Math.random() * 2000;
 
+    setTimeout(() => this.searchStep(request), searchDelay);
+  }
+
+  /**
+   * Look for a driver within the request's current radius, widening it if nobody is found
+   */
+  searchStep(request) {
+    const { ride, onMatch, excludeDriverIds, onSearchStep } = request;
+    const search = this.getSearchStep(request.step);
+
+    onSearchStep(search);
+
+    const match = this.findBestDriver(ride.pickup, ride.vehicleType, excludeDriverIds, {
+      maxDistance: search.radiusMeters
+    });
+
+    if (match) {
+      onMatch(match);
+      return;
+    }
+
+    if (search.step === search.steps) {
+      console.log(`❌ No drivers available for ride ${ride.id} within ${search.radiusMeters}m`);
+      onMatch(null);
+      return;
+    }
+
     setTimeout(() => {
-      const match = this.findNearestDriver(ride.pickup);
+      // e.g. cancelled while waiting for the next step
+      if (ride.status !== RideStatus.SEARCHING) {
+        return;
+      }
+
+      request.step++;
+      this.searchStep(request);
+    }, dispatchConfig.searchStepMs);
+  }
+
+  /**
+   * Add a ride to the current batch, starting the batch window if needed
+   */
+  queueForBatch(request) {
+    this.pendingBatch.push(request);
+    request.onSearchStep(this.getSearchStep(request.step));
+    console.log(`🧺 Ride ${request.ride.id} queued for batch matching (${this.pendingBatch.length} waiting)`);
 
-      if (match) {
-        onMatch(match);
-      } else {
-        console.log(`❌ No drivers available for ride ${ride.id}`);
-        onMatch(null);
+    if (!this.batchTimer) {
+      this.batchTimer = setTimeout(() => {
+        this.batchTimer = null;
+        this.runBatch();
+      }, dispatchConfig.batchWindowMs);
+    }
+  }
+
+  /**
+   * Match every ride collected during the batch window
+   * Unmatched rides go into the next batch with a wider pickup radius.
+   */
+  runBatch() {
+    const requests = this.pendingBatch.splice(0)
+      .filter(({ ride }) => ride.status === RideStatus.SEARCHING); // e.g. cancelled while waiting
+
+    if (requests.length === 0) {
+      return;
+    }
+
+    const matches = this.assignBatch(requests.map(request => ({
+      ...request,
+      maxDistance: this.getSearchStep(request.step).radiusMeters
+    })));
+
+    const matched = matches.filter(Boolean);
+    const totalEta = matched.reduce((sum, match) => sum + match.eta, 0);
+    console.log(`🧮 Batch matched ${matched.length}/${requests.length} rides (total pickup ETA ${Math.round(totalEta)}s)`);
+
+    requests.forEach((request, i) => {
+      const { ride, onMatch } = request;
+
+      if (matches[i]) {
+        onMatch({
+          ...matches[i],
+          matchDebug: {
+            strategy: 'batch',
+            driverId: matches[i].driver.id,
+            eta: Math.round(matches[i].eta),
+            batchSize: requests.length,
+            totalEta: Math.round(totalEta)
+          }
+        });
+        return;
+      }
+
+      const search = this.getSearchStep(request.step);
+
+      if (search.step < search.steps) {
+        request.step++;
+        this.queueForBatch(request);
+        return;
       }
-    }, searchDelay);
+
+      console.log(`❌ No drivers available for ride ${ride.id} within ${search.radiusMeters}m`);
+      onMatch(null);
+    });
+  }
+
+  /**
+   * Pair rides with drivers so the total pickup ETA is as small as possible
+   * Each ride only considers its nearest few drivers per vehicle tier, which
+   * keeps the ride/driver ETA matrix small.
+   * @param {array} requests - [{ ride, excludeDriverIds, maxDistance }] (maxDistance defaults to the max pickup radius)
+   * @param {array} drivers - Candidate drivers (defaults to the pool's available drivers)
+   * @returns {array} { driver, distance, eta, upgraded } or null, per request
+   */
+  assignBatch(requests, drivers = null) {
+    const limit = dispatchConfig.batchCandidatesPerRide;
+
+    const candidateLists = requests.map(({ ride, excludeDriverIds = [], maxDistance = this.getMaxPickupRadius() }) => {
+      const tiers = drivers
+        ? this.rankTiers(ride.pickup, drivers.filter(driver => !excludeDriverIds.includes(driver.id)), ride.vehicleType)
+        : this.queryPoolTiers(ride.pickup, ride.vehicleType, { excludeDriverIds, limit, maxDistance });
+
+      return tiers.flatMap((tier, tierIndex) =>
+        tier.filter(candidate => candidate.distance <= maxDistance).slice(0, limit).map(candidate => ({
+          ...candidate,
+          cost: candidate.eta + tierIndex * UPGRADE_PENALTY_SECONDS
+        }))
+      );
+    });
+
+    // One column per driver that any ride is considering
+    const columns = new Map(); // driverId -> column index
+    candidateLists.flat().forEach(({ driver }) => {
+      if (!columns.has(driver.id)) {
+        columns.set(driver.id, columns.size);
+      }
+    });
+
+    const costs = candidateLists.map(candidates => {
+      const row = new Array(columns.size).fill(Infinity);
+      candidates.forEach(({ driver, cost }) => {
+        row[columns.get(driver.id)] = cost;
+      });
+      return row;
+    });
+
+    const assignment = solveAssignment(costs);
+
+    return assignment.map((column, i) => {
+      if (column < 0) {
+        return null;
+      }
+
+      const { cost, ...match } = candidateLists[i].find(c => columns.get(c.driver.id) === column);
+      return match;
+    });
   }
 }
 
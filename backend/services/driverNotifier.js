@@ -3,6 +3,8 @@
  * Manages notifications to drivers about new ride requests
  */
 
+const fareEngine = require('./fareEngine');
+
 class DriverNotifier {
   constructor() {
     // Map of driverId -> WebSocket connection
@@ -14,6 +16,7 @@ class DriverNotifier {
 
   /**
    * Register a driver's WebSocket connection
+   * A newer connection for the same driver replaces the old one.
    */
   registerDriver(driverId, ws) {
     this.driverConnections.set(driverId, ws);
@@ -22,34 +25,33 @@ class DriverNotifier {
 
   /**
    * Unregister a driver's WebSocket connection
+   * @param {object} ws - Only unregister if this is still the driver's connection (optional)
    */
-  unregisterDriver(driverId) {
+  unregisterDriver(driverId, ws) {
+    if (ws && this.driverConnections.get(driverId) !== ws) {
+      return;
+    }
+
     this.driverConnections.delete(driverId);
     this.pendingOffers.delete(driverId);
     console.log(`🔕 Driver ${driverId} unregistered from notifications`);
   }
 
   /**
-   * Notify a driver about a ride request
+   * Notify a driver about a ride offer
+   * @param {object} offer - Same shape as GET /api/drivers/:driverId/offers returns
    */
-  notifyDriver(driverId, rideRequest) {
+  notifyDriver(driverId, offer) {
     const ws = this.driverConnections.get(driverId);
 
     if (!ws || ws.readyState !== 1) { // 1 = OPEN
-      console.log(`⚠️  Cannot notify driver ${driverId} - no active connection`);
+      console.log(`📭 Driver ${driverId} not connected, offer ${offer.rideId} left for polling`);
       return false;
     }
 
     const notification = {
       type: 'rideRequest',
-      data: {
-        rideId: rideRequest.id,
-        pickup: rideRequest.pickup,
-        destination: rideRequest.destination,
-        distance: rideRequest.distance,
-        estimatedEarnings: this.calculateEstimatedEarnings(rideRequest.distance),
-        expiresAt: Date.now() + 30000 // 30 seconds to accept
-      }
+      data: offer
     };
 
     try {
@@ -57,11 +59,11 @@ class DriverNotifier {
 
       // Store pending offer
       this.pendingOffers.set(driverId, {
-        rideId: rideRequest.id,
+        rideId: offer.rideId,
         sentAt: Date.now()
       });
 
-      console.log(`🔔 Notified driver ${driverId} about ride ${rideRequest.id}`);
+      console.log(`🔔 Notified driver ${driverId} about ride ${offer.rideId}`);
       return true;
     } catch (error) {
       console.error(`Error notifying driver ${driverId}:`, error);
@@ -73,16 +75,16 @@ class DriverNotifier {
    * Notify multiple drivers about a ride request
    * (Useful for broadcasting to nearby drivers)
    */
-  notifyMultipleDrivers(driverIds, rideRequest) {
+  notifyMultipleDrivers(driverIds, offer) {
     const notified = [];
 
     for (const driverId of driverIds) {
-      if (this.notifyDriver(driverId, rideRequest)) {
+      if (this.notifyDriver(driverId, offer)) {
         notified.push(driverId);
       }
     }
 
-    console.log(`🔔 Notified ${notified.length}/${driverIds.length} drivers about ride ${rideRequest.id}`);
+    console.log(`🔔 Notified ${notified.length}/${driverIds.length} drivers about ride ${offer.rideId}`);
     return notified;
   }
 
@@ -103,6 +105,25 @@ class DriverNotifier {
     console.log(`🚫 Cancelled ride offer to driver ${driverId}`);
   }
 
+  /**
+   * Tell a driver the rider cancelled their assigned ride
+   * @param {object} cancellation - { rideId, reason }
+   */
+  notifyRideCancelled(driverId, cancellation) {
+    const ws = this.driverConnections.get(driverId);
+
+    if (!ws || ws.readyState !== 1) {
+      return false;
+    }
+
+    ws.send(JSON.stringify({
+      type: 'rideCancelled',
+      data: cancellation
+    }));
+    console.log(`🚫 Told driver ${driverId} that ride ${cancellation.rideId} was cancelled`);
+    return true;
+  }
+
   /**
    * Send status update to driver
    */
@@ -125,6 +146,25 @@ class DriverNotifier {
     }
   }
 
+  /**
+   * Tell a driver their ride has a new destination
+   * @param {object} change - { rideId, destination, route, fare }
+   */
+  notifyDestinationChanged(driverId, change) {
+    const ws = this.driverConnections.get(driverId);
+
+    if (!ws || ws.readyState !== 1) {
+      return false;
+    }
+
+    ws.send(JSON.stringify({
+      type: 'destinationChanged',
+      data: change
+    }));
+    console.log(`🔀 Told driver ${driverId} about the new destination for ride ${change.rideId}`);
+    return true;
+  }
+
   /**
    * Get all connected drivers
    */
@@ -142,12 +182,10 @@ class DriverNotifier {
 
   /**
    * Calculate estimated earnings for a ride
+   * @param {number} distance - Trip distance in meters
    */
   calculateEstimatedEarnings(distance) {
-    // Simple calculation: $2 base + $1.50 per km
-    const distanceKm = distance / 1000;
-    const earnings = 2 + (distanceKm * 1.5);
-    return parseFloat(earnings.toFixed(2));
+    return fareEngine.calculateFare({ distanceMeters: distance }).total;
   }
 
   /**
@@ -177,8 +215,11 @@ class DriverNotifier {
 const driverNotifier = new DriverNotifier();
 
 // Clean up expired offers every 10 seconds
-setInterval(() => {
+const cleanupInterval = setInterval(() => {
   driverNotifier.cleanupExpiredOffers();
 }, 10000);
 
+// Don't keep the process (or test runs) alive just for cleanup
+cleanupInterval.unref();
+
 module.exports = driverNotifier;
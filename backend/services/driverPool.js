@@ -4,14 +4,76 @@
  * Uses centralized geoConfig for consistent locations across the system
  */
 
+const crypto = require('crypto');
 const Driver = require('../models/Driver');
 const { randomLocationInDonut, randomLocationInRadius } = require('../utils/geoUtils');
 const geoConfig = require('../config/geoConfig');
+const SpatialIndex = require('../utils/spatialIndex');
+const { driverRepository } = require('../repositories');
+const { hashPassword } = require('../utils/passwords');
+
+// Simulated drivers move every tick; a driver's position is stored at most this often
+const LOCATION_SAVE_INTERVAL_MS = 2000;
 
 class DriverPool {
   constructor() {
-    this.drivers = [];
-    this.initializeDrivers();
+    this.drivers = driverRepository;
+
+    // Driver locations by grid cell, kept in step with every location change
+    this.index = new SpatialIndex();
+
+    // driverId -> when the driver's position was last stored, and the
+    // timer that stores the latest one if it moved again since
+    this.locationSavedAt = new Map();
+    this.pendingLocationSaves = new Map();
+
+    if (this.drivers.count() > 0) {
+      this.drivers.all().forEach(driver => this.indexDriver(driver));
+      console.log(`✅ Restored ${this.drivers.count()} drivers from storage`);
+
+      // Drivers stored before logins needed a password get the seed password
+      this.drivers.filter(driver => !driver.passwordHash).forEach(driver => {
+        driver.passwordHash = this.getSeedPasswordHash();
+        this.drivers.save(driver);
+      });
+    } else {
+      this.initializeDrivers();
+    }
+  }
+
+  /**
+   * Hash of the password seeded drivers log in with
+   * DRIVER_SEED_PASSWORD, or a random one printed once at startup.
+   * Hashed once and shared, since every seeded driver has the same password.
+   */
+  getSeedPasswordHash() {
+    if (!this.seedPasswordHash) {
+      let password = process.env.DRIVER_SEED_PASSWORD;
+      if (!password) {
+        password = crypto.randomBytes(6).toString('hex');
+        if (process.env.NODE_ENV !== 'test') {
+          console.log(`⚠️  DRIVER_SEED_PASSWORD not set, simulated drivers log in with password: ${password}`);
+        }
+      }
+      this.seedPasswordHash = hashPassword(password);
+    }
+    return this.seedPasswordHash;
+  }
+
+  /**
+   * Add or move a driver in the spatial index
+   */
+  indexDriver(driver) {
+    this.index.upsert(driver.id, driver.location.lat, driver.location.lng);
+  }
+
+  /**
+   * Add a driver to the pool
+   */
+  addDriver(driver) {
+    this.drivers.save(driver);
+    this.indexDriver(driver);
+    return driver;
   }
 
   /**
@@ -72,20 +134,21 @@ class DriverPool {
         vehicleType,
         Math.round(rating * 10) / 10
       );
+      driver.passwordHash = this.getSeedPasswordHash();
 
-      this.drivers.push(driver);
+      this.addDriver(driver);
 
       console.log(`   ${driver.name} (${zone.name}): ${location.lat.toFixed(4)}, ${location.lng.toFixed(4)}`);
     }
 
-    console.log(`✅ Initialized ${this.drivers.length} simulated drivers across SF zones`);
+    console.log(`✅ Initialized ${this.drivers.count()} simulated drivers across SF zones`);
   }
 
   /**
    * Get all drivers
    */
   getAllDrivers() {
-    return this.drivers;
+    return this.drivers.all();
   }
 
   /**
@@ -99,7 +162,34 @@ class DriverPool {
    * Get driver by ID
    */
   getDriverById(id) {
-    return this.drivers.find(d => d.id === id);
+    return this.drivers.get(id);
+  }
+
+  /**
+   * Find the nearest available drivers to a location
+   * @param {object} location - {lat, lng}
+   * @param {number} k - Maximum number of drivers
+   * @param {object} options - { filter(driver), maxDistance } (meters)
+   * @returns {array} [{ driver, distance }], nearest first
+   */
+  findNearestAvailableDrivers(location, k, { filter = () => true, maxDistance } = {}) {
+    return this.index
+      .kNearest(location.lat, location.lng, k, {
+        filter: id => {
+          const driver = this.getDriverById(id);
+          return driver.available && filter(driver);
+        },
+        maxDistance
+      })
+      .map(({ item, distance }) => ({ driver: this.getDriverById(item), distance }));
+  }
+
+  /**
+   * Find every available driver within a radius of a location
+   * @returns {array} [{ driver, distance }], nearest first
+   */
+  findAvailableDriversWithinRadius(location, radiusMeters, options = {}) {
+    return this.findNearestAvailableDrivers(location, Infinity, { ...options, maxDistance: radiusMeters });
   }
 
   /**
@@ -109,6 +199,91 @@ class DriverPool {
     const driver = this.getDriverById(driverId);
     if (driver) {
       driver.updateLocation(lat, lng);
+      this.indexDriver(driver);
+      this.saveLocation(driver);
+    }
+  }
+
+  /**
+   * Store a driver's position, at most once per LOCATION_SAVE_INTERVAL_MS
+   * Moves in between are stored together when the interval is up, so the
+   * latest position always reaches storage.
+   */
+  saveLocation(driver) {
+    if (this.pendingLocationSaves.has(driver.id)) {
+      return;
+    }
+
+    const sinceLastSave = Date.now() - (this.locationSavedAt.get(driver.id) || 0);
+    if (sinceLastSave >= LOCATION_SAVE_INTERVAL_MS) {
+      this.locationSavedAt.set(driver.id, Date.now());
+      this.drivers.save(driver);
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      this.pendingLocationSaves.delete(driver.id);
+      this.saveLocation(driver);
+    }, LOCATION_SAVE_INTERVAL_MS - sinceLastSave);
+
+    // Don't keep the process (or test runs) alive just to store a position
+    timer.unref();
+    this.pendingLocationSaves.set(driver.id, timer);
+  }
+
+  /**
+   * Store every position still waiting for its interval (e.g. on shutdown)
+   */
+  saveLocations() {
+    this.pendingLocationSaves.forEach((timer, driverId) => {
+      clearTimeout(timer);
+      this.pendingLocationSaves.delete(driverId);
+      this.locationSavedAt.set(driverId, Date.now());
+      this.drivers.save(this.getDriverById(driverId));
+    });
+  }
+
+  /**
+   * Set whether a driver is taking rides
+   */
+  setAvailability(driverId, available) {
+    const driver = this.getDriverById(driverId);
+    if (driver) {
+      driver.available = available;
+      this.drivers.save(driver);
+    }
+  }
+
+  /**
+   * Record whether a driver accepted or declined a ride offer
+   */
+  recordOfferResponse(driverId, accepted) {
+    const driver = this.getDriverById(driverId);
+    if (driver) {
+      driver.recordOfferResponse(accepted);
+      this.drivers.save(driver);
+    }
+  }
+
+  /**
+   * Record that a driver cancelled a ride they accepted
+   */
+  recordCancellation(driverId) {
+    const driver = this.getDriverById(driverId);
+    if (driver) {
+      driver.recordCancellation();
+      this.drivers.save(driver);
+    }
+  }
+
+  /**
+   * Set a driver's rating (rolling average from ratingService)
+   */
+  updateRating(driverId, rating) {
+    const driver = this.getDriverById(driverId);
+    if (driver) {
+      driver.rating = rating;
+      this.drivers.save(driver);
     }
   }
 
@@ -119,6 +294,18 @@ class DriverPool {
     const driver = this.getDriverById(driverId);
     if (driver) {
       driver.assignRide(rideId);
+      this.drivers.save(driver);
+    }
+  }
+
+  /**
+   * Free up a driver without moving them (real drivers report their own location)
+   */
+  releaseDriver(driverId) {
+    const driver = this.getDriverById(driverId);
+    if (driver) {
+      driver.completeRide();
+      this.drivers.save(driver);
     }
   }
 
@@ -130,6 +317,7 @@ class DriverPool {
     const driver = this.getDriverById(driverId);
     if (driver) {
       driver.completeRide();
+      this.drivers.save(driver);
 
       // Randomize driver location for next ride
       // This ensures variety in testing scenarios
@@ -153,6 +341,8 @@ class DriverPool {
       );
 
       driver.updateLocation(newLocation.lat, newLocation.lng);
+      this.drivers.save(driver);
+      this.indexDriver(driver);
       console.log(`🎲 ${driver.name} relocated to ${zone.name}: ${newLocation.lat.toFixed(4)}, ${newLocation.lng.toFixed(4)}`);
     }
   }
@@ -0,0 +1,151 @@
+/**
+ * Driver Scoring Service
+ * Ranks candidate drivers for a ride with pluggable strategies. The built-in
+ * strategies are weighted sums of factors that each score a driver from 0 to 1.
+ */
+
+const dispatchConfig = require('../config/dispatchConfig');
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Each factor returns the raw value (for debugging) and its 0-1 score
+const FACTORS = {
+  // Closer is better; halves every scales.etaSeconds
+  eta: ({ eta }, { scales }) => ({
+    value: Math.round(eta),
+    score: scales.etaSeconds / (scales.etaSeconds + eta)
+  }),
+
+  rating: ({ driver }, { scales }) => ({
+    value: driver.rating,
+    score: Math.min(1, Math.max(0, (driver.rating - scales.minRating) / (5 - scales.minRating)))
+  }),
+
+  // Drivers without offer history aren't penalized
+  acceptanceRate: ({ driver }) => {
+    const rate = driver.getAcceptanceRate();
+    return { value: rate === null ? null : round(rate), score: rate === null ? 1 : rate };
+  },
+
+  // Longer wait since the last trip is better; 0.5 at scales.idleSeconds
+  idleTime: ({ driver }, { now, scales }) => {
+    const idleSeconds = driver.getIdleSeconds(now);
+    return {
+      value: Math.round(idleSeconds),
+      score: idleSeconds / (scales.idleSeconds + idleSeconds)
+    };
+  },
+
+  vehicleMatch: ({ driver, upgraded }) => ({
+    value: driver.vehicleType,
+    score: upgraded ? 0 : 1
+  })
+};
+
+class DriverScoring {
+  constructor(config = dispatchConfig) {
+    this.config = config;
+
+    // Map of strategy name -> function(candidate, context) => { score, factors }
+    this.strategies = new Map();
+
+    Object.entries(config.scoringWeights).forEach(([name, weights]) => {
+      this.registerStrategy(name, this.weightedStrategy(weights));
+    });
+  }
+
+  /**
+   * Add or replace a scoring strategy
+   * @param {string} name - Strategy name (select with dispatchConfig.scoringStrategy)
+   * @param {function} score - (candidate, { now, scales }) => { score, factors }, higher is better
+   */
+  registerStrategy(name, score) {
+    this.strategies.set(name, score);
+  }
+
+  /**
+   * Build a strategy that sums weighted factor scores
+   * Factors with no weight are skipped. The total is divided by the sum of
+   * the weights, so scores stay between 0 and 1.
+   * @param {object} weights - Factor name -> weight, e.g. { eta: 0.7, rating: 0.3 }
+   */
+  weightedStrategy(weights) {
+    const used = Object.entries(weights).filter(([, weight]) => weight > 0);
+    const totalWeight = used.reduce((sum, [, weight]) => sum + weight, 0);
+
+    used.forEach(([name]) => {
+      if (!FACTORS[name]) {
+        throw new Error(`Unknown scoring factor: ${name}`);
+      }
+    });
+
+    return (candidate, context) => {
+      const factors = {};
+      let score = 0;
+
+      used.forEach(([name, weight]) => {
+        const factor = FACTORS[name](candidate, context);
+        factors[name] = { value: factor.value, score: round(factor.score), weight };
+        score += factor.score * weight / totalWeight;
+      });
+
+      return { score, factors };
+    };
+  }
+
+  /**
+   * Resolve a strategy by name, falling back to 'nearest'
+   */
+  getStrategy(name = this.config.scoringStrategy) {
+    if (this.strategies.has(name)) {
+      return { name, score: this.strategies.get(name) };
+    }
+
+    console.warn(`⚠️  Unknown scoring strategy "${name}", using nearest`);
+    return { name: 'nearest', score: this.strategies.get('nearest') };
+  }
+
+  /**
+   * Score candidates and sort them best first
+   * @param {array} candidates - [{ driver, distance, eta, upgraded }]
+   * @param {object} options - { strategy, now }
+   * @returns {array} Candidates with scoring: { strategy, score, factors }, best first
+   */
+  rank(candidates, { strategy, now = Date.now() } = {}) {
+    const { name, score } = this.getStrategy(strategy);
+    const context = { now, scales: this.config.scoringScales };
+
+    return candidates
+      .map(candidate => {
+        const result = score(candidate, context);
+        return {
+          ...candidate,
+          scoring: { strategy: name, score: round(result.score, 4), factors: result.factors }
+        };
+      })
+      .sort((a, b) => b.scoring.score - a.scoring.score || a.eta - b.eta);
+  }
+
+  /**
+   * Debug breakdown of why a driver was chosen over the other candidates
+   * @param {string} driverId - Chosen driver
+   * @param {array} ranked - [{ driverId, scoring }], best first
+   * @returns {object} { strategy, driverId, score, factors, alternatives: [{ driverId, score }] }
+   */
+  explain(driverId, ranked) {
+    const chosen = ranked.find(entry => entry.driverId === driverId);
+
+    return {
+      strategy: chosen.scoring.strategy,
+      driverId,
+      score: chosen.scoring.score,
+      factors: chosen.scoring.factors,
+      alternatives: ranked
+        .filter(entry => entry.driverId !== driverId)
+        .slice(0, 3)
+        .map(entry => ({ driverId: entry.driverId, score: entry.scoring.score }))
+    };
+  }
+}
+
+module.exports = new DriverScoring();
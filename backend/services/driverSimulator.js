@@ -3,8 +3,22 @@
  * Simulates driver movement along routes
  */
 
-const { calculateDistance, interpolate, generateRoutePolyline, calculateBearing } = require('../utils/geoUtils');
+const {
+  calculateDistance,
+  calculateRouteDistance,
+  calculateETA,
+  interpolate,
+  generateRoutePolyline,
+  calculateBearing
+} = require('../utils/geoUtils');
 const driverPool = require('./driverPool');
+const poolService = require('./poolService');
+
+// Simulated time from pickup to destination, split across legs when there are stops
+const RIDE_DURATION_SECONDS = 300;
+
+// How long the driver waits at each intermediate stop
+const STOP_WAIT_MS = 5000;
 
 class DriverSimulator {
   constructor() {
@@ -54,17 +68,28 @@ class DriverSimulator {
 
     const simulation = {
       rideId: ride.id,
+      ride,
       driver: driver,
-      currentPhase: 'toPickup', // toPickup, toDestination
+      currentPhase: 'toPickup', // toPickup, toStop, toDestination
+      stopIndex: 0, // next intermediate stop
+      waiting: false, // parked at pickup or a stop
       progress: 0,
       progressIncrement: initialProgressIncrement, // Store in simulation so it can be updated
       start: driverStartLocation, // Driver's actual starting location
       end: { ...ride.pickup },
       route: routeToPickup, // Route points for visualization
       interval: null,
-      updateIntervalMs: updateIntervalMs
+      updateIntervalMs: updateIntervalMs,
+      onUpdate,
+      onStateChange
     };
 
+    // Restored ride whose driver was already waiting at pickup: stay parked
+    if (ride.status === 'arriving') {
+      simulation.progress = 1;
+      simulation.waiting = true;
+    }
+
     // Assign driver
     driverPool.assignDriver(driver.id, ride.id);
 
@@ -100,6 +125,11 @@ class DriverSimulator {
       simulation.progress += simulation.progressIncrement;
 
       if (simulation.progress >= 1.0) {
+        // Parked at pickup or a stop until the next leg starts
+        if (simulation.waiting) {
+          return;
+        }
+
         // Reached current waypoint
         if (simulation.currentPhase === 'toPickup') {
           // Driver reached pickup
@@ -109,58 +139,27 @@ class DriverSimulator {
           // Update driver's position to exactly at pickup
           driverPool.updateDriverLocation(driver.id, ride.pickup.lat, ride.pickup.lng);
 
-          // Transition to arriving state
+          // Wait at pickup until the rider is in (see pickUpRider) or is a no-show
           onStateChange('arriving');
+          simulation.waiting = true;
+
+        } else if (simulation.currentPhase === 'toStop') {
+          const stop = ride.stops[simulation.stopIndex];
+          console.log(`🛑 Driver ${driver.name} arrived at stop ${simulation.stopIndex + 1}/${ride.stops.length}`);
+
+          driverPool.updateDriverLocation(driver.id, stop.lat, stop.lng);
+          onStateChange('arrivedAtStop');
+          simulation.waiting = true;
 
-          // After 2 seconds, start ride
+          // Wait at the stop, then head on
           setTimeout(() => {
-            console.log(`🚗 Starting ride to destination`);
+            if (!this.activeSimulations.has(ride.id)) {
+              return;
+            }
             onStateChange('inProgress');
-
-            // Calculate distance from pickup to destination
-            const distanceToDestination = calculateDistance(
-              ride.pickup.lat,
-              ride.pickup.lng,
-              ride.destination.lat,
-              ride.destination.lng
-            );
-
-            console.log(`   Distance to destination: ${Math.round(distanceToDestination)}m`);
-
-            // IMPORTANT: Recalculate duration for pickup-to-destination phase
-            // REALISTIC TIMING: 5 minutes for the actual ride (like real Uber/Lyft)
-            const durationToDestinationSeconds = 300; // Exactly 5 minutes
-            const totalUpdatesToDestination = (durationToDestinationSeconds * 1000) / simulation.updateIntervalMs;
-            simulation.progressIncrement = 1 / totalUpdatesToDestination;
-
-            console.log(`   Duration to destination: ${(durationToDestinationSeconds / 60).toFixed(1)} minutes (realistic ride duration)`);
-
-            // Generate route from pickup to destination
-            const routeToDestination = generateRoutePolyline(ride.pickup, ride.destination, 30);
-
-            // Start second phase: to destination
-            simulation.currentPhase = 'toDestination';
-            simulation.progress = 0;
-            simulation.start = { ...ride.pickup };
-            simulation.end = { ...ride.destination };
-            simulation.route = routeToDestination;
-
-            // Update ETA for destination phase
-            ride.updateETA(distanceToDestination);
-
-            // Send route update
-            onUpdate({
-              rideId: ride.id,
-              driver: {
-                id: driver.id,
-                location: ride.pickup
-              },
-              status: 'inProgress',
-              currentPhase: 'toDestination',
-              route: routeToDestination,
-              destination: ride.destination
-            });
-          }, 2000);
+            simulation.stopIndex++;
+            this.startNextLeg(simulation, ride, onUpdate);
+          }, STOP_WAIT_MS);
 
         } else if (simulation.currentPhase === 'toDestination') {
           // Driver reached destination
@@ -203,16 +202,18 @@ class DriverSimulator {
         // Log progress every 10% for long rides (helps debug 5-minute rides)
         const progressPercent = Math.floor(simulation.progress * 100);
         if (progressPercent % 10 === 0 && progressPercent > 0) {
-          const phase = simulation.currentPhase === 'toPickup' ? 'to pickup' : 'to destination';
+          const phase = {
+            toPickup: 'to pickup',
+            toStop: `to stop ${simulation.stopIndex + 1}`,
+            toDestination: 'to destination'
+          }[simulation.currentPhase];
           console.log(`🚗 ${driver.name} ${progressPercent}% ${phase} (${Math.round(distanceRemaining)}m remaining)`);
         }
 
         // Notify state changes based on distance
+        // (arriving only once the driver is actually at the pickup)
         if (simulation.currentPhase === 'toPickup') {
-          if (distanceRemaining < 100 && ride.status !== 'arriving') {
-            console.log(`⏰ Driver ${driver.name} is approaching pickup (${Math.round(distanceRemaining)}m away)`);
-            onStateChange('arriving');
-          } else if (distanceRemaining >= 100 && ride.status !== 'enRoute') {
+          if (ride.status === 'assigned') {
             onStateChange('enRoute');
           }
         } else if (simulation.currentPhase === 'toDestination') {
@@ -235,6 +236,7 @@ class DriverSimulator {
           },
           status: ride.status,
           currentPhase: simulation.currentPhase,
+          stopIndex: simulation.currentPhase === 'toStop' ? simulation.stopIndex : null,
           distanceRemaining: Math.round(distanceRemaining),
           progress: simulation.progress,
           route: simulation.route // Continue sending route for visualization
@@ -245,11 +247,336 @@ class DriverSimulator {
     this.activeSimulations.set(ride.id, simulation);
   }
 
+  /**
+   * Start driving from the last waypoint to the ride's next stop, or to the
+   * destination once every stop is done
+   * Legs share the 5 minute ride in proportion to their distance.
+   * @param {object} origin - Where the leg starts (defaults to the last waypoint)
+   * @returns {array} Route polyline for the leg
+   */
+  startNextLeg(simulation, ride, onUpdate, origin = null) {
+    const { stopIndex } = simulation;
+    const from = origin || (stopIndex === 0 ? ride.pickup : ride.stops[stopIndex - 1]);
+    const toStop = stopIndex < ride.stops.length;
+    const to = toStop ? ride.stops[stopIndex] : ride.destination;
+
+    const legDistance = calculateDistance(from.lat, from.lng, to.lat, to.lng);
+    const tripDistance = calculateRouteDistance([ride.pickup, ...ride.stops, ride.destination]);
+
+    // REALISTIC TIMING: 5 minutes for the actual ride (like real Uber/Lyft)
+    const legDurationSeconds = tripDistance > 0 ? RIDE_DURATION_SECONDS * legDistance / tripDistance : RIDE_DURATION_SECONDS;
+    const totalUpdates = Math.max(1, (legDurationSeconds * 1000) / simulation.updateIntervalMs);
+
+    console.log(`   Distance to ${toStop ? `stop ${stopIndex + 1}` : 'destination'}: ${Math.round(legDistance)}m`);
+    console.log(`   Duration: ${(legDurationSeconds / 60).toFixed(1)} minutes`);
+
+    const route = generateRoutePolyline(from, to, 30);
+
+    simulation.currentPhase = toStop ? 'toStop' : 'toDestination';
+    simulation.progress = 0;
+    simulation.progressIncrement = 1 / totalUpdates;
+    simulation.start = { ...from };
+    simulation.end = { ...to };
+    simulation.route = route;
+    simulation.waiting = false;
+
+    // Update ETA for the new leg
+    ride.updateETA(legDistance);
+
+    // Send route update
+    onUpdate({
+      rideId: ride.id,
+      driver: {
+        id: simulation.driver.id,
+        location: { lat: from.lat, lng: from.lng }
+      },
+      status: 'inProgress',
+      currentPhase: simulation.currentPhase,
+      stopIndex: toStop ? stopIndex : null,
+      route,
+      destination: to
+    });
+
+    return route;
+  }
+
+  /**
+   * Re-route a ride whose destination changed
+   * Only a driver already heading to the destination needs a new leg (from
+   * where they are now); earlier legs read the destination when they start.
+   * @returns {array|null} New route polyline, or null if nothing was re-routed
+   */
+  changeDestination(ride, onUpdate) {
+    const simulation = this.activeSimulations.get(ride.id);
+
+    if (!simulation || simulation.pooled || simulation.currentPhase !== 'toDestination') {
+      return null;
+    }
+
+    console.log(`🔀 Re-routing ride ${ride.id} to ${ride.destination.lat.toFixed(4)}, ${ride.destination.lng.toFixed(4)}`);
+    return this.startNextLeg(simulation, ride, onUpdate, { ...simulation.driver.location });
+  }
+
+  /**
+   * Start simulating a driver's pooled trip
+   * The driver follows the trip's waypoints (see poolService), which may be
+   * reordered while driving as riders join. Every ride in the trip is
+   * simulated by the same driver and gets its own position updates.
+   * @param {object} trip - Pool trip from poolService.startTrip
+   * @param {object} driver - Driver object
+   * @param {function} onUpdate - Callback for position updates (one per ride)
+   * @param {function} onStateChange - Callback for state changes: (rideId, status)
+   */
+  startPoolSimulation(trip, driver, onUpdate, onStateChange) {
+    console.log(`🎬 Starting pooled simulation with driver ${driver.name}`);
+
+    const simulation = {
+      pooled: true,
+      trip,
+      driver,
+      target: null, // waypoint being driven to
+      waiting: false, // parked at a pickup
+      waitingAt: null, // pickup waypoint the driver is parked at
+      progress: 0,
+      progressIncrement: 0,
+      start: null,
+      end: null,
+      route: [],
+      interval: null,
+      updateIntervalMs: 500,
+      onUpdate,
+      onStateChange
+    };
+
+    driverPool.assignDriver(driver.id, trip.waypoints[0].rideId);
+
+    simulation.interval = setInterval(() => this.stepPoolSimulation(simulation), simulation.updateIntervalMs);
+
+    trip.rides.forEach((ride, rideId) => this.activeSimulations.set(rideId, simulation));
+  }
+
+  /**
+   * Add a ride that just joined a pooled trip to the driver's simulation
+   */
+  joinPoolSimulation(trip, ride) {
+    const rideId = [...trip.rides.keys()].find(id => this.activeSimulations.has(id) && id !== ride.id);
+    const simulation = this.activeSimulations.get(rideId);
+
+    if (simulation) {
+      this.activeSimulations.set(ride.id, simulation);
+      simulation.onStateChange(ride.id, 'enRoute');
+    }
+  }
+
+  /**
+   * Move a pooled driver one update towards the trip's next waypoint
+   */
+  stepPoolSimulation(simulation) {
+    const { trip, driver, onUpdate, onStateChange } = simulation;
+
+    if (simulation.waiting) {
+      return;
+    }
+
+    const next = trip.waypoints[0];
+    if (!next) {
+      this.endPoolSimulation(simulation);
+      return;
+    }
+
+    // New leg, or a rider who joined changed the next waypoint
+    if (next !== simulation.target) {
+      this.startPoolLeg(simulation, next);
+    }
+
+    simulation.progress += simulation.progressIncrement;
+
+    if (simulation.progress >= 1.0) {
+      this.reachPoolWaypoint(simulation, next);
+      return;
+    }
+
+    const currentPosition = interpolate(simulation.start, simulation.end, simulation.progress);
+    const bearing = calculateBearing(currentPosition.lat, currentPosition.lng, simulation.end.lat, simulation.end.lng);
+    driverPool.updateDriverLocation(driver.id, currentPosition.lat, currentPosition.lng);
+
+    const distanceToNext = calculateDistance(currentPosition.lat, currentPosition.lng, next.location.lat, next.location.lng);
+    const nextRide = trip.rides.get(next.rideId);
+
+    if (distanceToNext < 100 && next.type === 'dropoff' && nextRide.status === 'inProgress') {
+      onStateChange(next.rideId, 'approachingDestination');
+    }
+
+    // Each rider sees the distance to their own pickup or drop-off
+    trip.rides.forEach((ride, rideId) => {
+      const ownIndex = trip.waypoints.findIndex(w => w.rideId === rideId);
+      const distanceRemaining = distanceToNext +
+        calculateRouteDistance(trip.waypoints.slice(0, ownIndex + 1).map(w => w.location));
+
+      ride.updateETA(distanceRemaining);
+
+      onUpdate({
+        rideId,
+        driver: {
+          id: driver.id,
+          location: currentPosition,
+          bearing
+        },
+        status: ride.status,
+        currentPhase: trip.onboard.has(rideId) ? 'toDestination' : 'toPickup',
+        pooled: true,
+        stopsBefore: ownIndex, // other riders' pickups and drop-offs first
+        distanceRemaining: Math.round(distanceRemaining),
+        progress: simulation.progress,
+        route: simulation.route
+      });
+    });
+  }
+
+  /**
+   * Start driving from the driver's current location to a waypoint
+   * Pooled legs take the real driving time at average city speed.
+   */
+  startPoolLeg(simulation, waypoint) {
+    const { trip, driver, onStateChange } = simulation;
+    const from = { ...driver.location };
+    const legDistance = calculateDistance(from.lat, from.lng, waypoint.location.lat, waypoint.location.lng);
+    const legDurationSeconds = Math.max(1, calculateETA(legDistance));
+
+    console.log(`   ${driver.name} heading to ${waypoint.type} for ride ${waypoint.rideId}: ${Math.round(legDistance)}m`);
+
+    simulation.target = waypoint;
+    simulation.progress = 0;
+    simulation.progressIncrement = simulation.updateIntervalMs / (legDurationSeconds * 1000);
+    simulation.start = from;
+    simulation.end = { lat: waypoint.location.lat, lng: waypoint.location.lng };
+    simulation.route = generateRoutePolyline(from, simulation.end, 30);
+
+    // Riders still waiting have a driver on the way
+    trip.rides.forEach((ride, rideId) => {
+      if (ride.status === 'assigned') {
+        onStateChange(rideId, 'enRoute');
+      }
+    });
+  }
+
+  /**
+   * Pick up or drop off the rider at a waypoint
+   */
+  reachPoolWaypoint(simulation, waypoint) {
+    const { trip, driver, onStateChange } = simulation;
+    const { rideId } = waypoint;
+
+    driverPool.updateDriverLocation(driver.id, waypoint.location.lat, waypoint.location.lng);
+    simulation.target = null;
+
+    if (waypoint.type === 'pickup') {
+      console.log(`📍 Driver ${driver.name} arrived at pooled pickup for ride ${rideId}`);
+      // Wait until the rider is in (see pickUpRider) or is a no-show
+      simulation.waiting = true;
+      simulation.waitingAt = waypoint;
+      onStateChange(rideId, 'arriving');
+      return;
+    }
+
+    console.log(`🏁 Driver ${driver.name} dropped off ride ${rideId}`);
+    onStateChange(rideId, 'completed');
+    this.activeSimulations.delete(rideId);
+
+    if (poolService.completeWaypoint(trip, waypoint)) {
+      driverPool.assignDriver(driver.id, trip.waypoints[0].rideId);
+    } else {
+      this.endPoolSimulation(simulation);
+      driverPool.completeRide(driver.id);
+    }
+  }
+
+  /**
+   * Start the trip once the rider is in the car
+   * A simulated driver waits at the pickup until then, or until the wait
+   * timer runs out and the ride ends as a no-show.
+   * @returns {boolean} false unless the ride's driver is waiting at its pickup
+   */
+  pickUpRider(rideId) {
+    const simulation = this.activeSimulations.get(rideId);
+    if (!simulation || !simulation.waiting) {
+      return false;
+    }
+
+    if (simulation.pooled) {
+      const waypoint = simulation.waitingAt;
+      if (!waypoint || waypoint.rideId !== rideId) {
+        return false;
+      }
+
+      console.log(`🚗 Rider of ride ${rideId} is in ${simulation.driver.name}'s pooled car`);
+      poolService.completeWaypoint(simulation.trip, waypoint);
+      simulation.waiting = false;
+      simulation.waitingAt = null;
+      simulation.onStateChange(rideId, 'inProgress');
+      return true;
+    }
+
+    if (simulation.currentPhase !== 'toPickup') {
+      return false;
+    }
+
+    const { ride } = simulation;
+    console.log(`🚗 Starting ride to ${ride.stops.length > 0 ? 'first stop' : 'destination'}`);
+    simulation.onStateChange('inProgress');
+    this.startNextLeg(simulation, ride, simulation.onUpdate);
+    return true;
+  }
+
+  /**
+   * Take a ride out of a pooled simulation (e.g. cancelled before pickup)
+   * The driver carries on with the other riders, or is freed if none are left.
+   */
+  leavePoolSimulation(rideId) {
+    const simulation = this.activeSimulations.get(rideId);
+    this.activeSimulations.delete(rideId);
+
+    const trip = poolService.removeRide(rideId);
+    console.log(`🚪 Ride ${rideId} left its pooled trip`);
+
+    // Stop waiting for a rider who won't be picked up
+    if (simulation.waitingAt && simulation.waitingAt.rideId === rideId) {
+      simulation.waiting = false;
+      simulation.waitingAt = null;
+    }
+
+    if (trip && trip.waypoints.length === 0) {
+      this.endPoolSimulation(simulation);
+      driverPool.releaseDriver(simulation.driver.id);
+    }
+  }
+
+  /**
+   * Stop a pooled simulation for every ride still in it
+   */
+  endPoolSimulation(simulation) {
+    clearInterval(simulation.interval);
+    simulation.interval = null;
+
+    for (const [rideId, active] of this.activeSimulations) {
+      if (active === simulation) {
+        this.activeSimulations.delete(rideId);
+      }
+    }
+    console.log(`🛑 Stopped pooled simulation for driver ${simulation.driver.name}`);
+  }
+
   /**
    * Stop simulation for a ride
+   * For a pooled ride only that ride leaves the driver's trip.
    */
   stopSimulation(rideId) {
     const simulation = this.activeSimulations.get(rideId);
+    if (simulation && simulation.pooled) {
+      this.leavePoolSimulation(rideId);
+      return;
+    }
+
     if (simulation && simulation.interval) {
       clearInterval(simulation.interval);
       this.activeSimulations.delete(rideId);
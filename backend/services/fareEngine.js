@@ -0,0 +1,121 @@
+/**
+ * Fare Engine
+ * The one place ride prices are calculated (rider quotes, driver earnings, simulated offers)
+ */
+
+const fareConfig = require('../config/fareConfig');
+const { calculateRouteDistance, calculateETA } = require('../utils/geoUtils');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Round to cents
+ */
+function roundCurrency(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Get the multiplier for a vehicle type
+ * @throws {ValidationError} for unknown vehicle types
+ */
+function getVehicleMultiplier(vehicleType) {
+  const type = fareConfig.vehicleTypes[vehicleType];
+  if (!type) {
+    const validTypes = Object.keys(fareConfig.vehicleTypes).join(', ');
+    throw new ValidationError(`Unknown vehicle type: ${vehicleType}. Must be one of: ${validTypes}`);
+  }
+  return type.multiplier;
+}
+
+/**
+ * Calculate an itemized fare
+ * @param {object} trip - { distanceMeters, durationSeconds, vehicleType, surgeMultiplier, pooled }
+ *   durationSeconds defaults to the ETA for the distance; pooled rides get the pool discount
+ * @returns {object} Fare breakdown with total
+ */
+function calculateFare({
+  distanceMeters,
+  durationSeconds = calculateETA(distanceMeters),
+  vehicleType = 'Standard',
+  surgeMultiplier = 1,
+  pooled = false
+}) {
+  const vehicleMultiplier = getVehicleMultiplier(vehicleType);
+
+  const baseFare = roundCurrency(fareConfig.baseFare * vehicleMultiplier);
+  const distanceFare = roundCurrency((distanceMeters / 1000) * fareConfig.perKm * vehicleMultiplier);
+  const timeFare = roundCurrency((durationSeconds / 60) * fareConfig.perMinute * vehicleMultiplier);
+  const subtotal = baseFare + distanceFare + timeFare;
+
+  const surgeAmount = roundCurrency(subtotal * (surgeMultiplier - 1));
+
+  // Top up short trips to the minimum fare
+  const minimumFare = roundCurrency(fareConfig.minimumFare * vehicleMultiplier);
+  const minimumFareAdjustment = roundCurrency(Math.max(0, minimumFare - (subtotal + surgeAmount)));
+
+  // Pooled riders share the car, so they pay less of the trip fare
+  const tripFare = subtotal + surgeAmount + minimumFareAdjustment;
+  const poolDiscount = pooled ? roundCurrency(tripFare * fareConfig.pool.discount) : 0;
+
+  const bookingFee = fareConfig.bookingFee;
+  const total = roundCurrency(tripFare - poolDiscount + bookingFee);
+
+  return {
+    currency: fareConfig.currency,
+    vehicleType,
+    distanceMeters: Math.round(distanceMeters),
+    durationSeconds: Math.round(durationSeconds),
+    baseFare,
+    distanceFare,
+    timeFare,
+    vehicleMultiplier,
+    surgeMultiplier,
+    surgeAmount,
+    minimumFareAdjustment,
+    pooled,
+    poolDiscount,
+    bookingFee,
+    total
+  };
+}
+
+/**
+ * Estimate the fare for a trip between two locations
+ * @param {object} pickup - {lat, lng}
+ * @param {object} destination - {lat, lng}
+ * @param {object} options - { vehicleType, surgeMultiplier, pooled, stops } (stops: [{lat, lng}] visited in order)
+ * @returns {object} Fare breakdown (see calculateFare)
+ */
+function estimateTripFare(pickup, destination, { stops = [], ...options } = {}) {
+  const distanceMeters = calculateRouteDistance([pickup, ...stops, destination]);
+  return calculateFare({ ...options, distanceMeters });
+}
+
+/**
+ * Check a tip amount
+ * @returns {number} The tip rounded to cents
+ * @throws {ValidationError} if the tip isn't an amount from 0.01 to fareConfig.maxTip
+ */
+function parseTip(tip) {
+  const amount = typeof tip === 'number' && Number.isFinite(tip) ? roundCurrency(tip) : NaN;
+
+  if (!(amount > 0 && amount <= fareConfig.maxTip)) {
+    throw new ValidationError(`tip must be an amount from 0.01 to ${fareConfig.maxTip}`);
+  }
+  return amount;
+}
+
+/**
+ * Supported vehicle types
+ */
+function getVehicleTypes() {
+  return Object.keys(fareConfig.vehicleTypes);
+}
+
+module.exports = {
+  calculateFare,
+  estimateTripFare,
+  getVehicleTypes,
+  parseTip,
+  roundCurrency
+};
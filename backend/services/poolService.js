@@ -0,0 +1,298 @@
+/**
+ * Pool Service
+ * Shared rides: keeps each pooling driver's trip (the riders in or heading
+ * for the car, and the order of their pickups and drop-offs) and decides
+ * whether a new rider can join a trip without breaking seat or detour limits
+ */
+
+const dispatchConfig = require('../config/dispatchConfig');
+const driverPool = require('./driverPool');
+const { calculateDistance, calculateETA } = require('../utils/geoUtils');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Driving time between two locations (seconds)
+ */
+function travelSeconds(from, to) {
+  return calculateETA(calculateDistance(from.lat, from.lng, to.lat, to.lng));
+}
+
+/**
+ * Driving time from a location through waypoints in order (seconds)
+ */
+function routeSeconds(origin, waypoints) {
+  let position = origin;
+  return waypoints.reduce((total, waypoint) => {
+    const seconds = travelSeconds(position, waypoint.location);
+    position = waypoint.location;
+    return total + seconds;
+  }, 0);
+}
+
+class PoolService {
+  /**
+   * @param {object} config - Pooling settings (see dispatchConfig.pooling)
+   */
+  constructor(config = dispatchConfig.pooling) {
+    this.config = config;
+
+    // driverId -> trip: { driverId, capacity, rides (rideId -> Ride), onboard (Set of rideIds),
+    //   waypoints: [{ rideId, type: 'pickup'|'dropoff', location }] in driving order }
+    this.trips = new Map();
+  }
+
+  /**
+   * Rider seats in a vehicle type (0 = the type doesn't pool)
+   */
+  getSeatCapacity(vehicleType) {
+    return this.config.seatCapacity[vehicleType] || 0;
+  }
+
+  /**
+   * Check the pooling options of a ride request
+   * @param {object} body - Request body: { pooled, seats, stops }
+   * @param {string} vehicleType - Requested product
+   * @returns {object} { pooled, seats }
+   * @throws {ValidationError} if the product doesn't pool, the ride has stops or seats is out of range
+   */
+  parseRequest({ pooled = false, seats = 1, stops = [] }, vehicleType) {
+    if (!pooled) {
+      return { pooled: false, seats: 1 };
+    }
+
+    if (this.getSeatCapacity(vehicleType) === 0) {
+      const types = Object.keys(this.config.seatCapacity).join(', ');
+      throw new ValidationError(`Pooled rides aren't available for ${vehicleType}. Must be one of: ${types}`);
+    }
+
+    if (Array.isArray(stops) && stops.length > 0) {
+      throw new ValidationError('Pooled rides can\'t have stops');
+    }
+
+    if (!Number.isInteger(seats) || seats < 1 || seats > this.config.maxPartySize) {
+      throw new ValidationError(`seats must be a whole number from 1 to ${this.config.maxPartySize}`);
+    }
+
+    return { pooled: true, seats };
+  }
+
+  /**
+   * Get a driver's trip
+   */
+  getTrip(driverId) {
+    return this.trips.get(driverId) || null;
+  }
+
+  /**
+   * Get the trip a ride is part of
+   */
+  getTripForRide(rideId) {
+    for (const trip of this.trips.values()) {
+      if (trip.rides.has(rideId)) {
+        return trip;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Start a trip for a driver with its first pooled ride
+   */
+  startTrip(driver, ride) {
+    const trip = {
+      driverId: driver.id,
+      capacity: this.getSeatCapacity(driver.vehicleType),
+      rides: new Map([[ride.id, ride]]),
+      onboard: new Set(),
+      waypoints: [
+        { rideId: ride.id, type: 'pickup', location: ride.pickup },
+        { rideId: ride.id, type: 'dropoff', location: ride.destination }
+      ]
+    };
+
+    this.trips.set(driver.id, trip);
+    return trip;
+  }
+
+  /**
+   * Drive through waypoints and check every rider's limits
+   * @param {object} origin - Where the car is now {lat, lng}
+   * @param {array} waypoints - Waypoints in driving order
+   * @param {Map} rides - rideId -> Ride for every ride in the waypoints
+   * @param {Set} onboard - Rides already in the car
+   * @param {number} capacity - Rider seats
+   * @returns {object|null} { durationSeconds, pickupEtas (rideId -> seconds) }, or null
+   *   if the car would be over capacity, a rider's detour too long or a pickup too late
+   */
+  evaluateRoute(origin, waypoints, rides, onboard, capacity) {
+    const pickedUpAt = new Map([...onboard].map(rideId => [rideId, 0]));
+    const pickupEtas = {};
+    let seatsTaken = [...onboard].reduce((sum, rideId) => sum + rides.get(rideId).seats, 0);
+    let elapsed = 0;
+    let position = origin;
+
+    for (const waypoint of waypoints) {
+      const ride = rides.get(waypoint.rideId);
+      elapsed += travelSeconds(position, waypoint.location);
+      position = waypoint.location;
+
+      if (waypoint.type === 'pickup') {
+        seatsTaken += ride.seats;
+        if (seatsTaken > capacity || elapsed > dispatchConfig.maxPickupEtaSeconds) {
+          return null;
+        }
+        pickedUpAt.set(ride.id, elapsed);
+        pickupEtas[ride.id] = elapsed;
+      } else {
+        // Riders on board are measured from where the car is now
+        const directSeconds = travelSeconds(onboard.has(ride.id) ? origin : ride.pickup, ride.destination);
+        if (elapsed - pickedUpAt.get(ride.id) > directSeconds * (1 + this.config.maxDetourRatio)) {
+          return null;
+        }
+        seatsTaken -= ride.seats;
+      }
+    }
+
+    return { durationSeconds: elapsed, pickupEtas };
+  }
+
+  /**
+   * Find the cheapest place in a trip for a ride's pickup and drop-off
+   * Tries every pickup/drop-off position that keeps the trip within limits.
+   * The rider must share the car with someone for part of the ride rather
+   * than being served before or after the rest of the trip.
+   * @returns {object|null} { waypoints, pickupEta, addedSeconds } or null if the ride doesn't fit
+   */
+  planInsertion(trip, ride, origin) {
+    const rides = new Map(trip.rides).set(ride.id, ride);
+    const pickup = { rideId: ride.id, type: 'pickup', location: ride.pickup };
+    const dropoff = { rideId: ride.id, type: 'dropoff', location: ride.destination };
+    const current = trip.waypoints;
+    let best = null;
+
+    for (let i = 0; i <= current.length; i++) {
+      // Riders in the car when the new rider gets in
+      const inCar = new Set(trip.onboard);
+      current.slice(0, i).forEach(w => (w.type === 'pickup' ? inCar.add(w.rideId) : inCar.delete(w.rideId)));
+
+      for (let j = i; j <= current.length; j++) {
+        // Nobody else in the car while the new rider is
+        if (inCar.size === 0 && j === i) {
+          continue;
+        }
+
+        const waypoints = [
+          ...current.slice(0, i),
+          pickup,
+          ...current.slice(i, j),
+          dropoff,
+          ...current.slice(j)
+        ];
+        const result = this.evaluateRoute(origin, waypoints, rides, trip.onboard, trip.capacity);
+
+        if (result && (!best || result.durationSeconds < best.durationSeconds)) {
+          best = { waypoints, durationSeconds: result.durationSeconds, pickupEta: result.pickupEtas[ride.id] };
+        }
+      }
+    }
+
+    if (!best) {
+      return null;
+    }
+
+    return {
+      waypoints: best.waypoints,
+      pickupEta: best.pickupEta,
+      addedSeconds: best.durationSeconds - routeSeconds(origin, current)
+    };
+  }
+
+  /**
+   * Find the trip a pooled ride adds the least driving time to
+   * Only trips in vehicles that can serve the requested product are considered.
+   * @returns {object|null} { trip, plan } (see planInsertion) or null if no trip has room
+   */
+  findTrip(ride) {
+    const vehicleTypes = [ride.vehicleType, ...(dispatchConfig.vehicleTypeFallbacks[ride.vehicleType] || [])];
+    let best = null;
+
+    for (const trip of this.trips.values()) {
+      const driver = driverPool.getDriverById(trip.driverId);
+
+      if (!driver || !vehicleTypes.includes(driver.vehicleType)) {
+        continue;
+      }
+
+      const plan = this.planInsertion(trip, ride, driver.location);
+      if (plan && (!best || plan.addedSeconds < best.plan.addedSeconds)) {
+        best = { trip, plan };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Add a ride to a trip using a plan from planInsertion
+   */
+  addRide(trip, ride, plan) {
+    trip.rides.set(ride.id, ride);
+    trip.waypoints = plan.waypoints;
+  }
+
+  /**
+   * Mark a waypoint as reached (the rider got in or out)
+   * @returns {boolean} true if the trip has waypoints left
+   */
+  completeWaypoint(trip, waypoint) {
+    trip.waypoints = trip.waypoints.filter(w => w !== waypoint);
+
+    if (waypoint.type === 'pickup') {
+      trip.onboard.add(waypoint.rideId);
+    } else {
+      trip.onboard.delete(waypoint.rideId);
+      trip.rides.delete(waypoint.rideId);
+    }
+
+    return this.endTripIfEmpty(trip);
+  }
+
+  /**
+   * Take a ride out of its trip (e.g. cancelled before pickup)
+   * @returns {object|null} The trip it was in
+   */
+  removeRide(rideId) {
+    const trip = this.getTripForRide(rideId);
+
+    if (trip) {
+      trip.waypoints = trip.waypoints.filter(w => w.rideId !== rideId);
+      trip.onboard.delete(rideId);
+      trip.rides.delete(rideId);
+      this.endTripIfEmpty(trip);
+    }
+
+    return trip;
+  }
+
+  /**
+   * Forget a trip once every rider is out
+   * @returns {boolean} true if the trip still has waypoints
+   */
+  endTripIfEmpty(trip) {
+    if (trip.waypoints.length > 0) {
+      return true;
+    }
+
+    this.trips.delete(trip.driverId);
+    return false;
+  }
+
+  /**
+   * Forget every trip
+   */
+  clear() {
+    this.trips.clear();
+  }
+}
+
+module.exports = new PoolService();
@@ -0,0 +1,133 @@
+/**
+ * Quote Service
+ * Upfront fare quotes that a ride request can lock in
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const fareConfig = require('../config/fareConfig');
+const fareEngine = require('./fareEngine');
+const surgePricing = require('./surgePricing');
+const { quoteRepository } = require('../repositories');
+const { calculateDistance } = require('../utils/geoUtils');
+const { AppError, NotFoundError, ForbiddenError } = require('../utils/errors');
+
+/**
+ * Create a quote for a trip
+ * @param {object} params - { riderId, pickup, destination, stops, vehicleType, pooled }
+ * @returns {object} Stored quote
+ */
+function createQuote({ riderId, pickup, destination, stops = [], vehicleType = 'Standard', pooled = false }) {
+  cleanupExpiredQuotes();
+
+  const fare = fareEngine.estimateTripFare(pickup, destination, {
+    vehicleType,
+    surgeMultiplier: surgePricing.getMultiplierForLocation(pickup),
+    pooled,
+    stops
+  });
+
+  const now = new Date();
+  const quote = {
+    id: uuidv4(),
+    riderId,
+    pickup,
+    stops,
+    destination,
+    vehicleType,
+    pooled,
+    fare,
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + fareConfig.quotes.ttlSeconds * 1000),
+    rideId: null,
+    redeemedAt: null
+  };
+
+  quoteRepository.save(quote);
+  return quote;
+}
+
+/**
+ * Whether two locations are within the quote tolerance
+ */
+function isSameLocation(a, b) {
+  const distance = calculateDistance(a.lat, a.lng, b.lat, b.lng);
+  return distance <= fareConfig.quotes.locationToleranceMeters;
+}
+
+/**
+ * Whether two lists of stops visit the same places in the same order
+ */
+function isSameRoute(a = [], b = []) {
+  return a.length === b.length && a.every((stop, i) => isSameLocation(stop, b[i]));
+}
+
+/**
+ * Validate a quote for a ride request and mark it used
+ * @param {string} quoteId - Quote to redeem
+ * @param {object} request - { riderId, rideId, pickup, destination, stops, vehicleType, pooled }
+ * @returns {object} The redeemed quote
+ * @throws {AppError} 404 unknown, 403 other rider, 409 already used, 410 expired, 422 different trip
+ */
+function redeemQuote(quoteId, { riderId, rideId, pickup, destination, stops = [], vehicleType, pooled = false }) {
+  const quote = quoteRepository.get(quoteId);
+
+  if (!quote) {
+    throw new NotFoundError(`No quote found with ID: ${quoteId}`, 'Quote not found');
+  }
+
+  if (quote.riderId !== riderId) {
+    throw new ForbiddenError('This quote belongs to another rider');
+  }
+
+  if (quote.rideId) {
+    throw new AppError(`Quote was already used for ride ${quote.rideId}`, 409, 'Quote already used');
+  }
+
+  if (quote.expiresAt.getTime() <= Date.now()) {
+    throw new AppError('Quote has expired, request a new one', 410, 'Quote expired', {
+      expiresAt: quote.expiresAt
+    });
+  }
+
+  if (!isSameLocation(quote.pickup, pickup) || !isSameLocation(quote.destination, destination)) {
+    throw new AppError('Pickup and destination must match the quote', 422, 'Quote does not match trip');
+  }
+
+  if (!isSameRoute(quote.stops, stops)) {
+    throw new AppError('Stops must match the quote', 422, 'Quote does not match trip');
+  }
+
+  if (vehicleType && vehicleType !== quote.vehicleType) {
+    throw new AppError(`Quote was issued for ${quote.vehicleType}, not ${vehicleType}`, 422, 'Quote does not match trip');
+  }
+
+  if (Boolean(quote.pooled) !== pooled) {
+    throw new AppError(`Quote was issued for a ${quote.pooled ? 'pooled' : 'private'} ride`, 422, 'Quote does not match trip');
+  }
+
+  quote.rideId = rideId;
+  quote.redeemedAt = new Date();
+  quoteRepository.save(quote);
+
+  return quote;
+}
+
+/**
+ * Remove quotes that expired without being used
+ */
+function cleanupExpiredQuotes() {
+  const now = Date.now();
+  const expired = quoteRepository.filter(q => !q.rideId && q.expiresAt.getTime() <= now);
+
+  expired.forEach(q => quoteRepository.delete(q.id));
+
+  if (expired.length > 0) {
+    console.log(`🧹 Cleaned up ${expired.length} expired quotes`);
+  }
+}
+
+module.exports = {
+  createQuote,
+  redeemQuote,
+  cleanupExpiredQuotes
+};
@@ -0,0 +1,138 @@
+/**
+ * Rating Service
+ * Two-way ratings after a completed ride: riders rate their driver and
+ * drivers rate their rider. Each side's rating is a rolling average of the
+ * last ratings they received, and a driver's rating feeds driver scoring.
+ */
+
+const dispatchConfig = require('../config/dispatchConfig');
+const Ride = require('../models/Ride');
+const driverPool = require('./driverPool');
+const { RideStatus } = require('../models/rideStateMachine');
+const { rideRepository } = require('../repositories');
+const { AppError, ValidationError } = require('../utils/errors');
+
+// Who a rating is for, by who gave it
+const RATED = {
+  [Ride.Actor.RIDER]: 'driver',
+  [Ride.Actor.DRIVER]: 'rider'
+};
+
+// Key of the rating in ride.ratings, by who was rated
+const RATING_KEY = {
+  driver: 'ofDriver',
+  rider: 'ofRider'
+};
+
+class RatingService {
+  /**
+   * @param {object} config - Rating settings (see dispatchConfig.ratings)
+   */
+  constructor(config = dispatchConfig.ratings) {
+    this.config = config;
+  }
+
+  /**
+   * Check a rating request
+   * @param {object} body - { rating (1-5 stars), tags, comment }
+   * @param {string} rated - 'driver' or 'rider' (decides which tags are allowed)
+   * @returns {object} { stars, tags, comment }
+   * @throws {ValidationError} if the rating, tags or comment are invalid
+   */
+  parseRating({ rating, tags = [], comment = null }, rated) {
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      throw new ValidationError('rating must be a whole number of stars from 1 to 5');
+    }
+
+    const allowedTags = this.config.tags[rated];
+    if (!Array.isArray(tags) || tags.some(tag => !allowedTags.includes(tag))) {
+      throw new ValidationError(`tags must be a list of: ${allowedTags.join(', ')}`);
+    }
+
+    if (comment !== null && typeof comment !== 'string') {
+      throw new ValidationError('comment must be text');
+    }
+
+    if (comment && comment.length > this.config.maxCommentLength) {
+      throw new ValidationError(`comment can be at most ${this.config.maxCommentLength} characters`);
+    }
+
+    return {
+      stars: rating,
+      tags: [...new Set(tags)],
+      comment: comment ? comment.trim() || null : null
+    };
+  }
+
+  /**
+   * Rate the other side of a completed ride
+   * A rider's rating updates their driver's rolling rating right away.
+   * @param {Ride} ride - Completed ride
+   * @param {string} rater - Ride.Actor.RIDER or Ride.Actor.DRIVER
+   * @param {object} body - { rating, tags, comment } (see parseRating)
+   * @returns {object} The rating stored on the ride
+   * @throws {ValidationError|AppError} 409 if the ride isn't completed or was already rated
+   */
+  rateRide(ride, rater, body) {
+    const rated = RATED[rater];
+    const rating = this.parseRating(body, rated);
+
+    if (ride.status !== RideStatus.COMPLETED) {
+      throw new AppError(`Only completed rides can be rated (ride is ${ride.status})`, 409, 'Ride not completed');
+    }
+
+    const key = RATING_KEY[rated];
+    ride.ratings = ride.ratings || { ofDriver: null, ofRider: null };
+
+    if (ride.ratings[key]) {
+      throw new AppError(`This ride's ${rated} has already been rated`, 409, 'Already rated');
+    }
+
+    ride.ratings[key] = { ...rating, at: new Date() };
+    rideRepository.save(ride);
+
+    if (rated === 'driver') {
+      const { rating: average } = this.getDriverRating(ride.driver.id);
+      driverPool.updateRating(ride.driver.id, average);
+    }
+
+    return ride.ratings[key];
+  }
+
+  /**
+   * Average of the latest ratings (1-5 stars), newest `window` only
+   * @returns {object} { rating (2 decimals, null if never rated), count }
+   */
+  rollingAverage(ratings) {
+    const recent = ratings
+      .sort((a, b) => a.at - b.at)
+      .slice(-this.config.window);
+
+    if (recent.length === 0) {
+      return { rating: null, count: 0 };
+    }
+
+    const average = recent.reduce((sum, rating) => sum + rating.stars, 0) / recent.length;
+    return { rating: Math.round(average * 100) / 100, count: recent.length };
+  }
+
+  /**
+   * A driver's rolling rating from what their riders gave them
+   */
+  getDriverRating(driverId) {
+    return this.rollingAverage(rideRepository
+      .filter(ride => ride.driver && ride.driver.id === driverId && ride.ratings && ride.ratings.ofDriver)
+      .map(ride => ride.ratings.ofDriver));
+  }
+
+  /**
+   * A rider's rolling rating from what their drivers gave them
+   */
+  getRiderRating(riderId) {
+    return this.rollingAverage(rideRepository
+      .filter(ride => ride.riderId === riderId && ride.ratings && ride.ratings.ofRider)
+      .map(ride => ride.ratings.ofRider));
+  }
+}
+
+module.exports = new RatingService();
@@ -0,0 +1,202 @@
+/**
+ * Receipt Service
+ * Trip receipts for completed rides: the itemized fare with tip, the
+ * distance and time actually driven, pickup and drop-off times and the
+ * route taken, as JSON or rendered for printing (HTML or plain text)
+ */
+
+const { RideStatus } = require('../models/rideStateMachine');
+const { roundCurrency } = require('./fareEngine');
+const { calculateRouteDistance } = require('../utils/geoUtils');
+
+/**
+ * Itemized fare lines, skipping surge, minimum fare and pool lines that don't apply
+ */
+function buildLineItems(fare, tip) {
+  const km = (fare.distanceMeters / 1000).toFixed(1);
+  const minutes = Math.round(fare.durationSeconds / 60);
+
+  const items = [
+    { code: 'baseFare', label: 'Base fare', amount: fare.baseFare },
+    { code: 'distanceFare', label: `Distance (${km} km)`, amount: fare.distanceFare },
+    { code: 'timeFare', label: `Time (${minutes} min)`, amount: fare.timeFare },
+    { code: 'surgeAmount', label: `Surge (x${fare.surgeMultiplier})`, amount: fare.surgeAmount },
+    { code: 'minimumFareAdjustment', label: 'Minimum fare adjustment', amount: fare.minimumFareAdjustment },
+    { code: 'poolDiscount', label: 'Pool discount', amount: -(fare.poolDiscount || 0) },
+    { code: 'bookingFee', label: 'Booking fee', amount: fare.bookingFee },
+    { code: 'tip', label: 'Tip', amount: tip }
+  ];
+
+  return items.filter(item => item.amount !== 0 || ['baseFare', 'bookingFee'].includes(item.code));
+}
+
+/**
+ * Build the receipt for a completed ride
+ * Fare lines are the fare the rider was charged (locked at request or
+ * destination change); distance and duration are what was actually driven.
+ * @returns {object} Receipt (see README)
+ */
+function buildReceipt(ride) {
+  const pickedUp = ride.history.find(entry => entry.status === RideStatus.IN_PROGRESS);
+  const droppedOff = ride.getEnteredAt(RideStatus.COMPLETED);
+  const tip = ride.tip || 0;
+  const route = (ride.routeTaken || []).map(({ lat, lng, at }) => ({ lat, lng, at }));
+
+  return {
+    rideId: ride.id,
+    issuedAt: new Date(),
+    vehicleType: ride.vehicleType,
+    pooled: Boolean(ride.pooled),
+    driver: ride.driver ? {
+      name: ride.driver.name,
+      vehicleModel: ride.driver.vehicleModel,
+      licensePlate: ride.driver.licensePlate
+    } : null,
+    pickup: { ...ride.pickup, at: pickedUp ? pickedUp.at : null },
+    stops: ride.stops.map(({ lat, lng, address, arrivedAt, completedAt }) => ({ lat, lng, address, arrivedAt, completedAt })),
+    dropoff: { ...ride.destination, at: droppedOff },
+    trip: {
+      // null when too little of the route was recorded (e.g. across a restart)
+      distanceMeters: route.length >= 2 ? Math.round(calculateRouteDistance(route)) : null,
+      durationSeconds: pickedUp && droppedOff ? Math.round((droppedOff - pickedUp.at) / 1000) : null,
+      quotedDistanceMeters: ride.fare.distanceMeters,
+      quotedDurationSeconds: ride.fare.durationSeconds
+    },
+    fare: {
+      currency: ride.fare.currency,
+      lineItems: buildLineItems(ride.fare, tip),
+      fareTotal: ride.fare.total,
+      tip,
+      total: roundCurrency(ride.fare.total + tip)
+    },
+    route
+  };
+}
+
+/**
+ * Check that a ride has a receipt yet
+ */
+function hasReceipt(ride) {
+  return ride.status === RideStatus.COMPLETED && Boolean(ride.fare);
+}
+
+const formatMoney = (amount, currency) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+
+const formatTime = date => (date ? `${new Date(date).toISOString().slice(0, 16).replace('T', ' ')} UTC` : '-');
+
+const formatPlace = place => place.address || `${place.lat.toFixed(5)}, ${place.lng.toFixed(5)}`;
+
+const formatDistance = meters => (meters === null ? '-' : `${(meters / 1000).toFixed(1)} km`);
+
+const formatDuration = seconds => (seconds === null ? '-' : `${Math.round(seconds / 60)} min`);
+
+const escapeHtml = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Plain-text receipt (e.g. for email or a terminal printer)
+ */
+function renderText(receipt) {
+  const { fare } = receipt;
+  const line = (label, value) => `${label.padEnd(30)}${value.padStart(12)}`;
+  const rule = '-'.repeat(42);
+
+  return [
+    'Model S - Trip receipt',
+    `Ride ${receipt.rideId}`,
+    receipt.driver ? `Driver: ${receipt.driver.name}, ${receipt.driver.vehicleModel} (${receipt.driver.licensePlate})` : null,
+    rule,
+    `Pickup:   ${formatTime(receipt.pickup.at)}  ${formatPlace(receipt.pickup)}`,
+    ...receipt.stops.map((stop, i) => `Stop ${i + 1}:   ${formatTime(stop.arrivedAt)}  ${formatPlace(stop)}`),
+    `Drop-off: ${formatTime(receipt.dropoff.at)}  ${formatPlace(receipt.dropoff)}`,
+    `Distance: ${formatDistance(receipt.trip.distanceMeters)}   Duration: ${formatDuration(receipt.trip.durationSeconds)}`,
+    rule,
+    ...fare.lineItems.map(item => line(item.label, formatMoney(item.amount, fare.currency))),
+    rule,
+    line('Total', formatMoney(fare.total, fare.currency)),
+    ''
+  ].filter(text => text !== null).join('\n');
+}
+
+/**
+ * SVG outline of the route taken (north up), or '' with fewer than two points
+ */
+function renderRouteSvg(route, size = 240) {
+  if (route.length < 2) {
+    return '';
+  }
+
+  const lats = route.map(p => p.lat);
+  const lngs = route.map(p => p.lng);
+  const [minLat, maxLat, minLng, maxLng] = [Math.min(...lats), Math.max(...lats), Math.min(...lngs), Math.max(...lngs)];
+  const span = Math.max(maxLat - minLat, maxLng - minLng) || 1;
+  const pad = 10;
+  const scale = (size - 2 * pad) / span;
+
+  const points = route
+    .map(p => `${(pad + (p.lng - minLng) * scale).toFixed(1)},${(size - pad - (p.lat - minLat) * scale).toFixed(1)}`)
+    .join(' ');
+  const [start, end] = [points.split(' ')[0], points.split(' ').pop()].map(p => p.split(','));
+
+  return `<svg width="${size}" height="${size}" viewBox="0 0 ${size} ${size}" role="img" aria-label="Route taken">
+      <polyline points="${points}" fill="none" stroke="#222" stroke-width="3" />
+      <circle cx="${start[0]}" cy="${start[1]}" r="5" fill="#1a7f37" />
+      <circle cx="${end[0]}" cy="${end[1]}" r="5" fill="#cf222e" />
+    </svg>`;
+}
+
+/**
+ * Printable HTML receipt
+ */
+function renderHtml(receipt) {
+  const { fare } = receipt;
+  const row = (label, value, cls = '') =>
+    `<tr class="${cls}"><td>${escapeHtml(label)}</td><td class="amount">${escapeHtml(value)}</td></tr>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Trip receipt ${escapeHtml(receipt.rideId)}</title>
+  <style>
+    body { font-family: -apple-system, Helvetica, Arial, sans-serif; max-width: 480px; margin: 2em auto; color: #222; }
+    h1 { font-size: 1.4em; margin-bottom: 0; }
+    .muted { color: #666; font-size: 0.9em; }
+    table { width: 100%; border-collapse: collapse; margin: 1em 0; }
+    td { padding: 4px 0; }
+    .amount { text-align: right; }
+    .total td { border-top: 1px solid #222; font-weight: bold; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>Trip receipt</h1>
+  <p class="muted">Ride ${escapeHtml(receipt.rideId)}</p>
+  ${receipt.driver ? `<p>${escapeHtml(receipt.driver.name)}, ${escapeHtml(receipt.driver.vehicleModel)} (${escapeHtml(receipt.driver.licensePlate)})</p>` : ''}
+  <table>
+    ${row(`Pickup: ${formatPlace(receipt.pickup)}`, formatTime(receipt.pickup.at))}
+    ${receipt.stops.map((stop, i) => row(`Stop ${i + 1}: ${formatPlace(stop)}`, formatTime(stop.arrivedAt))).join('\n    ')}
+    ${row(`Drop-off: ${formatPlace(receipt.dropoff)}`, formatTime(receipt.dropoff.at))}
+    ${row('Distance', formatDistance(receipt.trip.distanceMeters))}
+    ${row('Duration', formatDuration(receipt.trip.durationSeconds))}
+  </table>
+  <table>
+    ${fare.lineItems.map(item => row(item.label, formatMoney(item.amount, fare.currency))).join('\n    ')}
+    ${row('Total', formatMoney(fare.total, fare.currency), 'total')}
+  </table>
+  ${renderRouteSvg(receipt.route)}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  buildReceipt,
+  hasReceipt,
+  renderText,
+  renderHtml
+};
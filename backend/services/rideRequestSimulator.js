@@ -5,6 +5,8 @@
  */
 
 const geoConfig = require('../config/geoConfig');
+const fareEngine = require('./fareEngine');
+const surgePricing = require('./surgePricing');
 
 // Active simulators for each driver
 const activeSimulators = new Map(); // driverId -> interval
@@ -65,10 +67,10 @@ function generateRideRequest(driverId, onRideRequest) {
   const distance = calculateDistance(pickup.lat, pickup.lng, destination.lat, destination.lng);
 
   // Calculate estimated earnings
-  const distanceKm = distance / 1000;
-  const baseFare = 2.0;
-  const perKm = 1.5;
-  const estimatedEarnings = parseFloat((baseFare + distanceKm * perKm).toFixed(2));
+  const estimatedEarnings = fareEngine.calculateFare({
+    distanceMeters: distance,
+    surgeMultiplier: surgePricing.getMultiplierForLocation(pickup)
+  }).total;
 
   const rideRequest = {
     pickup,
@@ -0,0 +1,144 @@
+/**
+ * Ride Scheduler Service
+ * Holds scheduled rides until it's time to look for a driver, then hands
+ * them to the due handler (which starts dispatch)
+ */
+
+const dispatchConfig = require('../config/dispatchConfig');
+const driverMatcher = require('./driverMatcher');
+const { RideStatus } = require('../models/rideStateMachine');
+const { ValidationError } = require('../utils/errors');
+const { systemClock } = require('../utils/clock');
+const { rideRepository } = require('../repositories');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+class RideScheduler {
+  /**
+   * @param {object} options - { config, clock } (clock: { now, setInterval, clearInterval })
+   */
+  constructor({ config = dispatchConfig.scheduling, clock = systemClock } = {}) {
+    this.config = config;
+    this.clock = clock;
+    this.interval = null;
+
+    // Called with a scheduled ride once it should start searching
+    this.onDue = () => {};
+  }
+
+  /**
+   * Set what happens when a scheduled ride is due for dispatch
+   * @param {function} handler - Called with the ride
+   */
+  setDueHandler(handler) {
+    this.onDue = handler;
+  }
+
+  /**
+   * Start checking for due rides periodically
+   */
+  start() {
+    if (this.interval) {
+      return;
+    }
+
+    this.checkDueRides();
+    this.interval = this.clock.setInterval(() => this.checkDueRides(), this.config.checkIntervalMs);
+
+    // Don't keep the process alive just for the scheduler
+    if (this.interval && this.interval.unref) {
+      this.interval.unref();
+    }
+
+    console.log(`🗓️  Ride scheduler started (every ${this.config.checkIntervalMs / 1000}s)`);
+  }
+
+  /**
+   * Stop checking for due rides
+   */
+  stop() {
+    if (this.interval) {
+      this.clock.clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Parse and check a requested pickup time
+   * @param {string} pickupTime - ISO 8601 date
+   * @returns {Date}
+   * @throws {ValidationError} if it isn't a date or is too soon or too far ahead
+   */
+  parsePickupTime(pickupTime) {
+    const date = new Date(pickupTime);
+
+    if (!pickupTime || isNaN(date)) {
+      throw new ValidationError('pickupTime must be an ISO 8601 date');
+    }
+
+    const leadMs = date.getTime() - this.clock.now();
+
+    if (leadMs < this.config.minLeadMinutes * MINUTE_MS) {
+      throw new ValidationError(
+        `pickupTime must be at least ${this.config.minLeadMinutes} minutes from now (request an immediate ride instead)`
+      );
+    }
+
+    if (leadMs > this.config.maxAdvanceDays * DAY_MS) {
+      throw new ValidationError(`pickupTime must be within ${this.config.maxAdvanceDays} days`);
+    }
+
+    return date;
+  }
+
+  /**
+   * When dispatch should start so a driver reaches the pickup on time
+   * Uses the current pickup ETA of the nearest driver, or the max pickup ETA
+   * if no driver is around right now.
+   * @returns {number} Timestamp (ms)
+   */
+  getDispatchTime(ride) {
+    const pickupEta = driverMatcher.estimatePickupEta(ride.pickup, ride.vehicleType);
+    const leadSeconds = (pickupEta === null ? dispatchConfig.maxPickupEtaSeconds : pickupEta) +
+      this.config.dispatchBufferSeconds;
+
+    return ride.pickupTime.getTime() - leadSeconds * 1000;
+  }
+
+  /**
+   * Hand every scheduled ride whose dispatch time has come to the due handler
+   * @returns {number} Number of rides released
+   */
+  checkDueRides() {
+    const now = this.clock.now();
+
+    // Rides further out than the longest possible lead can't be due yet
+    const horizon = now + (dispatchConfig.maxPickupEtaSeconds + this.config.dispatchBufferSeconds) * 1000;
+
+    const due = rideRepository.filter(ride =>
+      ride.status === RideStatus.SCHEDULED &&
+      ride.pickupTime.getTime() <= horizon &&
+      this.getDispatchTime(ride) <= now
+    );
+
+    due.forEach(ride => {
+      const minutesEarly = Math.round((ride.pickupTime.getTime() - now) / MINUTE_MS);
+      console.log(`⏰ Scheduled ride ${ride.id} is due, dispatching ${minutesEarly} min before pickup`);
+      this.onDue(ride);
+    });
+
+    return due.length;
+  }
+
+  /**
+   * A rider's upcoming scheduled rides, soonest first
+   */
+  getScheduledRides(riderId) {
+    return rideRepository
+      .filter(ride => ride.riderId === riderId && ride.status === RideStatus.SCHEDULED)
+      .sort((a, b) => a.pickupTime - b.pickupTime);
+  }
+}
+
+module.exports = new RideScheduler();
@@ -0,0 +1,158 @@
+/**
+ * Surge Pricing Service
+ * Computes a smoothed, capped fare multiplier per driver zone from
+ * open ride requests (demand) versus free drivers (supply)
+ */
+
+const geoConfig = require('../config/geoConfig');
+const fareConfig = require('../config/fareConfig');
+const driverPool = require('./driverPool');
+const { rideRepository } = require('../repositories');
+const { RideStatus } = require('../models/rideStateMachine');
+
+class SurgePricing {
+  constructor(config = fareConfig.surge) {
+    this.config = config;
+
+    // Map of zone name -> { demand, supply, ratio, rawMultiplier, smoothedMultiplier }
+    this.zoneStates = new Map();
+    this.updatedAt = null;
+    this.interval = null;
+  }
+
+  /**
+   * Start recomputing multipliers periodically
+   */
+  start() {
+    if (this.interval) {
+      return;
+    }
+
+    this.update();
+    this.interval = setInterval(() => this.update(), this.config.updateIntervalMs);
+
+    // Don't keep the process alive just for surge updates
+    if (this.interval.unref) {
+      this.interval.unref();
+    }
+
+    console.log(`📈 Surge pricing started (every ${this.config.updateIntervalMs / 1000}s)`);
+  }
+
+  /**
+   * Stop periodic updates
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Multiplier for a demand/supply reading before smoothing
+   */
+  calculateRawMultiplier(demand, supply) {
+    if (demand === 0) {
+      return 1;
+    }
+
+    const ratio = demand / Math.max(supply, 1);
+    const excess = Math.max(0, ratio - this.config.demandThreshold);
+    return Math.min(1 + excess * this.config.sensitivity, this.config.maxMultiplier);
+  }
+
+  /**
+   * Recompute every zone's multiplier
+   * @param {array} openRequests - Rides waiting for a driver (defaults to searching rides)
+   * @param {array} availableDrivers - Free drivers (defaults to the driver pool)
+   */
+  update(
+    openRequests = rideRepository.filter(ride => ride.status === RideStatus.SEARCHING),
+    availableDrivers = driverPool.getAvailableDrivers()
+  ) {
+    const demand = this.countByZone(openRequests.map(ride => ride.pickup));
+    const supply = this.countByZone(availableDrivers.map(driver => driver.location));
+
+    for (const zone of geoConfig.getDriverZones()) {
+      const zoneDemand = demand.get(zone.name) || 0;
+      const zoneSupply = supply.get(zone.name) || 0;
+      const rawMultiplier = this.calculateRawMultiplier(zoneDemand, zoneSupply);
+
+      // Exponential smoothing so prices don't jump around between updates
+      const previous = this.zoneStates.get(zone.name);
+      const previousMultiplier = previous ? previous.smoothedMultiplier : 1;
+      const smoothedMultiplier = previousMultiplier + this.config.smoothing * (rawMultiplier - previousMultiplier);
+
+      this.zoneStates.set(zone.name, {
+        demand: zoneDemand,
+        supply: zoneSupply,
+        ratio: zoneDemand / Math.max(zoneSupply, 1),
+        rawMultiplier,
+        smoothedMultiplier
+      });
+    }
+
+    this.updatedAt = new Date();
+  }
+
+  /**
+   * Count locations per zone name (locations outside every zone are ignored)
+   */
+  countByZone(locations) {
+    const counts = new Map();
+
+    for (const location of locations) {
+      const zone = geoConfig.getZoneForLocation(location);
+      if (zone) {
+        counts.set(zone.name, (counts.get(zone.name) || 0) + 1);
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * Rounded multiplier for a zone
+   */
+  getZoneMultiplier(zoneName) {
+    const state = this.zoneStates.get(zoneName);
+    return state ? Math.round(state.smoothedMultiplier * 10) / 10 : 1;
+  }
+
+  /**
+   * Surge multiplier that applies to a pickup location (1 outside all zones)
+   * @param {object} location - {lat, lng}
+   */
+  getMultiplierForLocation(location) {
+    const zone = geoConfig.getZoneForLocation(location);
+    return zone ? this.getZoneMultiplier(zone.name) : 1;
+  }
+
+  /**
+   * Current surge state of every zone
+   */
+  getSnapshot() {
+    return {
+      updatedAt: this.updatedAt,
+      zones: geoConfig.getDriverZones().map(zone => {
+        const state = this.zoneStates.get(zone.name) || { demand: 0, supply: 0, ratio: 0 };
+        return {
+          name: zone.name,
+          center: zone.center,
+          radius: zone.radius,
+          demand: state.demand,
+          supply: state.supply,
+          ratio: Math.round(state.ratio * 100) / 100,
+          multiplier: this.getZoneMultiplier(zone.name),
+          surging: this.getZoneMultiplier(zone.name) > 1
+        };
+      })
+    };
+  }
+}
+
+// Singleton instance
+const surgePricing = new SurgePricing();
+
+module.exports = surgePricing;
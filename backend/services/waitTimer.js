@@ -0,0 +1,84 @@
+/**
+ * Wait Timer
+ * Counts down the driver's wait at pickup: starts when a ride enters
+ * arriving and ticks until the rider is picked up or the ride ends. Once
+ * the grace period is over the driver may report a no-show.
+ */
+
+const fareConfig = require('../config/fareConfig');
+const { RideStatus } = require('../models/rideStateMachine');
+
+class WaitTimer {
+  /**
+   * @param {object} config - No-show settings (see fareConfig.noShow)
+   */
+  constructor(config = fareConfig.noShow) {
+    this.config = config;
+
+    // Map of rideId -> countdown interval
+    this.timers = new Map();
+  }
+
+  /**
+   * Where the wait at pickup stands
+   * @param {string} rideId - Ride the driver is waiting for
+   * @param {Date} arrivedAt - When the driver reached the pickup
+   * @returns {object} { rideId, arrivedAt, waitedSeconds, gracePeriodSeconds, secondsRemaining, noShowAt }
+   */
+  getCountdown(rideId, arrivedAt, now = Date.now()) {
+    const { gracePeriodSeconds } = this.config;
+    const waitedSeconds = Math.max(0, Math.floor((now - arrivedAt.getTime()) / 1000));
+
+    return {
+      rideId,
+      arrivedAt,
+      waitedSeconds,
+      gracePeriodSeconds,
+      secondsRemaining: Math.max(0, gracePeriodSeconds - waitedSeconds),
+      noShowAt: new Date(arrivedAt.getTime() + gracePeriodSeconds * 1000)
+    };
+  }
+
+  /**
+   * Countdown for a ride whose driver is waiting at pickup
+   * @returns {object|null} See getCountdown, or null if the ride isn't arriving
+   */
+  getRideCountdown(ride, now = Date.now()) {
+    if (ride.status !== RideStatus.ARRIVING) {
+      return null;
+    }
+    return this.getCountdown(ride.id, ride.getEnteredAt(RideStatus.ARRIVING), now);
+  }
+
+  /**
+   * Send a ride's countdown now and every countdownIntervalMs
+   * Stops by itself once the ride leaves arriving.
+   * @param {function} onTick - Called with the countdown (see getCountdown)
+   */
+  start(ride, onTick) {
+    this.stop(ride.id);
+
+    const tick = () => {
+      const countdown = this.getRideCountdown(ride);
+      if (!countdown) {
+        this.stop(ride.id);
+        return;
+      }
+      onTick(countdown);
+    };
+
+    this.timers.set(ride.id, setInterval(tick, this.config.countdownIntervalMs));
+    console.log(`⏳ Driver waiting at pickup for ride ${ride.id} (${this.config.gracePeriodSeconds}s grace period)`);
+    tick();
+  }
+
+  /**
+   * Stop a ride's countdown
+   */
+  stop(rideId) {
+    clearInterval(this.timers.get(rideId));
+    this.timers.delete(rideId);
+  }
+}
+
+module.exports = new WaitTimer();
@@ -0,0 +1,109 @@
+/**
+ * JSON File Adapter
+ * Keeps records in memory and mirrors them to a JSON file on disk,
+ * so rides, sessions and drivers survive a server restart
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class JsonFileAdapter {
+  /**
+   * @param {string} filePath - Path of the JSON file
+   * @param {object} options - { flushDelayMs } delay used to batch writes
+   */
+  constructor(filePath, { flushDelayMs = 250 } = {}) {
+    this.filePath = filePath;
+    this.flushDelayMs = flushDelayMs;
+    this.flushTimer = null;
+    this.data = this.readFile(); // collection -> { id: record }
+  }
+
+  /**
+   * Read the file from disk (empty store if missing or unreadable)
+   */
+  readFile() {
+    if (!fs.existsSync(this.filePath)) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      console.error(`⚠️  Could not read storage file ${this.filePath}, starting empty:`, error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Load all records of a collection
+   * @param {string} collection - Collection name
+   * @returns {array} Array of [id, record] pairs
+   */
+  load(collection) {
+    return Object.entries(this.data[collection] || {});
+  }
+
+  /**
+   * Write a single record
+   */
+  write(collection, id, record) {
+    if (!this.data[collection]) {
+      this.data[collection] = {};
+    }
+    // Store a detached copy so later mutations don't leak in before a save
+    this.data[collection][id] = JSON.parse(JSON.stringify(record));
+    this.scheduleFlush();
+  }
+
+  /**
+   * Remove a single record
+   */
+  remove(collection, id) {
+    if (this.data[collection]) {
+      delete this.data[collection][id];
+      this.scheduleFlush();
+    }
+  }
+
+  /**
+   * Remove every record of a collection
+   */
+  clear(collection) {
+    delete this.data[collection];
+    this.scheduleFlush();
+  }
+
+  /**
+   * Batch writes that happen close together into a single file write
+   */
+  scheduleFlush() {
+    if (this.flushTimer) {
+      return;
+    }
+
+    this.flushTimer = setTimeout(() => this.flush(), this.flushDelayMs);
+
+    // Don't keep the process alive just to write the file
+    if (this.flushTimer.unref) {
+      this.flushTimer.unref();
+    }
+  }
+
+  /**
+   * Write the store to disk (via a temp file so a crash can't truncate it)
+   */
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    const tempPath = `${this.filePath}.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(this.data));
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+module.exports = JsonFileAdapter;
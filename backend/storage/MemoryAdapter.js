@@ -0,0 +1,57 @@
+/**
+ * Memory Adapter
+ * Keeps records in process memory (nothing survives a restart)
+ */
+
+class MemoryAdapter {
+  constructor() {
+    this.collections = new Map(); // collection -> Map(id -> record)
+  }
+
+  /**
+   * Get the records map for a collection, creating it if needed
+   */
+  getCollection(collection) {
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, new Map());
+    }
+    return this.collections.get(collection);
+  }
+
+  /**
+   * Load all records of a collection
+   * @param {string} collection - Collection name
+   * @returns {array} Array of [id, record] pairs
+   */
+  load(collection) {
+    return Array.from(this.getCollection(collection).entries());
+  }
+
+  /**
+   * Write a single record
+   */
+  write(collection, id, record) {
+    this.getCollection(collection).set(id, record);
+  }
+
+  /**
+   * Remove a single record
+   */
+  remove(collection, id) {
+    this.getCollection(collection).delete(id);
+  }
+
+  /**
+   * Remove every record of a collection
+   */
+  clear(collection) {
+    this.collections.delete(collection);
+  }
+
+  /**
+   * Nothing to flush for in-memory storage
+   */
+  flush() {}
+}
+
+module.exports = MemoryAdapter;
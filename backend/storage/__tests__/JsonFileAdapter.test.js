@@ -0,0 +1,97 @@
+/**
+ * Unit tests for JsonFileAdapter
+ * Tests that records written through a repository survive a restart
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonFileAdapter = require('../JsonFileAdapter');
+const Repository = require('../../repositories/Repository');
+const Driver = require('../../models/Driver');
+const Ride = require('../../models/Ride');
+
+describe('JsonFileAdapter', () => {
+  let tempDir;
+  let filePath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'model-s-storage-'));
+    filePath = path.join(tempDir, 'store.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('starts empty when the file does not exist', () => {
+    const adapter = new JsonFileAdapter(filePath);
+
+    expect(adapter.load('rides')).toEqual([]);
+  });
+
+  test('writes records to disk on flush', () => {
+    const adapter = new JsonFileAdapter(filePath);
+    adapter.write('sessions', 'driver_1', { driverId: 'driver_1', completedRides: 2 });
+    adapter.flush();
+
+    const reloaded = new JsonFileAdapter(filePath);
+    expect(reloaded.load('sessions')).toEqual([
+      ['driver_1', { driverId: 'driver_1', completedRides: 2 }]
+    ]);
+  });
+
+  test('removes records', () => {
+    const adapter = new JsonFileAdapter(filePath);
+    adapter.write('sessions', 'driver_1', { driverId: 'driver_1' });
+    adapter.remove('sessions', 'driver_1');
+    adapter.flush();
+
+    expect(new JsonFileAdapter(filePath).load('sessions')).toEqual([]);
+  });
+
+  test('starts empty when the file is corrupt', () => {
+    fs.writeFileSync(filePath, '{ not json');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const adapter = new JsonFileAdapter(filePath);
+
+    expect(adapter.load('rides')).toEqual([]);
+    console.error.mockRestore();
+  });
+
+  test('rides and their driver survive a restart', () => {
+    const adapter = new JsonFileAdapter(filePath);
+    const drivers = new Repository(adapter, 'drivers', {
+      serialize: d => d.toRecord(),
+      deserialize: r => Driver.fromRecord(r)
+    });
+    const rides = new Repository(adapter, 'rides', {
+      serialize: r => r.toRecord(),
+      deserialize: r => Ride.fromRecord(r, id => drivers.get(id))
+    });
+
+    const driver = drivers.save(new Driver('driver_1', 'John Doe', 37.78, -122.41));
+    const ride = new Ride('ride123', { lat: 37.77, lng: -122.42 }, { lat: 37.80, lng: -122.40 });
+    ride.assignDriver(driver, 120);
+    rides.save(ride);
+    adapter.flush();
+
+    // Simulate a restart with a fresh adapter reading the same file
+    const restarted = new JsonFileAdapter(filePath);
+    const restoredDrivers = new Repository(restarted, 'drivers', {
+      deserialize: r => Driver.fromRecord(r)
+    });
+    const restoredRides = new Repository(restarted, 'rides', {
+      deserialize: r => Ride.fromRecord(r, id => restoredDrivers.get(id))
+    });
+
+    const restoredRide = restoredRides.get('ride123');
+    expect(restoredRide).toBeInstanceOf(Ride);
+    expect(restoredRide.status).toBe('assigned');
+    expect(restoredRide.createdAt).toBeInstanceOf(Date);
+    expect(restoredRide.driver).toBe(restoredDrivers.get('driver_1'));
+    expect(restoredRide.driver.licensePlate).toBe(driver.licensePlate);
+    expect(restoredRide.toJSON().driver.name).toBe('John Doe');
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Storage
+ * Selects the persistence adapter shared by all repositories
+ *
+ * STORAGE_ADAPTER=json   - JSON file on disk (default)
+ * STORAGE_ADAPTER=memory - in-memory only (default under tests)
+ */
+
+const path = require('path');
+const MemoryAdapter = require('./MemoryAdapter');
+const JsonFileAdapter = require('./JsonFileAdapter');
+
+const defaultAdapter = process.env.NODE_ENV === 'test' ? 'memory' : 'json';
+const adapterName = process.env.STORAGE_ADAPTER || defaultAdapter;
+
+function createAdapter(name) {
+  switch (name) {
+    case 'memory':
+      return new MemoryAdapter();
+    case 'json': {
+      const filePath = process.env.STORAGE_PATH || path.join(__dirname, '..', 'data', 'store.json');
+      return new JsonFileAdapter(filePath);
+    }
+    default:
+      throw new Error(`Unknown storage adapter: ${name}`);
+  }
+}
+
+// Singleton instance
+const storage = createAdapter(adapterName);
+
+console.log(`💾 Using ${adapterName} storage`);
+
+module.exports = storage;
@@ -10,7 +10,8 @@ const {
   randomLocationInRadius,
   randomLocationInDonut,
   generateRoutePolyline,
-  calculateBearing
+  calculateBearing,
+  isValidLocation
 } = require('../geoUtils');
 
 describe('geoUtils', () => {
@@ -344,4 +345,25 @@ describe('geoUtils', () => {
       });
     });
   });
+
+  describe('isValidLocation', () => {
+    test('accepts numeric coordinates on the globe', () => {
+      expect(isValidLocation({ lat: 37.7749, lng: -122.4194 })).toBe(true);
+      expect(isValidLocation({ lat: 0, lng: 0 })).toBe(true);
+      expect(isValidLocation({ lat: -90, lng: 180 })).toBe(true);
+    });
+
+    test('rejects missing, string and non-finite coordinates', () => {
+      expect(isValidLocation(undefined)).toBe(false);
+      expect(isValidLocation({ lat: 37.7749 })).toBe(false);
+      expect(isValidLocation({ lat: '40.7', lng: '-74.0' })).toBe(false);
+      expect(isValidLocation({ lat: NaN, lng: -122.4194 })).toBe(false);
+      expect(isValidLocation({ lat: 37.7749, lng: Infinity })).toBe(false);
+    });
+
+    test('rejects coordinates out of range', () => {
+      expect(isValidLocation({ lat: 90.1, lng: 0 })).toBe(false);
+      expect(isValidLocation({ lat: 0, lng: -180.1 })).toBe(false);
+    });
+  });
 });
@@ -0,0 +1,66 @@
+/**
+ * Unit tests for hungarian
+ * Tests the optimal assignment solver used for batch matching
+ */
+
+const { solveAssignment } = require('../hungarian');
+
+// Total cost of an assignment (unassigned rows cost nothing)
+const totalCost = (costs, assignment) =>
+  assignment.reduce((sum, col, row) => sum + (col >= 0 ? costs[row][col] : 0), 0);
+
+describe('solveAssignment', () => {
+  test('finds the minimum-cost assignment where greedy would not', () => {
+    // Greedy takes 1 for row 0, forcing row 1 onto 100
+    const costs = [
+      [1, 2],
+      [2, 100]
+    ];
+
+    const assignment = solveAssignment(costs);
+
+    expect(assignment).toEqual([1, 0]);
+    expect(totalCost(costs, assignment)).toBe(4);
+  });
+
+  test('matches a brute-force search on a 4x4 matrix', () => {
+    const costs = [
+      [82, 83, 69, 92],
+      [77, 37, 49, 92],
+      [11, 69, 5, 86],
+      [8, 9, 98, 23]
+    ];
+
+    expect(totalCost(costs, solveAssignment(costs))).toBe(140);
+  });
+
+  test('leaves extra rows unassigned when there are fewer columns', () => {
+    const costs = [
+      [5],
+      [1],
+      [3]
+    ];
+
+    expect(solveAssignment(costs)).toEqual([-1, 0, -1]);
+  });
+
+  test('uses the cheapest columns when there are more columns than rows', () => {
+    const costs = [[7, 3, 9, 4]];
+
+    expect(solveAssignment(costs)).toEqual([1]);
+  });
+
+  test('never assigns forbidden pairs', () => {
+    const costs = [
+      [Infinity, Infinity],
+      [1, Infinity]
+    ];
+
+    expect(solveAssignment(costs)).toEqual([-1, 0]);
+  });
+
+  test('handles empty input', () => {
+    expect(solveAssignment([])).toEqual([]);
+    expect(solveAssignment([[], []])).toEqual([-1, -1]);
+  });
+});
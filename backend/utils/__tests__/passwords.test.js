@@ -0,0 +1,35 @@
+/**
+ * Unit tests for password hashing
+ * Tests salted scrypt hashes and verification
+ */
+
+const { hashPassword, verifyPassword } = require('../passwords');
+
+describe('passwords', () => {
+  test('stores a salt and a 64-byte scrypt hash', () => {
+    const [salt, hash] = hashPassword('correct horse').split(':');
+
+    expect(salt).toMatch(/^[0-9a-f]{32}$/);
+    expect(hash).toMatch(/^[0-9a-f]{128}$/);
+  });
+
+  test('salts every hash', () => {
+    expect(hashPassword('correct horse')).not.toBe(hashPassword('correct horse'));
+  });
+
+  test('verifies the right password only', () => {
+    const stored = hashPassword('correct horse');
+
+    expect(verifyPassword('correct horse', stored)).toBe(true);
+    expect(verifyPassword('Correct horse', stored)).toBe(false);
+  });
+
+  test('rejects missing passwords and malformed hashes', () => {
+    const stored = hashPassword('correct horse');
+
+    expect(verifyPassword(undefined, stored)).toBe(false);
+    expect(verifyPassword('correct horse', null)).toBe(false);
+    expect(verifyPassword('correct horse', 'not-a-hash')).toBe(false);
+    expect(verifyPassword('correct horse', `${stored.split(':')[0]}:abcd`)).toBe(false);
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Unit tests for SpatialIndex
+ * Tests grid-based nearest-neighbour and radius queries against brute force
+ */
+
+const SpatialIndex = require('../spatialIndex');
+const { calculateDistance, randomLocationInRadius } = require('../geoUtils');
+
+const center = { lat: 37.7749, lng: -122.4194 };
+
+// Brute-force reference: every point sorted by distance
+const bruteForce = (points, lat, lng) => points
+  .map(p => ({ item: p.id, distance: calculateDistance(lat, lng, p.lat, p.lng) }))
+  .sort((a, b) => a.distance - b.distance);
+
+describe('SpatialIndex', () => {
+  let index;
+  let points;
+
+  beforeEach(() => {
+    index = new SpatialIndex({ cellSizeMeters: 500 });
+    points = Array.from({ length: 300 }, (_, i) => ({
+      id: `p${i}`,
+      ...randomLocationInRadius(center.lat, center.lng, 15000)
+    }));
+    points.forEach(p => index.upsert(p.id, p.lat, p.lng));
+  });
+
+  test('kNearest matches a brute-force search', () => {
+    const expected = bruteForce(points, center.lat, center.lng).slice(0, 5);
+
+    expect(index.kNearest(center.lat, center.lng, 5)).toEqual(expected);
+  });
+
+  test('kNearest finds points far outside the starting cell', () => {
+    const remote = { lat: 38.2, lng: -121.9 };
+    const expected = bruteForce(points, remote.lat, remote.lng).slice(0, 3);
+
+    expect(index.kNearest(remote.lat, remote.lng, 3)).toEqual(expected);
+  });
+
+  test('kNearest applies the filter', () => {
+    const even = points.filter((_, i) => i % 2 === 0);
+    const expected = bruteForce(even, center.lat, center.lng).slice(0, 4);
+
+    const result = index.kNearest(center.lat, center.lng, 4, {
+      filter: id => Number(id.slice(1)) % 2 === 0
+    });
+
+    expect(result).toEqual(expected);
+  });
+
+  test('kNearest returns fewer than k when the index runs out', () => {
+    expect(index.kNearest(center.lat, center.lng, 1000)).toHaveLength(300);
+    expect(new SpatialIndex().kNearest(center.lat, center.lng, 3)).toEqual([]);
+  });
+
+  test('withinRadius returns every point inside the radius', () => {
+    const expected = bruteForce(points, center.lat, center.lng).filter(r => r.distance <= 3000);
+
+    expect(index.withinRadius(center.lat, center.lng, 3000)).toEqual(expected);
+  });
+
+  test('upsert moves points between cells', () => {
+    index.upsert('p0', center.lat, center.lng);
+
+    expect(index.kNearest(center.lat, center.lng, 1)[0]).toEqual({ item: 'p0', distance: 0 });
+    expect(index.size).toBe(300);
+  });
+
+  test('remove drops points from results', () => {
+    index.upsert('p0', center.lat, center.lng);
+    index.remove('p0');
+
+    expect(index.kNearest(center.lat, center.lng, 1)[0].item).not.toBe('p0');
+    expect(index.size).toBe(299);
+  });
+});
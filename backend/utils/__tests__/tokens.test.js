@@ -0,0 +1,67 @@
+/**
+ * Unit tests for session tokens
+ * Tests signing, verification, tampering and expiry
+ */
+
+const { signToken, verifyToken } = require('../tokens');
+const { AuthenticationError } = require('../errors');
+
+describe('tokens', () => {
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('round-trips claims through sign and verify', () => {
+    const { token, tokenId } = signToken({ sub: 'driver_1', role: 'driver' });
+
+    const payload = verifyToken(token);
+
+    expect(payload.sub).toBe('driver_1');
+    expect(payload.role).toBe('driver');
+    expect(payload.jti).toBe(tokenId);
+  });
+
+  test('issues a unique token ID per token', () => {
+    const first = signToken({ sub: 'driver_1', role: 'driver' });
+    const second = signToken({ sub: 'driver_1', role: 'driver' });
+
+    expect(first.tokenId).not.toBe(second.tokenId);
+  });
+
+  test('rejects tokens whose claims were tampered with', () => {
+    const { token } = signToken({ sub: 'driver_1', role: 'driver' });
+    const [header, , signature] = token.split('.');
+    const forgedBody = Buffer.from(JSON.stringify({
+      sub: 'driver_2',
+      role: 'driver',
+      exp: Math.floor(Date.now() / 1000) + 3600
+    })).toString('base64url');
+
+    expect(() => verifyToken(`${header}.${forgedBody}.${signature}`)).toThrow(AuthenticationError);
+  });
+
+  test('rejects malformed tokens', () => {
+    expect(() => verifyToken('not-a-token')).toThrow(/Malformed/);
+    expect(() => verifyToken(undefined)).toThrow(AuthenticationError);
+  });
+
+  test('rejects expired tokens', () => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2024-01-15T10:30:00.000Z'));
+    const { token, expiresAt } = signToken({ sub: 'rider_1', role: 'rider' }, { expiresInSeconds: 60 });
+
+    expect(expiresAt).toEqual(new Date('2024-01-15T10:31:00.000Z'));
+
+    jest.setSystemTime(new Date('2024-01-15T10:31:01.000Z'));
+    expect(() => verifyToken(token)).toThrow(/expired/);
+  });
+
+  test('errors map to 401 responses', () => {
+    try {
+      verifyToken('a.b.c');
+    } catch (error) {
+      expect(error.statusCode).toBe(401);
+    }
+  });
+});
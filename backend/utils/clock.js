@@ -0,0 +1,15 @@
+/**
+ * Clock
+ * Current time and timers behind one interface, so time-based services can
+ * be driven by fake timers or a hand-rolled clock in tests
+ */
+
+const systemClock = {
+  now: () => Date.now(),
+  setInterval: (callback, ms) => setInterval(callback, ms),
+  clearInterval: timer => clearInterval(timer)
+};
+
+module.exports = {
+  systemClock
+};
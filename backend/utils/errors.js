@@ -0,0 +1,90 @@
+/**
+ * Error Types
+ * Typed errors that the server's error handler turns into HTTP responses
+ */
+
+/**
+ * Base class for errors that map to a specific HTTP status
+ */
+class AppError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {number} statusCode - HTTP status code
+   * @param {string} error - Short error title used in the response body
+   * @param {object} details - Extra fields included in the response body
+   */
+  constructor(message, statusCode = 500, error = 'Internal server error', details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.error = error;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      error: this.error,
+      message: this.message,
+      ...this.details
+    };
+  }
+}
+
+/**
+ * Thrown when a ride is asked to move to a status its current status doesn't allow
+ */
+class InvalidTransitionError extends AppError {
+  constructor(from, to, reason) {
+    const message = reason
+      ? `Cannot move ride from ${from} to ${to}: ${reason}`
+      : `Cannot move ride from ${from} to ${to}`;
+    super(message, 409, 'Invalid ride transition', { from, to });
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Thrown when request input is invalid
+ */
+class ValidationError extends AppError {
+  constructor(message) {
+    super(message, 400, 'Invalid request');
+  }
+}
+
+/**
+ * Thrown when a requested resource doesn't exist
+ */
+class NotFoundError extends AppError {
+  constructor(message, error = 'Not found') {
+    super(message, 404, error);
+  }
+}
+
+/**
+ * Thrown when a request has no valid session token
+ */
+class AuthenticationError extends AppError {
+  constructor(message = 'A valid session token is required') {
+    super(message, 401, 'Unauthorized');
+  }
+}
+
+/**
+ * Thrown when a valid token is used for something it doesn't grant
+ */
+class ForbiddenError extends AppError {
+  constructor(message = 'Not allowed') {
+    super(message, 403, 'Forbidden');
+  }
+}
+
+module.exports = {
+  AppError,
+  InvalidTransitionError,
+  ValidationError,
+  NotFoundError,
+  AuthenticationError,
+  ForbiddenError
+};
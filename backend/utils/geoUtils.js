@@ -3,6 +3,8 @@
  * Helper functions for geographic calculations
  */
 
+const AVERAGE_SPEED_MS = 40 * 1000 / 3600; // 40 km/h average city speed, in m/s
+
 /**
  * Calculate distance between two coordinates using Haversine formula
  * @param {number} lat1 - Latitude of point 1
@@ -26,6 +28,19 @@ function calculateDistance(lat1, lng1, lat2, lng2) {
   return R * c; // Distance in meters
 }
 
+/**
+ * Total distance along a route through points in order
+ * @param {array} points - [{lat, lng}, ...]
+ * @returns {number} Distance in meters
+ */
+function calculateRouteDistance(points) {
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    total += calculateDistance(points[i - 1].lat, points[i - 1].lng, points[i].lat, points[i].lng);
+  }
+  return total;
+}
+
 /**
  * Interpolate between two points
  * @param {object} start - Start point {lat, lng}
@@ -47,9 +62,16 @@ function interpolate(start, end, progress) {
  * @returns {number} Estimated time in seconds
  */
 function calculateETA(distanceMeters) {
-  const averageSpeedKmh = 40; // 40 km/h average city speed
-  const averageSpeedMs = averageSpeedKmh * 1000 / 3600; // Convert to m/s
-  return Math.round(distanceMeters / averageSpeedMs);
+  return Math.round(distanceMeters / AVERAGE_SPEED_MS);
+}
+
+/**
+ * Distance covered in a given time at the same average city speed
+ * @param {number} etaSeconds - Travel time in seconds
+ * @returns {number} Distance in meters
+ */
+function distanceForETA(etaSeconds) {
+  return etaSeconds * AVERAGE_SPEED_MS;
 }
 
 /**
@@ -138,6 +160,19 @@ function generateRoutePolyline(start, end, numPoints = 20) {
   return points;
 }
 
+/**
+ * Check that a location has numeric coordinates on the globe
+ * @param {object} location - {lat, lng}
+ * @returns {boolean} true if lat is a number from -90 to 90 and lng from -180 to 180
+ */
+function isValidLocation(location) {
+  if (!location || typeof location.lat !== 'number' || typeof location.lng !== 'number') {
+    return false;
+  }
+
+  return Math.abs(location.lat) <= 90 && Math.abs(location.lng) <= 180;
+}
+
 /**
  * Calculate bearing between two points
  * @param {number} lat1 - Start latitude
@@ -163,10 +198,13 @@ function calculateBearing(lat1, lng1, lat2, lng2) {
 
 module.exports = {
   calculateDistance,
+  calculateRouteDistance,
   interpolate,
   calculateETA,
+  distanceForETA,
   randomLocationInRadius,
   randomLocationInDonut,
   generateRoutePolyline,
-  calculateBearing
+  calculateBearing,
+  isValidLocation
 };
@@ -0,0 +1,101 @@
+/**
+ * Hungarian Algorithm
+ * Optimal one-to-one assignment over a cost matrix (minimum total cost)
+ */
+
+/**
+ * Solve the assignment problem for a rectangular cost matrix
+ * Rows and columns that can't both be matched are left unassigned. Use
+ * Infinity for pairs that must never be assigned.
+ * @param {array} costs - costs[row][col], every row the same length
+ * @returns {array} Column index assigned to each row, or -1 if unassigned
+ */
+function solveAssignment(costs) {
+  const rows = costs.length;
+  const cols = rows > 0 ? costs[0].length : 0;
+
+  if (rows === 0 || cols === 0) {
+    return new Array(rows).fill(-1);
+  }
+
+  // Pad to a square matrix; forbidden pairs get a cost larger than any real total
+  const finiteCosts = costs.flat().filter(Number.isFinite);
+  const forbidden = (finiteCosts.reduce((sum, c) => sum + Math.abs(c), 0) + 1) * 2;
+  const n = Math.max(rows, cols);
+  const cost = (i, j) => {
+    if (i >= rows || j >= cols) {
+      return 0; // dummy row/column
+    }
+    return Number.isFinite(costs[i][j]) ? costs[i][j] : forbidden;
+  };
+
+  // Potentials and matching, 1-indexed (column 0 is a virtual start)
+  const u = new Array(n + 1).fill(0);
+  const v = new Array(n + 1).fill(0);
+  const match = new Array(n + 1).fill(0); // match[col] = row
+  const way = new Array(n + 1).fill(0);
+
+  for (let i = 1; i <= n; i++) {
+    match[0] = i;
+    let j0 = 0;
+    const minv = new Array(n + 1).fill(Infinity);
+    const used = new Array(n + 1).fill(false);
+
+    // Grow an alternating path until it reaches a free column
+    do {
+      used[j0] = true;
+      const i0 = match[j0];
+      let delta = Infinity;
+      let j1 = 0;
+
+      for (let j = 1; j <= n; j++) {
+        if (used[j]) {
+          continue;
+        }
+
+        const reduced = cost(i0 - 1, j - 1) - u[i0] - v[j];
+        if (reduced < minv[j]) {
+          minv[j] = reduced;
+          way[j] = j0;
+        }
+        if (minv[j] < delta) {
+          delta = minv[j];
+          j1 = j;
+        }
+      }
+
+      for (let j = 0; j <= n; j++) {
+        if (used[j]) {
+          u[match[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minv[j] -= delta;
+        }
+      }
+
+      j0 = j1;
+    } while (match[j0] !== 0);
+
+    // Flip the path
+    do {
+      const j1 = way[j0];
+      match[j0] = match[j1];
+      j0 = j1;
+    } while (j0 !== 0);
+  }
+
+  const assignment = new Array(rows).fill(-1);
+  for (let j = 1; j <= n; j++) {
+    const row = match[j] - 1;
+    const col = j - 1;
+    if (row < rows && col < cols && Number.isFinite(costs[row][col])) {
+      assignment[row] = col;
+    }
+  }
+
+  return assignment;
+}
+
+module.exports = {
+  solveAssignment
+};
@@ -0,0 +1,57 @@
+/**
+ * Password Hashing
+ * Salted scrypt hashes stored as "salt:hash"
+ */
+
+const crypto = require('crypto');
+
+const KEY_LENGTH = 64;
+
+let dummyHash = null;
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plain text password
+ * @returns {string} "salt:hash" in hex
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain text password
+ * @param {string} stored - Value produced by hashPassword()
+ * @returns {boolean} true if the password matches
+ */
+function verifyPassword(password, stored) {
+  const [salt, hash] = (stored || '').split(':');
+  if (!salt || !hash || typeof password !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, KEY_LENGTH);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Hash to check passwords against when there's no account to check them for
+ * Unknown accounts then take as long to reject as a wrong password, so the
+ * response time doesn't tell whether an account exists.
+ * @returns {string} A hash no password matches in practice (made once)
+ */
+function getDummyHash() {
+  if (!dummyHash) {
+    dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+  }
+  return dummyHash;
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  getDummyHash
+};
@@ -0,0 +1,176 @@
+/**
+ * Spatial Index
+ * Uniform lat/lng grid for nearest-neighbour and radius queries over
+ * moving points (e.g. drivers). Updates are O(1); queries only look at
+ * the grid cells around the query point instead of every point.
+ */
+
+const { calculateDistance } = require('./geoUtils');
+
+const METERS_PER_DEGREE = 111320;
+
+class SpatialIndex {
+  /**
+   * @param {object} options - { cellSizeMeters } (cell height; small cells suit dense city traffic)
+   */
+  constructor({ cellSizeMeters = 250 } = {}) {
+    this.cellSizeDegrees = cellSizeMeters / METERS_PER_DEGREE;
+
+    // Map of "row:col" -> Map of id -> entry
+    this.cells = new Map();
+
+    // Map of id -> { id, item, lat, lng, key }
+    this.entries = new Map();
+
+    // Range of occupied cells, so searches know when they've seen everything
+    this.bounds = null;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  cellOf(lat, lng) {
+    return {
+      row: Math.floor(lat / this.cellSizeDegrees),
+      col: Math.floor(lng / this.cellSizeDegrees)
+    };
+  }
+
+  /**
+   * Add a point or move it to a new location
+   * @param {string} id - Unique key
+   * @param {number} lat
+   * @param {number} lng
+   * @param {*} item - Returned by queries (defaults to the id)
+   */
+  upsert(id, lat, lng, item = id) {
+    const { row, col } = this.cellOf(lat, lng);
+    const key = `${row}:${col}`;
+    const existing = this.entries.get(id);
+
+    if (existing && existing.key !== key) {
+      this.removeFromCell(existing);
+    }
+
+    const entry = { id, item, lat, lng, key };
+    this.entries.set(id, entry);
+
+    if (!this.cells.has(key)) {
+      this.cells.set(key, new Map());
+    }
+    this.cells.get(key).set(id, entry);
+
+    this.bounds = this.bounds
+      ? {
+        minRow: Math.min(this.bounds.minRow, row),
+        maxRow: Math.max(this.bounds.maxRow, row),
+        minCol: Math.min(this.bounds.minCol, col),
+        maxCol: Math.max(this.bounds.maxCol, col)
+      }
+      : { minRow: row, maxRow: row, minCol: col, maxCol: col };
+  }
+
+  /**
+   * Remove a point
+   */
+  remove(id) {
+    const entry = this.entries.get(id);
+
+    if (entry) {
+      this.removeFromCell(entry);
+      this.entries.delete(id);
+    }
+  }
+
+  removeFromCell(entry) {
+    const cell = this.cells.get(entry.key);
+    cell.delete(entry.id);
+    if (cell.size === 0) {
+      this.cells.delete(entry.key);
+    }
+  }
+
+  /**
+   * Width of a cell in meters at a latitude (narrower than its height away from the equator)
+   */
+  cellWidthMeters(lat) {
+    return this.cellSizeDegrees * METERS_PER_DEGREE * Math.cos(lat * Math.PI / 180);
+  }
+
+  /**
+   * Visit the entries in the square ring of cells `ring` steps from a center cell
+   */
+  forEachInRing(center, ring, visit) {
+    for (let row = center.row - ring; row <= center.row + ring; row++) {
+      const onEdgeRow = row === center.row - ring || row === center.row + ring;
+      const step = onEdgeRow || ring === 0 ? 1 : ring * 2;
+
+      for (let col = center.col - ring; col <= center.col + ring; col += step) {
+        const cell = this.cells.get(`${row}:${col}`);
+        if (cell) {
+          cell.forEach(visit);
+        }
+      }
+    }
+  }
+
+  /**
+   * Whether a ring around the center already covers every occupied cell
+   */
+  coversAll(center, ring) {
+    return !this.bounds ||
+      (center.row - ring <= this.bounds.minRow && center.row + ring >= this.bounds.maxRow &&
+        center.col - ring <= this.bounds.minCol && center.col + ring >= this.bounds.maxCol);
+  }
+
+  /**
+   * Find the k nearest points to a location
+   * @param {number} lat
+   * @param {number} lng
+   * @param {number} k - Maximum number of results
+   * @param {object} options - { filter(item), maxDistance } (meters)
+   * @returns {array} [{ item, distance }], nearest first
+   */
+  kNearest(lat, lng, k, { filter = () => true, maxDistance = Infinity } = {}) {
+    const center = this.cellOf(lat, lng);
+    const ringWidth = this.cellWidthMeters(lat);
+    const found = [];
+
+    for (let ring = 0; ; ring++) {
+      this.forEachInRing(center, ring, entry => {
+        if (!filter(entry.item)) {
+          return;
+        }
+        const distance = calculateDistance(lat, lng, entry.lat, entry.lng);
+        if (distance <= maxDistance) {
+          found.push({ item: entry.item, distance });
+        }
+      });
+
+      found.sort((a, b) => a.distance - b.distance);
+
+      // Anything in further rings is at least this far away
+      const unseenDistance = ring * ringWidth;
+      const kthDistance = found.length >= k ? found[k - 1].distance : Infinity;
+
+      if (kthDistance <= unseenDistance || unseenDistance > maxDistance || this.coversAll(center, ring)) {
+        return found.slice(0, k);
+      }
+    }
+  }
+
+  /**
+   * Find every point within a radius of a location
+   * @param {number} lat
+   * @param {number} lng
+   * @param {number} radiusMeters
+   * @param {object} options - { filter(item) }
+   * @returns {array} [{ item, distance }], nearest first
+   */
+  withinRadius(lat, lng, radiusMeters, { filter = () => true } = {}) {
+    return this.kNearest(lat, lng, Infinity, { filter, maxDistance: radiusMeters });
+  }
+}
+
+module.exports = SpatialIndex;
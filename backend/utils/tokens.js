@@ -0,0 +1,92 @@
+/**
+ * Session Tokens
+ * HMAC-signed (HS256) JWTs for driver and rider sessions
+ *
+ * Tokens are signed with AUTH_SECRET. Without it a random secret is
+ * generated, so tokens stop verifying after a restart.
+ */
+
+const crypto = require('crypto');
+const { AuthenticationError } = require('./errors');
+
+const DEFAULT_TTL_SECONDS = parseInt(process.env.AUTH_TOKEN_TTL_SECONDS, 10) || 12 * 60 * 60; // 12 hours
+
+let secret = process.env.AUTH_SECRET;
+if (!secret) {
+  secret = crypto.randomBytes(32).toString('hex');
+  if (process.env.NODE_ENV !== 'test') {
+    console.log('⚠️  AUTH_SECRET not set, using a random secret (tokens won\'t survive a restart)');
+  }
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * Create a signed token
+ * @param {object} claims - Token claims, e.g. { sub, role }
+ * @param {object} options - { expiresInSeconds }
+ * @returns {object} { token, tokenId, expiresAt }
+ */
+function signToken(claims, { expiresInSeconds = DEFAULT_TTL_SECONDS } = {}) {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const payload = {
+    ...claims,
+    jti: crypto.randomUUID(),
+    iat: issuedAt,
+    exp: issuedAt + expiresInSeconds
+  };
+
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify(payload));
+  const token = `${header}.${body}.${sign(`${header}.${body}`)}`;
+
+  return {
+    token,
+    tokenId: payload.jti,
+    expiresAt: new Date(payload.exp * 1000)
+  };
+}
+
+/**
+ * Verify a token's signature and expiry
+ * @param {string} token - Token from the Authorization header
+ * @returns {object} Token payload
+ * @throws {AuthenticationError} if the token is malformed, tampered with or expired
+ */
+function verifyToken(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw new AuthenticationError('Malformed session token');
+  }
+
+  const [header, body, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${body}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new AuthenticationError('Invalid session token');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new AuthenticationError('Malformed session token');
+  }
+
+  if (!payload.exp || payload.exp * 1000 <= Date.now()) {
+    throw new AuthenticationError('Session token expired');
+  }
+
+  return payload;
+}
+
+module.exports = {
+  signToken,
+  verifyToken
+};